@@ -13,25 +13,42 @@
 // - syncStateToUrl() / readStateFromUrl()
 //
 // Data flow (high level):
-// 1) loadData() fetches articles.json
-// 2) normalize dataset + precompute "global" facets (e.g. tag frequency)
+// 1) loadData() fetches every configured data source (articles.json by
+//    default) through its format adapter and merges the results
+// 2) normalize dataset + precompute "global" facets (e.g. tag frequency),
+//    then build the search index (here, or in search-worker.js when large)
 // 3) readStateFromUrl() then render controls
 // 4) update() runs applyFiltersAndSort() -> paginate() -> render UI
+// 5) renderRoute() opens the reader when the hash is #/article/<id>
+//
+// Filtering, ranking and facet counting live in search-engine.js (shared
+// with the worker); this file owns state, the DOM and persistence.
 //
 // Performance notes:
 // - We only render current page cards (10/20/50) rather than the full dataset.
-// - Search uses debounce (300ms).
+// - Search uses debounce (300ms). The query is parsed once per change
+//   (phrases, AND/OR/NOT, field scopes) and narrowed through an inverted
+//   index before candidates are checked against precomputed lowercase fields.
 // - Facet counts reflect "available results after other filters" using
-//   group-exclusion filtering (common UX pattern for facet counts).
+//   group-exclusion filtering (common UX pattern for facet counts), done
+//   with one bitset per filter group.
+// - From WORKER_MIN_ARTICLES up, queries run in a Web Worker and stale ones
+//   are dropped; bench.html measures both paths on synthetic data.
 
 /** @typedef {import("./types").Article} Article */ // (informal; no build step)
 
 const els = {
   articleCount: document.getElementById("articleCount"),
+  articleCountLabel: document.getElementById("articleCountLabel"),
+  uiLocaleSelect: document.getElementById("uiLocaleSelect"),
   searchInput: document.getElementById("searchInput"),
   clearSearchBtn: document.getElementById("clearSearchBtn"),
   sortSelect: document.getElementById("sortSelect"),
   pageSizeSelect: document.getElementById("pageSizeSelect"),
+  pagingSelect: document.getElementById("pagingSelect"),
+  hideReadToggle: document.getElementById("hideReadToggle"),
+  clusterToggle: document.getElementById("clusterToggle"),
+  markPageReadBtn: document.getElementById("markPageReadBtn"),
   clearFiltersBtn: document.getElementById("clearFiltersBtn"),
   facetsMount: document.getElementById("facetsMount"),
   cardsMount: document.getElementById("cardsMount"),
@@ -41,15 +58,23 @@ const els = {
   skeletonTemplate: document.getElementById("skeletonTemplate"),
   emptyTemplate: document.getElementById("emptyTemplate"),
   errorTemplate: document.getElementById("errorTemplate"),
-};
-
-const TAGS_TOP_N = 18;
-
-const SORTS = {
-  newest: "newest",
-  oldest: "oldest",
-  publisher_az: "publisher_az",
-  title_az: "title_az",
+  exportMenu: document.getElementById("exportMenu"),
+  exportPanel: document.getElementById("exportPanel"),
+  shareMenu: document.getElementById("shareMenu"),
+  sharePanel: document.getElementById("sharePanel"),
+  readerMount: document.getElementById("readerMount"),
+  analyticsMount: document.getElementById("analyticsMount"),
+  viewSwitch: document.getElementById("viewSwitch"),
+  layoutSwitch: document.getElementById("layoutSwitch"),
+  shortcutsMount: document.getElementById("shortcutsMount"),
+  paletteMount: document.getElementById("paletteMount"),
+  noticeMount: document.getElementById("noticeMount"),
+  refreshBtn: document.getElementById("refreshBtn"),
+  autoRefreshSelect: document.getElementById("autoRefreshSelect"),
+  refreshBanner: document.getElementById("refreshBanner"),
+  dataSourcesConfig: document.getElementById("dataSourcesConfig"),
+  tagSynonymsConfig: document.getElementById("tagSynonymsConfig"),
+  controlsBar: document.querySelector(".controls-bar"),
 };
 
 // App state (synced to URL)
@@ -58,23 +83,37 @@ const state = {
   sort: SORTS.newest,
   page: 1,
   pageSize: 20,
-  category: new Set(),
-  publishers: new Set(),
-  languages: new Set(),
-  tags: new Set(),
-  tagsExpanded: false, // UI-only (not in URL)
+  paging: "pages", // "pages" (numbered) or "continuous" (infinite scroll)
+  anchor: "", // continuous mode: id of the article at the top of the viewport
+  // One Set per FACETS entry: state.category, state.publishers, state.tags, ...
+  ...Object.fromEntries(FACETS.map((f) => [f.key, new Set()])),
+  excluded: Object.fromEntries(FACETS.map((f) => [f.key, new Set()])), // facet key -> values to leave out
+  facetModes: {}, // multiValue facet key -> "all" (match every selected value); absent = "any"
+  datePreset: "", // key of DATE_PRESETS, or "" for none/custom
+  dateFrom: "", // YYYY-MM-DD (custom range, inclusive)
+  dateTo: "", // YYYY-MM-DD (custom range, inclusive)
+  savedList: "", // reading list id: only show articles saved to it
+  hideRead: false,
+  cluster: true, // group near-duplicate stories into one card
+  view: "list", // "list" (cards) or "analytics" (charts of the matches)
+  layout: "grid", // how the list renders: one of LAYOUTS
+  expandedFacets: new Set(), // UI-only (not in URL): facets showing past topN
 };
 
 let allArticles = [];
+let datasetNotices = null; // applyDataset()'s diagnostics/failures/warnings/cached, re-rendered on a language switch
+let linkIssues = null; // what readStateFromUrl() ignored, also re-rendered on a language switch
 let normalizedArticles = [];
-let globalFacets = {
-  categories: new Map(),
-  publishers: new Map(),
-  languages: new Map(),
-  tags: new Map(), // tag -> total count in full dataset
-};
+let articlesById = new Map();
+let tagSynonyms = {};
+// raw tag -> display label for the loaded dataset (see makeTagNormalizer())
+let normalizeTag = (tag) => tag;
+// facet key -> Map(value -> total count in full dataset)
+let globalFacets = Object.fromEntries(FACETS.map((f) => [f.key, new Map()]));
 let lastResult = {
-  filtered: [],
+  filtered: [], // what the list shows: one primary article per story when clustering
+  matched: [], // every article passing the filters (exports use this)
+  related: new Map(), // primary id -> other matching articles in its cluster
   paged: [],
   total: 0,
   page: 1,
@@ -90,20 +129,51 @@ function debounce(fn, delay = 300) {
   };
 }
 
-function safeLower(s) {
-  return (s || "").toString().toLowerCase();
-}
-
-function parseISODate(s) {
-  const t = Date.parse(s);
-  return Number.isFinite(t) ? t : NaN;
-}
-
 function humanDate(iso) {
   const ts = parseISODate(iso);
   if (!Number.isFinite(ts)) return "";
+  return formatDate(ts, { year: "numeric", month: "short", day: "numeric" });
+}
+
+/**
+ * Local calendar date as YYYY-MM-DD (the format of <input type="date">)
+ * @param {number} ts
+ */
+function toDateInputValue(ts) {
   const d = new Date(ts);
-  return d.toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" });
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Parses YYYY-MM-DD as local start of day (or end of day when endOfDay).
+ * @param {string} value
+ * @param {boolean} endOfDay
+ */
+function parseDateInput(value, endOfDay = false) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  if (!m) return NaN;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  if (endOfDay) d.setHours(23, 59, 59, 999);
+  return d.getTime();
+}
+
+/**
+ * Client-side download of generated text (no server round trip).
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} mime
+ */
+function downloadFile(filename, text, mime) {
+  const blob = new Blob([text], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
 }
 
 function getDomain(url) {
@@ -123,419 +193,2786 @@ function setStatus(text) {
   els.statusText.textContent = text || "";
 }
 
+let parsedQueryCache = { raw: null, result: compileQuery("") };
+
 /**
- * Normalize articles for faster filtering (precompute searchable text)
- * @param {any[]} articles
+ * Parsed form of state.q (memoized; the pipeline asks for it several times per update)
+ * @returns {ReturnType<typeof compileQuery>}
  */
-function normalizeArticles(articles) {
-  return articles.map((a) => {
-    const publisherName = a?.publisher?.name || "";
-    const tags = Array.isArray(a?.tags) ? a.tags : [];
-    const searchable = [
-      a?.title,
-      a?.description,
-      publisherName,
-      tags.join(" "),
-    ]
-      .filter(Boolean)
-      .join(" • ");
-
-    return {
-      ...a,
-      _publisherName: publisherName,
-      _tags: tags,
-      _publishedTs: parseISODate(a?.publishedAt),
-      _updatedTs: parseISODate(a?.updatedAt),
-      _search: safeLower(searchable),
-    };
-  });
+function getParsedQuery() {
+  const raw = (state.q || "").trim();
+  if (parsedQueryCache.raw !== raw) {
+    parsedQueryCache = { raw, result: compileQuery(raw) };
+  }
+  return parsedQueryCache.result;
 }
 
 /**
- * loadData(): fetches ./articles.json
+ * Terms the current search is looking for (ranking + highlighting). Falls
+ * back to the plain words when the query does not parse.
  */
-async function loadData() {
-  renderSkeletons(9);
-
-  try {
-    const res = await fetch("./articles.json", { cache: "no-store" });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const json = await res.json();
-    const articles = Array.isArray(json?.articles) ? json.articles : [];
-    allArticles = articles;
+function getSearchTerms() {
+  return getParsedQuery().terms;
+}
 
-    normalizedArticles = normalizeArticles(articles);
-    globalFacets = computeFacets(normalizedArticles);
+/**
+ * Value written to the `q` URL param: canonical form when the query parses,
+ * the raw text otherwise (so a half-typed query is not lost on reload).
+ */
+function queryForUrl() {
+  const { ast, error } = getParsedQuery();
+  if (error) return (state.q || "").trim();
+  return stringifyQuery(ast);
+}
 
-    // Update header count badge (total articles)
-    els.articleCount.textContent = String(normalizedArticles.length);
+// ------------------------------------------------------------
+// Localization (UI language, ?lang=)
+// ------------------------------------------------------------
+// Catalogs and Intl helpers live in i18n.js. Static markup in index.html is
+// tagged with data-i18n* attributes (filled by translateStatic()); anything
+// rendered here goes through uiText(). Article content keeps its own
+// language: setContentLanguage() marks it so screen readers and bidi
+// layout treat it correctly inside an RTL interface.
 
-    // Restore state from URL + controls
-    readStateFromUrl();
-    renderControls();
+/**
+ * Fills data-i18n (text), data-i18n-html (catalog markup) and
+ * data-i18n-attr ("attr:key;attr:key") elements under `root`.
+ * @param {ParentNode} root
+ */
+function translateStatic(root) {
+  for (const el of root.querySelectorAll("[data-i18n]")) {
+    if (hasUiText(el.dataset.i18n)) el.textContent = uiText(el.dataset.i18n);
+  }
+  for (const el of root.querySelectorAll("[data-i18n-html]")) {
+    if (hasUiText(el.dataset.i18nHtml)) el.innerHTML = uiText(el.dataset.i18nHtml);
+  }
+  for (const el of root.querySelectorAll("[data-i18n-attr]")) {
+    for (const pair of el.dataset.i18nAttr.split(";")) {
+      const [attr, key] = pair.split(":").map((s) => s.trim());
+      if (attr && hasUiText(key)) el.setAttribute(attr, uiText(key));
+    }
+  }
+}
 
-    // Initial render
-    update();
-  } catch (err) {
-    renderError(err);
+/**
+ * Switches the interface language: <html lang/dir>, static text and the
+ * language menu, plus the parts rendered outside update() once data is in.
+ * @param {string | null} locale
+ */
+function applyUiLocale(locale) {
+  setUiLocale(locale);
+  const root = document.documentElement;
+  root.lang = uiLocale;
+  root.dir = UI_LOCALES[uiLocale].dir;
+  translateStatic(document);
+  els.uiLocaleSelect.value = uiLocale;
+
+  if (!normalizedArticles.length) return;
+  renderArticleCount();
+  renderRefreshBanner();
+  if (datasetNotices) {
+    renderSourceNotices(datasetNotices.failures, datasetNotices.warnings);
+    renderCacheNotice(datasetNotices.cached);
+    renderDiagnostics(datasetNotices.diagnostics);
   }
+  if (linkIssues) renderLinkNotice(linkIssues);
 }
 
 /**
- * computeFacets(): computes global facet counts for dataset (used to render options)
- * @param {any[]} articles
+ * Fills the language menu from UI_LOCALES (each name in its own language)
+ * and wires it. Works before the data has loaded: the `lang` param is then
+ * written directly instead of through syncStateToUrl().
  */
-function computeFacets(articles) {
-  const categories = new Map();
-  const publishers = new Map();
-  const languages = new Map();
-  const tags = new Map();
+function initUiLocaleSelect() {
+  const select = els.uiLocaleSelect;
+  for (const [code, { label }] of Object.entries(UI_LOCALES)) {
+    const opt = document.createElement("option");
+    opt.value = code;
+    opt.lang = code;
+    opt.textContent = label;
+    select.appendChild(opt);
+  }
 
-  const inc = (map, key) => {
-    if (!key) return;
-    map.set(key, (map.get(key) || 0) + 1);
-  };
+  select.addEventListener("change", () => {
+    applyUiLocale(select.value);
+    if (searchIndex || searchWorker) {
+      update({ history: "replace" });
+      return;
+    }
+    const url = new URL(window.location.href);
+    if (uiLocale === DEFAULT_UI_LOCALE) url.searchParams.delete("lang");
+    else url.searchParams.set("lang", uiLocale);
+    window.history.replaceState(window.history.state, "", url);
+  });
+}
 
-  for (const a of articles) {
-    inc(categories, a?.category || "");
-    inc(publishers, a?._publisherName || a?.publisher?.name || "");
-    inc(languages, a?.language || "");
-    const t = Array.isArray(a?._tags) ? a._tags : [];
-    for (const tag of t) inc(tags, tag);
-  }
+/**
+ * Facet group title in the UI language (falls back to FACETS `label`).
+ * @param {{key: string, label: string}} facet
+ */
+function facetTitle(facet) {
+  const key = `facet.${facet.key}`;
+  return hasUiText(key) ? uiText(key) : facet.label;
+}
+
+/**
+ * How a facet value reads in the UI: localized names for facets with
+ * `displayNames` ("en" -> "English" / "अंग्रेज़ी"), the value itself otherwise.
+ * @param {string} key FACETS key
+ * @param {string} value
+ */
+function facetValueLabel(key, value) {
+  const type = FACETS.find((f) => f.key === key)?.displayNames;
+  return type && value ? displayName(type, value) : value;
+}
 
-  // Remove empties
-  categories.delete("");
-  publishers.delete("");
-  languages.delete("");
+/**
+ * @param {string} key DATE_PRESETS key
+ */
+function datePresetLabel(key) {
+  const id = `date.preset.${key}`;
+  return hasUiText(id) ? uiText(id) : DATE_PRESETS[key].label;
+}
 
-  return { categories, publishers, languages, tags };
+/**
+ * Marks article-provided text with the article's language; dir="auto"
+ * keeps it in its own direction whatever the UI direction is.
+ * @param {HTMLElement} el
+ * @param {any} a article
+ */
+function setContentLanguage(el, a) {
+  if (LANGUAGE_RE.test(a?.language || "")) el.lang = a.language;
+  el.dir = "auto";
 }
 
+// ------------------------------------------------------------
+// Data sources
+// ------------------------------------------------------------
+// Each source is { id, label, url, format } where format is one of the
+// SOURCE_ADAPTERS keys or "auto" (sniffed from the URL / response).
+// Override the defaults without touching code via a JSON block in
+// index.html: <script type="application/json" id="dataSourcesConfig">.
+//
+// Every adapter maps its input onto the articles.json schema; loadSources()
+// tags records with `_source` and merges them. A failing source becomes a
+// notice, not a page error, unless every source fails.
+
+const DEFAULT_DATA_SOURCES = [
+  { id: "articles", label: "articles.json", url: "./articles.json", format: "json" },
+];
+
+const SOURCE_ADAPTERS = {
+  // { articles: [...] } or a bare array
+  json: {
+    parse(text) {
+      const json = parseJsonWithPosition(text);
+      if (Array.isArray(json)) return json;
+      if (Array.isArray(json?.articles)) return json.articles;
+      throw new Error("Expected { \"articles\": [...] } or an array");
+    },
+  },
+
+  // One JSON article per line; bad lines are skipped (reported as a warning)
+  ndjson: {
+    parse(text, warnings) {
+      const out = [];
+      let bad = 0;
+      text.split(/\r?\n/).forEach((line) => {
+        if (!line.trim()) return;
+        try {
+          out.push(JSON.parse(line));
+        } catch {
+          bad++;
+        }
+      });
+      if (bad) warnings.push(`${bad} malformed line${bad === 1 ? "" : "s"} skipped`);
+      return out;
+    },
+  },
+
+  // https://www.jsonfeed.org/version/1.1/
+  jsonfeed: {
+    parse(text) {
+      const feed = parseJsonWithPosition(text);
+      if (!Array.isArray(feed?.items)) throw new Error("JSON Feed has no items");
+      const publisher = { name: feed.title || "", url: feed.home_page_url || undefined, logoUrl: feed.icon || feed.favicon || undefined };
+      return feed.items.map((item) => {
+        const author = item.authors?.[0]?.name || item.author?.name || feed.authors?.[0]?.name;
+        return {
+          id: item.id != null ? String(item.id) : item.url,
+          title: item.title || "",
+          description: item.summary || stripHtml(item.content_html || "").slice(0, 280),
+          content: item.content_text || stripHtml(item.content_html || ""),
+          url: item.url || item.external_url || "",
+          imageUrl: item.image || item.banner_image || undefined,
+          publisher,
+          author: author || undefined,
+          publishedAt: toIsoOrUndefined(item.date_published),
+          updatedAt: toIsoOrUndefined(item.date_modified),
+          language: item.language || feed.language || undefined,
+          tags: Array.isArray(item.tags) ? item.tags : [],
+        };
+      });
+    },
+  },
+
+  // RSS 2.0 / RSS 1.0 (RDF) / Atom, told apart by the root element
+  xml: {
+    parse(text) {
+      const doc = new DOMParser().parseFromString(text, "application/xml");
+      if (doc.getElementsByTagName("parsererror").length) throw new Error("Invalid XML");
+      const root = doc.documentElement.localName;
+      if (root === "feed") return mapAtom(doc);
+      if (root === "rss" || root === "RDF") return mapRss(doc);
+      throw new Error(`Unsupported XML root <${root}>`);
+    },
+  },
+};
+
 /**
- * Apply filters (including search) + sorting.
- * Returns the filtered+sorted array (does not paginate).
+ * Configured sources: index.html override if present and valid, else defaults.
  */
-function applyFiltersAndSort() {
-  const q = safeLower(state.q).trim();
-  const hasQ = q.length > 0;
+function getDataSources() {
+  const raw = els.dataSourcesConfig?.textContent?.trim();
+  if (!raw) return DEFAULT_DATA_SOURCES;
+  try {
+    const parsed = JSON.parse(raw);
+    const list = (Array.isArray(parsed) ? parsed : parsed?.sources || [])
+      .filter((src) => src && typeof src.url === "string")
+      .map((src, i) => ({
+        id: String(src.id || `source-${i + 1}`),
+        label: String(src.label || src.id || src.url),
+        url: src.url,
+        format: SOURCE_ADAPTERS[src.format] ? src.format : "auto",
+      }));
+    return list.length ? list : DEFAULT_DATA_SOURCES;
+  } catch (err) {
+    console.warn("Ignoring invalid dataSourcesConfig", err);
+    return DEFAULT_DATA_SOURCES;
+  }
+}
 
-  const selected = {
-    category: state.category,
-    publishers: state.publishers,
-    languages: state.languages,
-    tags: state.tags,
-  };
+/**
+ * Tag synonyms from index.html (<script type="application/json"
+ * id="tagSynonymsConfig">): { "any spelling": "Label", ... }. Invalid
+ * entries are ignored.
+ * @returns {Record<string, string>}
+ */
+function getTagSynonyms() {
+  const raw = els.tagSynonymsConfig?.textContent?.trim();
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) throw new Error("expected an object");
+    return Object.fromEntries(Object.entries(parsed).filter(([, label]) => typeof label === "string" && label.trim()));
+  } catch (err) {
+    console.warn("Ignoring invalid tagSynonymsConfig", err);
+    return {};
+  }
+}
 
-  const filtered = normalizedArticles.filter((a) => {
-    if (hasQ && !a._search.includes(q)) return false;
+/**
+ * Picks an adapter for "auto" sources from the URL, content type, then content.
+ */
+function detectSourceFormat(source, contentType, text) {
+  if (source.format && source.format !== "auto") return source.format;
+
+  const path = source.url.split(/[?#]/)[0].toLowerCase();
+  if (/\.(ndjson|jsonl)$/.test(path) || /ndjson|jsonlines/.test(contentType)) return "ndjson";
+  if (/\.(xml|rss|atom)$/.test(path) || /xml/.test(contentType)) return "xml";
+
+  const head = text.trimStart();
+  if (head.startsWith("<")) return "xml";
+  if (/"version"\s*:\s*"https:\/\/jsonfeed\.org/.test(head.slice(0, 500))) return "jsonfeed";
+  if (/^\{[^\n]*\}\s*\n\s*\{/.test(head)) return "ndjson";
+  return "json";
+}
 
-    if (selected.category.size && !selected.category.has(a.category)) return false;
-    if (selected.publishers.size && !selected.publishers.has(a._publisherName)) return false;
-    if (selected.languages.size && !selected.languages.has(a.language)) return false;
+/**
+ * Fetches + parses one source. `cachedAt` is set when the service worker
+ * answered from its copy of the last good response (see sw.js).
+ * @returns {Promise<{articles: any[], warnings: string[], cachedAt: string | null}>}
+ */
+async function fetchSource(source) {
+  const res = await fetch(source.url, { cache: "no-store" });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const text = await res.text();
+  const format = detectSourceFormat(source, res.headers?.get?.("content-type") || "", text);
+
+  const warnings = [];
+  const articles = SOURCE_ADAPTERS[format].parse(text, warnings);
+  return { articles, warnings, cachedAt: res.headers?.get?.(CACHED_AT_HEADER) || null };
+}
 
-    if (selected.tags.size) {
-      const tags = Array.isArray(a._tags) ? a._tags : [];
-      let ok = false;
-      for (const t of tags) {
-        if (selected.tags.has(t)) { ok = true; break; }
-      }
-      if (!ok) return false;
+/**
+ * Loads all sources in parallel. Returns the raw records per source (for
+ * validateRecords()) plus fetch/parse failures, adapter warnings and the
+ * sources served from the offline cache.
+ * @returns {Promise<{entries: {record: any, source: any, index: number}[], failures: {source: any, error: string}[], warnings: {source: any, message: string}[], cached: {source: any, cachedAt: string}[]}>}
+ */
+async function loadSources(sources) {
+  const results = await Promise.allSettled(sources.map((src) => fetchSource(src)));
+
+  const entries = [];
+  const failures = [];
+  const warnings = [];
+  const cached = [];
+
+  results.forEach((r, i) => {
+    const source = sources[i];
+    if (r.status === "rejected") {
+      failures.push({ source, error: r.reason?.message || String(r.reason) });
+      return;
     }
 
-    return true;
+    if (r.value.cachedAt) cached.push({ source, cachedAt: r.value.cachedAt });
+    r.value.warnings.forEach((message) => warnings.push({ source, message }));
+    r.value.articles.forEach((record, index) => entries.push({ record, source, index }));
   });
 
-  // Sorting
-  const sorted = filtered.slice();
-  switch (state.sort) {
-    case SORTS.oldest:
-      sorted.sort((a, b) => (a._publishedTs || 0) - (b._publishedTs || 0));
-      break;
-    case SORTS.publisher_az:
-      sorted.sort((a, b) => safeLower(a._publisherName).localeCompare(safeLower(b._publisherName)) || safeLower(a.title).localeCompare(safeLower(b.title)));
-      break;
-    case SORTS.title_az:
-      sorted.sort((a, b) => safeLower(a.title).localeCompare(safeLower(b.title)) || (b._publishedTs || 0) - (a._publishedTs || 0));
-      break;
-    case SORTS.newest:
-    default:
-      sorted.sort((a, b) => (b._publishedTs || 0) - (a._publishedTs || 0));
-      break;
-  }
-
-  return sorted;
+  return { entries, failures, warnings, cached };
 }
 
 /**
- * paginate(): slices a list based on state.page + state.pageSize
- * @param {any[]} list
+ * Merges raw source records into one article list. Records are tagged with
+ * `_source` (origin); non-objects are dropped, missing ids are derived and
+ * clashing ids are namespaced as "<sourceId>:<id>" (then suffixed ~2, ~3…).
+ * validateRecords() reports each of these repairs.
+ * @returns {{articles: any[], ids: (string | null)[], renames: {entry: number, from: string, to: string, clash: number}[]}}
+ *   ids: the final id of each entry (null when dropped); renames: ids that
+ *   clashed, with the position of the entry that had the id first
  */
-function paginate(list) {
-  const total = list.length;
-  const pageSize = state.pageSize;
-  const totalPages = Math.max(1, Math.ceil(total / pageSize));
-  const page = clamp(state.page, 1, totalPages);
+function mergeSourceRecords(entries) {
+  const articles = [];
+  const ids = [];
+  const renames = [];
+  const owner = new Map(); // id -> entry position
+
+  for (const [pos, { record, source, index }] of entries.entries()) {
+    if (!record || typeof record !== "object" || Array.isArray(record)) {
+      ids.push(null);
+      continue;
+    }
 
-  const startIdx = (page - 1) * pageSize;
-  const endIdx = Math.min(startIdx + pageSize, total);
+    const wanted = record.id != null && record.id !== "" ? String(record.id) : record.url || `${source.id}-${index + 1}`;
+    let id = wanted;
+    if (owner.has(id)) id = `${source.id}:${id}`;
+    for (let n = 2; owner.has(id); n++) id = `${id.replace(/~\d+$/, "")}~${n}`;
+    if (id !== wanted) renames.push({ entry: pos, from: wanted, to: id, clash: owner.get(wanted) });
+    owner.set(id, pos);
+    ids.push(id);
 
-  return {
-    total,
-    page,
-    pageSize,
-    totalPages,
-    startIdx,
-    endIdx,
-    pageItems: list.slice(startIdx, endIdx),
-  };
+    articles.push({ ...record, id, _source: { id: source.id, label: source.label } });
+  }
+
+  return { articles, ids, renames };
 }
 
 /**
- * Compute "dynamic facet counts" for each group:
- * counts reflect results after all filters EXCEPT the group itself.
+ * JSON.parse with a readable position ("line 12, column 7") in the error.
+ * Engines report either "position N" (V8) or "line L column C" (Firefox).
+ * @param {string} text
  */
-function computeDynamicFacetCounts() {
-  const q = safeLower(state.q).trim();
-  const hasQ = q.length > 0;
-
-  // Helper: filter with some groups excluded
-  const filterWithExclusions = (excludeGroup) => {
-    return normalizedArticles.filter((a) => {
-      if (hasQ && !a._search.includes(q)) return false;
+function parseJsonWithPosition(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    const msg = err?.message || String(err);
+    let line = null;
+    let column = null;
+
+    const pos = /position (\d+)/.exec(msg);
+    const lc = /line (\d+) column (\d+)/.exec(msg);
+    if (lc) {
+      line = Number(lc[1]);
+      column = Number(lc[2]);
+    } else if (pos) {
+      const before = text.slice(0, Number(pos[1]));
+      line = before.split("\n").length;
+      column = before.length - before.lastIndexOf("\n");
+    }
 
-      if (excludeGroup !== "category" && state.category.size && !state.category.has(a.category)) return false;
-      if (excludeGroup !== "publishers" && state.publishers.size && !state.publishers.has(a._publisherName)) return false;
-      if (excludeGroup !== "languages" && state.languages.size && !state.languages.has(a.language)) return false;
+    if (line == null) throw new Error(`Invalid JSON: ${msg}`);
 
-      if (excludeGroup !== "tags" && state.tags.size) {
-        const tags = Array.isArray(a._tags) ? a._tags : [];
-        let ok = false;
-        for (const t of tags) {
-          if (state.tags.has(t)) { ok = true; break; }
-        }
-        if (!ok) return false;
-      }
+    const snippet = (text.split("\n")[line - 1] || "").trim().slice(0, 80);
+    const reason = msg.replace(/^JSON\.parse: /, "").replace(/ (in JSON )?at (position|line) .*$/, "").replace(/ of the JSON data$/, "");
+    const e = new Error(`Invalid JSON at line ${line}, column ${column}: ${reason}${snippet ? ` — near “${snippet}”` : ""}`);
+    e.line = line;
+    e.column = column;
+    throw e;
+  }
+}
 
-      return true;
-    });
+function mapRss(doc) {
+  const channel = doc.getElementsByTagName("channel")[0];
+  const publisher = {
+    name: childText(channel, "title"),
+    url: childText(channel, "link") || undefined,
+    logoUrl: channel?.getElementsByTagName("image")[0] ? childText(channel.getElementsByTagName("image")[0], "url") || undefined : undefined,
   };
+  const language = childText(channel, "language", "dc:language") || undefined;
 
-  const groups = ["category", "publishers", "languages", "tags"];
-  const out = {};
+  return Array.from(doc.getElementsByTagName("item")).map((item) => {
+    const categories = childElements(item, "category", "dc:subject").map((c) => c.textContent.trim()).filter(Boolean);
+    const html = childText(item, "content:encoded");
+    const desc = stripHtml(childText(item, "description"));
+    return {
+      id: childText(item, "guid") || childText(item, "link") || item.getAttribute("rdf:about") || undefined,
+      title: stripHtml(childText(item, "title")),
+      description: desc,
+      content: html ? stripHtml(html) : desc,
+      url: childText(item, "link"),
+      imageUrl: feedImage(item),
+      publisher,
+      author: childText(item, "dc:creator", "author") || undefined,
+      publishedAt: toIsoOrUndefined(childText(item, "pubDate", "dc:date")),
+      language,
+      category: categories[0],
+      tags: categories,
+    };
+  });
+}
 
-  for (const g of groups) {
-    const base = filterWithExclusions(g);
-    const map = new Map();
+function mapAtom(doc) {
+  const feed = doc.documentElement;
+  const linkOf = (el) => {
+    const links = childElements(el, "link");
+    const alt = links.find((l) => !l.getAttribute("rel") || l.getAttribute("rel") === "alternate");
+    return alt?.getAttribute("href") || "";
+  };
+  const publisher = { name: childText(feed, "title"), url: linkOf(feed) || undefined, logoUrl: childText(feed, "logo", "icon") || undefined };
 
-    const inc = (k) => {
-      if (!k) return;
-      map.set(k, (map.get(k) || 0) + 1);
+  return childElements(feed, "entry").map((entry) => {
+    const categories = childElements(entry, "category").map((c) => c.getAttribute("term") || "").filter(Boolean);
+    const authorEl = childElements(entry, "author")[0] || childElements(feed, "author")[0];
+    const summary = stripHtml(childText(entry, "summary"));
+    const content = stripHtml(childText(entry, "content"));
+    return {
+      id: childText(entry, "id") || linkOf(entry) || undefined,
+      title: stripHtml(childText(entry, "title")),
+      description: summary || content.slice(0, 280),
+      content: content || summary,
+      url: linkOf(entry),
+      imageUrl: feedImage(entry),
+      publisher,
+      author: authorEl ? childText(authorEl, "name") || undefined : undefined,
+      publishedAt: toIsoOrUndefined(childText(entry, "published") || childText(entry, "updated")),
+      updatedAt: toIsoOrUndefined(childText(entry, "updated")),
+      language: entry.getAttribute("xml:lang") || feed.getAttribute("xml:lang") || undefined,
+      category: categories[0],
+      tags: categories,
     };
+  });
+}
 
-    for (const a of base) {
-      if (g === "category") inc(a.category);
-      if (g === "publishers") inc(a._publisherName);
-      if (g === "languages") inc(a.language);
-      if (g === "tags") {
-        const t = Array.isArray(a._tags) ? a._tags : [];
-        for (const tag of t) inc(tag);
-      }
-    }
+/**
+ * Direct children matching any of `names` (qualified, e.g. "dc:creator",
+ * or local names).
+ */
+function childElements(el, ...names) {
+  if (!el) return [];
+  return Array.from(el.children).filter((c) => names.includes(c.nodeName) || names.includes(c.localName));
+}
 
-    map.delete("");
-    out[g] = map;
+function childText(el, ...names) {
+  for (const name of names) {
+    const match = childElements(el, name)[0];
+    if (match) return match.textContent.trim();
   }
+  return "";
+}
 
-  return out;
+function feedImage(el) {
+  const enclosure = childElements(el, "enclosure").find((e) => /^image\//.test(e.getAttribute("type") || ""));
+  const media = childElements(el, "media:content", "media:thumbnail")[0];
+  return enclosure?.getAttribute("url") || media?.getAttribute("url") || undefined;
 }
 
 /**
- * renderControls(): wires up controls + sets values
+ * Plain text from an HTML fragment (parsed inertly; never inserted).
  */
-function renderControls() {
-  // Set initial values
-  els.searchInput.value = state.q || "";
-  els.sortSelect.value = state.sort;
-  els.pageSizeSelect.value = String(state.pageSize);
+function stripHtml(html) {
+  if (!html || !/[<&]/.test(html)) return (html || "").trim();
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  return (doc.body.textContent || "").replace(/\s+/g, " ").trim();
+}
 
-  // Search (debounced)
-  els.searchInput.addEventListener("input", debounce(() => {
-    state.q = els.searchInput.value;
-    state.page = 1;
-    syncStateToUrl();
-    update();
-  }, 320));
+function toIsoOrUndefined(value) {
+  const ts = Date.parse(value || "");
+  return Number.isFinite(ts) ? new Date(ts).toISOString() : undefined;
+}
 
-  // Clear search icon
-  els.clearSearchBtn.addEventListener("click", () => {
-    els.searchInput.value = "";
-    state.q = "";
-    state.page = 1;
-    syncStateToUrl();
-    update();
-    els.searchInput.focus();
-  });
+/**
+ * Per-source problems shown above the results (the rest of the data loads).
+ */
+function renderSourceNotices(failures, warnings) {
+  const mount = els.noticeMount;
+  mount.querySelectorAll("[data-notice='sources']").forEach((n) => n.remove());
+  if (!failures.length && !warnings.length) return;
+
+  const box = document.createElement("div");
+  box.className = "notice notice-warning";
+  box.dataset.notice = "sources";
+  box.setAttribute("role", "alert");
+
+  const title = document.createElement("strong");
+  title.textContent = failures.length
+    ? uiText("sources.failed", { count: failures.length })
+    : uiText("sources.skipped");
+  const list = document.createElement("ul");
+  for (const f of failures) {
+    const li = document.createElement("li");
+    li.textContent = `${f.source.label} (${f.source.url}): ${f.error}`;
+    list.appendChild(li);
+  }
+  for (const w of warnings) {
+    const li = document.createElement("li");
+    li.textContent = `${w.source.label}: ${w.message}`;
+    list.appendChild(li);
+  }
 
-  // Sort
-  els.sortSelect.addEventListener("change", () => {
-    state.sort = els.sortSelect.value;
-    state.page = 1;
-    syncStateToUrl();
-    update();
-  });
+  box.append(title, list);
+  mount.appendChild(box);
+}
 
-  // Page size
-  els.pageSizeSelect.addEventListener("change", () => {
-    state.pageSize = Number(els.pageSizeSelect.value) || 20;
-    state.page = 1;
-    syncStateToUrl();
-    update();
-  });
+// ------------------------------------------------------------
+// Offline support
+// ------------------------------------------------------------
+// sw.js precaches the app shell, keeps the last good response of every data
+// source and answers from it when the network fails, marking the response
+// with CACHED_AT_HEADER. A load that fails anyway retries with backoff.
 
-  // Clear filters
-  els.clearFiltersBtn.addEventListener("click", () => clearAllFilters());
-}
+const CACHED_AT_HEADER = "X-Cached-At";
+const RETRY_DELAYS_MS = [2000, 5000, 10000, 30000, 60000]; // then every 60s
+
+let retryAttempt = 0;
+let retryTimer = null;
 
 /**
- * renderFacets(): creates facet UI from global facets + dynamic counts
+ * Registers sw.js with the data source URLs in its query string: it only
+ * keeps responses for those (a changed source list installs a new worker).
  */
-function renderFacets(dynamicCounts) {
-  const mount = els.facetsMount;
-  mount.innerHTML = "";
-
-  const facets = [
-    {
-      key: "category",
-      title: "Category",
-      selected: state.category,
-      allOptions: globalFacets.categories,
-      counts: dynamicCounts.category,
-      onToggle: (v) => toggleMulti(state.category, v),
-      allLabel: "All categories",
-    },
-    {
-      key: "publishers",
-      title: "Publisher",
-      selected: state.publishers,
-      allOptions: globalFacets.publishers,
-      counts: dynamicCounts.publishers,
-      onToggle: (v) => toggleMulti(state.publishers, v),
-      allLabel: "All publishers",
-    },
-    {
-      key: "languages",
-      title: "Language",
-      selected: state.languages,
-      allOptions: globalFacets.languages,
-      counts: dynamicCounts.languages,
-      onToggle: (v) => toggleMulti(state.languages, v),
-      allLabel: "All languages",
-    },
-    {
-      key: "tags",
-      title: "Tags",
-      selected: state.tags,
-      allOptions: globalFacets.tags,
-      counts: dynamicCounts.tags,
-      onToggle: (v) => toggleMulti(state.tags, v),
-      allLabel: "All tags",
-      isTags: true,
-    },
-  ];
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  const params = new URLSearchParams();
+  for (const source of getDataSources()) params.append("source", new URL(source.url, window.location.href).href);
+  navigator.serviceWorker.register(`./sw.js?${params}`).catch((err) => {
+    console.warn("Service worker not registered; offline mode is unavailable", err);
+  });
+}
 
-  const frag = document.createDocumentFragment();
+/**
+ * "Showing cached data from <time>" for sources served by sw.js from its
+ * cache (the network request failed).
+ * @param {{source: any, cachedAt: string}[]} cached
+ */
+function renderCacheNotice(cached) {
+  const mount = els.noticeMount;
+  mount.querySelectorAll("[data-notice='cache']").forEach((n) => n.remove());
+  if (!cached.length) return;
+
+  const when = (iso) => {
+    const ts = parseISODate(iso);
+    return Number.isFinite(ts) ? formatDate(ts, { dateStyle: "medium", timeStyle: "short" }) : uiText("offline.earlierVisit");
+  };
 
-  for (const f of facets) {
-    const card = document.createElement("div");
-    card.className = "facet";
+  const box = document.createElement("div");
+  box.className = "notice notice-offline";
+  box.dataset.notice = "cache";
+  box.setAttribute("role", "status");
+
+  const title = document.createElement("strong");
+  const oldest = cached.map((c) => c.cachedAt).sort()[0];
+  title.textContent = uiText("offline.cached", { when: when(oldest) });
+  box.appendChild(title);
+
+  if (getDataSources().length > 1) {
+    const list = document.createElement("ul");
+    for (const c of cached) {
+      const li = document.createElement("li");
+      li.textContent = uiText("offline.savedAt", { source: c.source.label, when: when(c.cachedAt) });
+      list.appendChild(li);
+    }
+    box.appendChild(list);
+  }
 
-    const details = document.createElement("details");
-    details.open = window.matchMedia("(min-width: 900px)").matches; // expanded on desktop
-    details.setAttribute("data-facet", f.key);
+  const reload = document.createElement("button");
+  reload.className = "btn";
+  reload.type = "button";
+  reload.textContent = uiText("offline.tryAgain");
+  reload.addEventListener("click", () => window.location.reload());
+  box.appendChild(reload);
 
-    const summary = document.createElement("summary");
-    summary.setAttribute("aria-label", `${f.title} filter group`);
-    const left = document.createElement("div");
-    left.className = "facet-title";
-    left.innerHTML = `<span>${f.title}</span> <span class="small">${f.selected.size ? `${f.selected.size} selected` : "All"}</span>`;
-    const caret = document.createElement("span");
-    caret.className = "small";
-    caret.textContent = details.open ? "Hide" : "Show";
-    summary.append(left, caret);
+  mount.appendChild(box);
+}
 
-    details.addEventListener("toggle", () => {
-      caret.textContent = details.open ? "Hide" : "Show";
-    });
+function cancelRetry() {
+  clearInterval(retryTimer);
+  retryTimer = null;
+  window.removeEventListener("online", retryNow);
+}
 
-    const chips = document.createElement("div");
-    chips.className = "chips";
-    chips.setAttribute("role", "group");
-    chips.setAttribute("aria-label", `${f.title} filters`);
+function retryNow() {
+  cancelRetry();
+  retryAttempt++;
+  loadData();
+}
 
-    // All chip
-    const allChip = makeChip("All", f.selected.size === 0, () => {
-      f.selected.clear();
-      state.page = 1;
-      syncStateToUrl();
-      update();
-    }, f.allLabel, true);
-    chips.appendChild(allChip);
+/**
+ * Counts down to the next automatic retry in `statusEl`. Offline, it waits
+ * for the browser's "online" event instead.
+ * @param {HTMLElement} statusEl
+ */
+function scheduleRetry(statusEl) {
+  cancelRetry();
+  window.addEventListener("online", retryNow);
 
-    // Options, sorted by count desc then label
-    let options = Array.from(f.allOptions.entries())
-      .map(([label, totalCount]) => ({ label, totalCount }))
-      .filter((x) => x.label);
+  if (navigator.onLine === false) {
+    statusEl.textContent = uiText("offline.waiting");
+    return;
+  }
 
-    if (f.isTags) {
-      // Sort tags by global frequency, then show top N by default
-      options.sort((a, b) => (b.totalCount - a.totalCount) || a.label.localeCompare(b.label));
-      const shown = state.tagsExpanded ? options : options.slice(0, TAGS_TOP_N);
-      appendOptionChips(chips, shown, f);
-
-      if (options.length > TAGS_TOP_N) {
-        const more = document.createElement("button");
-        more.type = "button";
-        more.className = "chip";
-        more.setAttribute("aria-pressed", String(state.tagsExpanded));
-        more.textContent = state.tagsExpanded ? "Less…" : "More…";
-        more.addEventListener("click", () => {
-          state.tagsExpanded = !state.tagsExpanded;
-          // UI-only toggle; no URL sync needed
-          update({ skipUrl: true });
-        });
-        chips.appendChild(more);
-      }
-    } else {
-      options.sort((a, b) => a.label.localeCompare(b.label));
-      appendOptionChips(chips, options, f);
+  const delay = RETRY_DELAYS_MS[Math.min(retryAttempt, RETRY_DELAYS_MS.length - 1)];
+  const due = Date.now() + delay;
+  const tick = () => {
+    const left = Math.ceil((due - Date.now()) / 1000);
+    if (left <= 0) {
+      retryNow();
+      return;
     }
+    statusEl.textContent = retryAttempt
+      ? uiText("offline.retryInAfter", { seconds: left, attempt: retryAttempt + 1 })
+      : uiText("offline.retryIn", { seconds: left });
+  };
+  tick();
+  retryTimer = setInterval(tick, 1000);
+}
 
-    details.append(summary, chips);
-    card.appendChild(details);
-    frag.appendChild(card);
-  }
+// ------------------------------------------------------------
+// Dataset validation
+// ------------------------------------------------------------
+// Checks raw records against the schema documented in index.html before
+// normalizeArticles() papers over problems. Errors are things the UI gets
+// visibly wrong (no title, unparseable date, clashing ids); warnings are
+// recoverable oddities. Nothing here rejects a record.
 
-  mount.appendChild(frag);
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const LANGUAGE_RE = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
 
-  function appendOptionChips(chipsEl, optionsArr, facet) {
-    for (const opt of optionsArr) {
+/**
+ * @param {{record: any, source: any, index: number}[]} entries
+ * @param {ReturnType<typeof mergeSourceRecords>} merged the same entries merged
+ * @returns {{level: "error"|"warning", id: string, articleId: string, index: number, source: string, path: string, message: string, params: Record<string, any>}[]}
+ *   `id` is the record's own id, `articleId` the one it was loaded under;
+ *   `message` is a diagnostics.* catalog key, filled in with `params` when rendered
+ */
+function validateRecords(entries, merged) {
+  const out = [];
+  const multiSource = new Set(entries.map((e) => e.source.id)).size > 1;
+  const labelOf = ({ source, index }) => `#${index + 1}${multiSource ? ` (${source.label})` : ""}`;
+  const renameOf = new Map(merged.renames.map((r) => [r.entry, r]));
+
+  for (const [pos, { record: r, source, index }] of entries.entries()) {
+    const label = labelOf(entries[pos]);
+    const rawId = r && typeof r === "object" && r.id != null && r.id !== "" ? String(r.id) : "";
+    const articleId = merged.ids[pos] || "";
+    const add = (level, path, message, params = {}) => out.push({ level, id: rawId, articleId, index, source: source.label, path, message, params });
+
+    if (!r || typeof r !== "object" || Array.isArray(r)) {
+      add("error", "", "diagnostics.notObject", { record: label });
+      continue;
+    }
+
+    // id
+    if (!rawId) {
+      add("error", "id", r.url ? "diagnostics.missingIdUrl" : "diagnostics.missingIdGenerated", { record: label });
+    } else if (typeof r.id !== "string") {
+      add("warning", "id", "diagnostics.notString", { field: "id", type: typeof r.id });
+    }
+    const rename = renameOf.get(pos);
+    if (rename) add("error", "id", "diagnostics.renamed", { from: rename.from, to: rename.to, record: labelOf(entries[rename.clash]) });
+
+    // Required strings
+    requireString(r, "title", "error", "diagnostics.missingTitle", add);
+    requireString(r, "url", "error", "diagnostics.missingUrl", add);
+    requireString(r, "description", "warning", "diagnostics.missingDescription", add);
+    requireString(r, "category", "warning", "diagnostics.missingCategory", add);
+    requireString(r, "language", "warning", "diagnostics.missingLanguage", add);
+    if (typeof r.language === "string" && r.language && !LANGUAGE_RE.test(r.language)) {
+      add("warning", "language", "diagnostics.badLanguage", { value: r.language });
+    }
+
+    // URLs
+    checkUrl(r.url, "url", add);
+    checkUrl(r.imageUrl, "imageUrl", add);
+
+    // Publisher
+    if (r.publisher == null) {
+      add("error", "publisher", "diagnostics.missingPublisher");
+    } else if (typeof r.publisher !== "object" || Array.isArray(r.publisher)) {
+      add("error", "publisher", "diagnostics.publisherNotObject", { type: describeType(r.publisher) });
+    } else {
+      if (typeof r.publisher.name !== "string" || !r.publisher.name.trim()) {
+        add("error", "publisher.name", "diagnostics.missingPublisherName");
+      }
+      checkUrl(r.publisher.url, "publisher.url", add);
+      checkUrl(r.publisher.logoUrl, "publisher.logoUrl", add);
+    }
+
+    // Dates
+    const published = checkDate(r.publishedAt, "publishedAt", true, add);
+    const updated = checkDate(r.updatedAt, "updatedAt", false, add);
+    if (Number.isFinite(published) && Number.isFinite(updated) && updated < published) {
+      add("warning", "updatedAt", "diagnostics.updatedBeforePublished");
+    }
+
+    // Tags
+    if (r.tags == null) {
+      add("warning", "tags", "diagnostics.missingTags");
+    } else if (!Array.isArray(r.tags)) {
+      add("error", "tags", "diagnostics.tagsNotArray", { type: describeType(r.tags) });
+    } else {
+      r.tags.forEach((t, i) => {
+        if (typeof t !== "string" || !t.trim()) add("warning", `tags[${i}]`, "diagnostics.badTag", { type: describeType(t) });
+      });
+    }
+
+    // Optional scalars
+    for (const key of ["content", "author", "country", "sourceType"]) {
+      if (r[key] != null && typeof r[key] !== "string") add("warning", key, "diagnostics.notString", { field: key, type: describeType(r[key]) });
+    }
+    if (r.readingTimeMinutes != null && !(Number.isFinite(r.readingTimeMinutes) && r.readingTimeMinutes >= 0)) {
+      add("warning", "readingTimeMinutes", "diagnostics.badReadingTime", { value: JSON.stringify(r.readingTimeMinutes) });
+    }
+  }
+
+  return out;
+}
+
+function describeType(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "string") return `string “${v.length > 30 ? `${v.slice(0, 30)}…` : v}”`;
+  return typeof v;
+}
+
+function requireString(r, key, level, missingMessage, add) {
+  const v = r[key];
+  if (v == null || v === "") add(level, key, missingMessage);
+  else if (typeof v !== "string") add(level, key, "diagnostics.notString", { field: key, type: describeType(v) });
+}
+
+function checkUrl(value, path, add) {
+  if (value == null || value === "") return;
+  if (typeof value !== "string") {
+    add("warning", path, "diagnostics.urlNotString", { field: path, type: describeType(value) });
+    return;
+  }
+  try {
+    const u = new URL(value, window.location.href);
+    if (!/^https?:$/.test(u.protocol)) add("warning", path, "diagnostics.urlScheme", { field: path, scheme: u.protocol });
+  } catch {
+    add("warning", path, "diagnostics.urlInvalid", { field: path });
+  }
+}
+
+/**
+ * @returns {number} parsed timestamp (NaN when missing/invalid)
+ */
+function checkDate(value, path, required, add) {
+  if (value == null || value === "") {
+    if (required) add("error", path, "diagnostics.missingDate", { field: path });
+    return NaN;
+  }
+  if (typeof value !== "string") {
+    add("error", path, "diagnostics.dateNotString", { field: path, type: describeType(value) });
+    return NaN;
+  }
+  const ts = parseISODate(value);
+  if (!Number.isFinite(ts)) {
+    add("error", path, "diagnostics.dateInvalid", { field: path, value });
+    return NaN;
+  }
+  if (!ISO_DATE_RE.test(value)) add("warning", path, "diagnostics.dateNotIso", { field: path, value });
+  return ts;
+}
+
+/**
+ * Collapsible list of validation problems above the results.
+ * @param {ReturnType<typeof validateRecords>} diagnostics
+ */
+function renderDiagnostics(diagnostics) {
+  const mount = els.noticeMount;
+  const wasOpen = Boolean(mount.querySelector("[data-notice='diagnostics']")?.open);
+  mount.querySelectorAll("[data-notice='diagnostics']").forEach((n) => n.remove());
+  if (!diagnostics.length) return;
+
+  const errors = diagnostics.filter((d) => d.level === "error");
+  const warnings = diagnostics.filter((d) => d.level === "warning");
+
+  const details = document.createElement("details");
+  details.className = `notice diagnostics ${errors.length ? "notice-warning" : ""}`;
+  details.dataset.notice = "diagnostics";
+  details.open = wasOpen;
+
+  const summary = document.createElement("summary");
+  const affected = new Set(diagnostics.map((d) => `${d.source}#${d.index}`)).size;
+  summary.textContent = uiText("diagnostics.summary", {
+    errors: uiText("diagnostics.errors", { count: errors.length }),
+    warnings: uiText("diagnostics.warnings", { count: warnings.length }),
+    records: uiText("diagnostics.records", { count: affected }),
+  });
+
+  const table = document.createElement("table");
+  table.className = "diagnostics-table";
+  const head = document.createElement("thead");
+  const headRow = document.createElement("tr");
+  for (const key of ["diagnostics.level", "diagnostics.article", "diagnostics.field", "diagnostics.problem"]) {
+    const th = document.createElement("th");
+    th.scope = "col";
+    th.textContent = uiText(key);
+    headRow.appendChild(th);
+  }
+  head.appendChild(headRow);
+  const body = document.createElement("tbody");
+
+  for (const d of [...errors, ...warnings]) {
+    const tr = document.createElement("tr");
+    tr.className = `diag-${d.level}`;
+
+    const level = document.createElement("td");
+    level.textContent = uiText(`diagnostics.${d.level}`);
+
+    const article = document.createElement("td");
+    if (d.articleId && articlesById.has(d.articleId)) {
+      const link = document.createElement("a");
+      link.href = articleHref(d.articleId);
+      link.textContent = d.id || `#${d.index + 1}`;
+      article.appendChild(link);
+    } else {
+      article.textContent = d.id || `#${d.index + 1}`;
+    }
+    if (d.source && new Set(diagnostics.map((x) => x.source)).size > 1) {
+      article.append(` (${d.source})`);
+    }
+
+    const path = document.createElement("td");
+    const code = document.createElement("code");
+    code.textContent = d.path || "—";
+    path.appendChild(code);
+
+    const msg = document.createElement("td");
+    msg.textContent = uiText(d.message, d.params);
+
+    tr.append(level, article, path, msg);
+    body.appendChild(tr);
+  }
+
+  table.append(head, body);
+  const scroller = document.createElement("div");
+  scroller.className = "diagnostics-scroll";
+  scroller.appendChild(table);
+
+  details.append(summary, scroller);
+  mount.appendChild(details);
+}
+
+/**
+ * loadData(): fetches + merges the configured data sources
+ */
+async function loadData() {
+  cancelRetry();
+  renderSkeletons(9);
+
+  try {
+    const { entries, failures, warnings, cached } = await loadSources(getDataSources());
+    if (failures.length && failures.length === getDataSources().length) {
+      throw new Error(failures.map((f) => `${f.source.label}: ${f.error}`).join("; "));
+    }
+    retryAttempt = 0;
+    const merged = mergeSourceRecords(entries);
+    applyDataset({ articles: merged.articles, diagnostics: validateRecords(entries, merged), failures, warnings, cached });
+
+    // Restore state from URL + controls
+    await expandShareLink();
+    renderLinkNotice(readStateFromUrl());
+    renderControls();
+    startAutoRefresh();
+
+    // Initial render, then the deep link (#/article/<id>) on a cold load
+    // (the reader's prev/next needs the result list)
+    update({ history: "replace", then: () => renderRoute() });
+  } catch (err) {
+    renderError(err);
+  }
+}
+
+/**
+ * Makes `data.articles` (merged raw records) the current dataset: derived
+ * data, search index, notices and the header count. Callers re-render.
+ * @param {{articles: any[], diagnostics: any[], failures: any[], warnings: any[], cached: any[]}} data
+ */
+function applyDataset({ articles, diagnostics, failures, warnings, cached }) {
+  allArticles = articles;
+  datasetNotices = { diagnostics, failures, warnings, cached };
+  renderSourceNotices(failures, warnings);
+  renderCacheNotice(cached);
+
+  tagSynonyms = getTagSynonyms();
+  normalizeTag = makeTagNormalizer(articles, tagSynonyms);
+  normalizedArticles = normalizeArticles(articles, { normalizeTag });
+  articlesById = new Map(normalizedArticles.map((a) => [a.id, a]));
+  globalFacets = computeFacets(normalizedArticles);
+  startSearchEngine();
+  renderDiagnostics(diagnostics);
+
+  renderArticleCount();
+}
+
+// Header count badge (total articles)
+function renderArticleCount() {
+  const n = normalizedArticles.length;
+  els.articleCount.textContent = formatCount(n);
+  els.articleCountLabel.textContent = uiText("header.articles", { count: n });
+}
+
+// ------------------------------------------------------------
+// Live refresh
+// ------------------------------------------------------------
+// checkForUpdates() re-fetches the sources (manually or every N minutes)
+// and diffs them by id against allArticles. Changes wait behind a
+// "5 new, 2 updated" banner so the page doesn't shift under the reader;
+// clicking it swaps the dataset in and re-runs update(). Articles added or
+// updated this way keep a badge until opened.
+
+const REFRESH_PREFS_KEY = "news.refreshPrefs.v1";
+const REFRESH_INTERVALS_MS = [0, 60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000]; // 0 = off
+
+let refreshTimer = null;
+let refreshInFlight = false;
+let pendingRefresh = null; // checked but not applied yet (see checkForUpdates())
+const liveChanges = { added: new Set(), updated: new Set() }; // ids, for card badges
+
+function loadRefreshInterval() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(REFRESH_PREFS_KEY) || "null");
+    return REFRESH_INTERVALS_MS.includes(stored?.intervalMs) ? stored.intervalMs : 0;
+  } catch {
+    return 0;
+  }
+}
+
+function saveRefreshInterval(intervalMs) {
+  try {
+    localStorage.setItem(REFRESH_PREFS_KEY, JSON.stringify({ intervalMs }));
+  } catch {
+    // Preferences are best-effort
+  }
+}
+
+function startAutoRefresh(intervalMs = loadRefreshInterval()) {
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+  if (!intervalMs) return;
+  refreshTimer = setInterval(() => {
+    if (document.visibilityState !== "hidden") checkForUpdates();
+  }, intervalMs);
+}
+
+/**
+ * Ids added / updated (different updatedAt) / removed in `next` vs `prev`.
+ * @param {any[]} prev raw records
+ * @param {any[]} next raw records
+ */
+function diffArticles(prev, next) {
+  const before = new Map(prev.map((a) => [a.id, a]));
+  const added = [];
+  const updated = [];
+  for (const a of next) {
+    const old = before.get(a.id);
+    before.delete(a.id);
+    if (!old) added.push(a.id);
+    else if ((a.updatedAt || "") !== (old.updatedAt || "")) updated.push(a.id);
+  }
+  return { added, updated, removed: Array.from(before.keys()) };
+}
+
+/**
+ * Re-fetches every source; differences are held in pendingRefresh and
+ * announced by the banner. Cached (offline) answers never count as news.
+ * @param {{manual?: boolean}} [opts] manual: report the outcome in the status line
+ */
+async function checkForUpdates({ manual = false } = {}) {
+  if (refreshInFlight) return;
+  refreshInFlight = true;
+  if (manual) setStatus(uiText("refresh.checking"));
+
+  try {
+    const sources = getDataSources();
+    const { entries, failures, warnings, cached } = await loadSources(sources);
+    if (failures.length + cached.length >= sources.length) {
+      if (manual) setStatus(uiText("refresh.unreachable"));
+      return;
+    }
+
+    const merged = mergeSourceRecords(entries);
+    const { articles } = merged;
+    const diff = diffArticles(allArticles, articles);
+    if (!diff.added.length && !diff.updated.length && !diff.removed.length) {
+      pendingRefresh = null;
+      renderRefreshBanner();
+      if (manual) setStatus(uiText("refresh.none"));
+      return;
+    }
+
+    pendingRefresh = { articles, diagnostics: validateRecords(entries, merged), failures, warnings, cached, ...diff };
+    renderRefreshBanner();
+    if (manual) setStatus("");
+  } catch (err) {
+    console.warn("Update check failed", err);
+    if (manual) setStatus(uiText("refresh.failed", { error: err?.message || err }));
+  } finally {
+    refreshInFlight = false;
+  }
+}
+
+/**
+ * "5 new, 2 updated" (zero counts left out).
+ */
+function describeRefresh({ added, updated, removed }) {
+  const parts = [];
+  if (added.length) parts.push(uiText("refresh.new", { count: added.length }));
+  if (updated.length) parts.push(uiText("refresh.updated", { count: updated.length }));
+  if (removed.length) parts.push(uiText("refresh.removed", { count: removed.length }));
+  return formatList(parts);
+}
+
+function renderRefreshBanner() {
+  const banner = els.refreshBanner;
+  banner.hidden = !pendingRefresh;
+  if (!pendingRefresh) return;
+  const label = describeRefresh(pendingRefresh);
+  banner.textContent = uiText("refresh.banner", { changes: label });
+  banner.setAttribute("aria-label", uiText("refresh.bannerLabel", { changes: label }));
+}
+
+/**
+ * Swaps in the dataset held by the banner and re-renders in place.
+ */
+function applyRefresh() {
+  const pending = pendingRefresh;
+  if (!pending) return;
+  pendingRefresh = null;
+  renderRefreshBanner();
+
+  pending.added.forEach((id) => liveChanges.added.add(id));
+  pending.updated.forEach((id) => liveChanges.updated.add(id));
+  applyDataset(pending);
+  update({ skipUrl: true });
+  setStatus(uiText("refresh.loaded", { changes: describeRefresh(pending) }));
+}
+
+// ------------------------------------------------------------
+// Search engine (main thread or worker)
+// ------------------------------------------------------------
+// Small datasets are searched synchronously against a main-thread index.
+// From WORKER_MIN_ARTICLES up, search-worker.js holds the index and
+// update() renders when its answer arrives; answers to superseded queries
+// are dropped (the worker also abandons them mid-way). Results are indexes
+// into normalizedArticles, which the worker rebuilds from the same
+// allArticles array in the same order.
+
+const WORKER_MIN_ARTICLES = 5000;
+
+let searchIndex = null;
+let searchWorker = null;
+let searchSeq = 0;
+const pendingSearches = new Map(); // seq -> callback
+let pendingRender = null; // update() options waiting on a worker answer (see update())
+
+/**
+ * (Re)builds the index for normalizedArticles on the main thread or in
+ * the worker, depending on dataset size.
+ */
+function startSearchEngine() {
+  searchIndex = null;
+
+  if (normalizedArticles.length >= WORKER_MIN_ARTICLES && typeof Worker === "function") {
+    try {
+      if (!searchWorker) {
+        searchWorker = new Worker("./search-worker.js");
+        searchWorker.addEventListener("message", onSearchWorkerMessage);
+        searchWorker.addEventListener("error", onSearchWorkerError);
+      }
+      searchWorker.postMessage({ type: "load", articles: allArticles, tagSynonyms });
+      return;
+    } catch {
+      searchWorker = null;
+    }
+  }
+
+  // A refresh can shrink the dataset below WORKER_MIN_ARTICLES: the worker's
+  // index (and its answers) would no longer match normalizedArticles
+  stopSearchWorker();
+  searchIndex = buildSearchIndex(normalizedArticles);
+}
+
+function stopSearchWorker() {
+  searchWorker?.terminate();
+  searchWorker = null;
+  pendingSearches.clear();
+}
+
+function onSearchWorkerMessage(e) {
+  const msg = e.data;
+  if (msg?.type !== "result") return;
+
+  const done = pendingSearches.get(msg.seq);
+  // Anything older was superseded; the worker never answers those
+  for (const seq of pendingSearches.keys()) if (seq <= msg.seq) pendingSearches.delete(seq);
+  if (msg.seq === searchSeq) done?.(msg.result);
+}
+
+/**
+ * The worker script failed (e.g. blocked or missing): search on the main
+ * thread instead and re-run the pending query.
+ */
+function onSearchWorkerError(e) {
+  e.preventDefault?.();
+  stopSearchWorker();
+  searchIndex = buildSearchIndex(normalizedArticles);
+  update({ skipUrl: true });
+}
+
+/**
+ * Engine query for `s` (see searchSteps() in search-engine.js).
+ * @param {any} s app state, or a state-shaped object (see viewToState())
+ */
+function makeSearchQuery(s = state) {
+  return {
+    q: s.q,
+    sort: s.sort,
+    selected: Object.fromEntries(FACETS.map((f) => [f.key, s[f.key] || new Set()])),
+    excluded: Object.fromEntries(FACETS.map((f) => [f.key, s.excluded?.[f.key] || new Set()])),
+    modes: { ...s.facetModes },
+    dateRange: getActiveDateRange(s),
+    savedIds: s.savedList ? getReadingList(s.savedList)?.items || new Set() : null,
+    readIds: s.hideRead ? readState.read : null,
+    cluster: state.cluster, // display setting, not part of a saved view
+  };
+}
+
+/**
+ * Apply filters (including search) + sorting, plus dynamic facet counts
+ * when `query.counts`. Calls `done(result)` right away on the main-thread
+ * engine, or when the worker answers (never for a superseded query).
+ * @param {ReturnType<typeof makeSearchQuery>} query
+ * @param {(result: any) => void} done
+ */
+function applyFiltersAndSort(query, done) {
+  if (searchWorker) {
+    const seq = ++searchSeq;
+    pendingSearches.set(seq, done);
+    searchWorker.postMessage({ type: "search", seq, query });
+    return;
+  }
+  done(runSearch(searchIndex, query));
+}
+
+/**
+ * paginate(): slices a list based on state.page + state.pageSize
+ * @param {any[]} list
+ */
+function paginate(list) {
+  const total = list.length;
+  const pageSize = state.pageSize;
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  const page = clamp(state.page, 1, totalPages);
+
+  const startIdx = (page - 1) * pageSize;
+  const endIdx = Math.min(startIdx + pageSize, total);
+
+  return {
+    total,
+    page,
+    pageSize,
+    totalPages,
+    startIdx,
+    endIdx,
+    pageItems: list.slice(startIdx, endIdx),
+  };
+}
+
+// ------------------------------------------------------------
+// Date facet
+// ------------------------------------------------------------
+
+/**
+ * Date filter of `s` as absolute bounds, or null when inactive.
+ * @returns {{from: number, to: number} | null}
+ */
+function getActiveDateRange(s = state) {
+  if (s.datePreset && DATE_PRESETS[s.datePreset]) {
+    const now = Date.now();
+    return { from: DATE_PRESETS[s.datePreset].from(now), to: Infinity };
+  }
+
+  const from = parseDateInput(s.dateFrom);
+  const to = parseDateInput(s.dateTo, true);
+  if (!Number.isFinite(from) && !Number.isFinite(to)) return null;
+
+  return {
+    from: Number.isFinite(from) ? from : -Infinity,
+    to: Number.isFinite(to) ? to : Infinity,
+  };
+}
+
+function setDatePreset(key) {
+  state.datePreset = key;
+  state.dateFrom = "";
+  state.dateTo = "";
+  state.page = 1;
+  syncStateToUrl();
+  update();
+}
+
+function setDateRange(from, to) {
+  // YYYY-MM-DD compares as text; a reversed range would match nothing
+  if (from && to && from > to) [from, to] = [to, from];
+  state.datePreset = "";
+  state.dateFrom = from || "";
+  state.dateTo = to || "";
+  state.page = 1;
+  syncStateToUrl();
+  update();
+}
+
+// ------------------------------------------------------------
+// Read / unread tracking (localStorage)
+// ------------------------------------------------------------
+// { version, read: { [articleId]: openedAtTs }, lastSeenAt, previousVisitAt }
+// A "visit" starts after VISIT_GAP_MS of inactivity; articles published or
+// updated after the previous visit get a "New"/"Updated" badge until read.
+
+const READ_STATE_KEY = "news.readState.v1";
+const VISIT_GAP_MS = 30 * 60 * 1000;
+
+const readState = loadReadState();
+
+function loadReadState() {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(READ_STATE_KEY) || "null");
+  } catch {
+    // Corrupt or unavailable storage: start fresh
+  }
+
+  const read = new Map();
+  if (stored?.read && typeof stored.read === "object") {
+    for (const [id, ts] of Object.entries(stored.read)) {
+      if (Number.isFinite(ts)) read.set(id, ts);
+    }
+  }
+
+  const now = Date.now();
+  const lastSeenAt = Number.isFinite(stored?.lastSeenAt) ? stored.lastSeenAt : null;
+  let previousVisitAt = Number.isFinite(stored?.previousVisitAt) ? stored.previousVisitAt : null;
+  if (lastSeenAt != null && now - lastSeenAt > VISIT_GAP_MS) previousVisitAt = lastSeenAt;
+
+  return { read, lastSeenAt: now, previousVisitAt };
+}
+
+function saveReadState() {
+  readState.lastSeenAt = Date.now();
+  try {
+    localStorage.setItem(READ_STATE_KEY, JSON.stringify({
+      version: 1,
+      read: Object.fromEntries(readState.read),
+      lastSeenAt: readState.lastSeenAt,
+      previousVisitAt: readState.previousVisitAt,
+    }));
+  } catch {
+    // Read markers are best-effort
+  }
+}
+
+function isRead(articleId) {
+  return readState.read.has(articleId);
+}
+
+/**
+ * Records that articles were opened and dims their cards in place
+ * (no re-render, so the list does not jump under "Hide read").
+ * @param {string[]} ids
+ */
+function markRead(ids) {
+  const now = Date.now();
+  for (const id of ids) {
+    if (id && !readState.read.has(id)) readState.read.set(id, now);
+    liveChanges.updated.delete(id);
+  }
+  saveReadState();
+
+  for (const card of els.cardsMount.querySelectorAll(".card")) {
+    if (!ids.includes(card.dataset.id)) continue;
+    card.classList.add("is-read");
+    card.querySelector(".badge-new")?.remove();
+  }
+}
+
+/**
+ * "New" / "Updated" since the previous visit or a live refresh, or "" (also
+ * "" once read; a live update shows even on an article read before it).
+ * @param {any} a
+ */
+function freshnessLabel(a) {
+  if (liveChanges.updated.has(a?.id)) return uiText("badge.updated");
+  if (isRead(a?.id)) return "";
+  if (liveChanges.added.has(a?.id)) return uiText("badge.new");
+  const since = readState.previousVisitAt;
+  if (since == null) return "";
+  if (a._publishedTs > since) return uiText("badge.new");
+  if (a._updatedTs > since) return uiText("badge.updated");
+  return "";
+}
+
+function markPageRead() {
+  const ids = lastResult.paged.map((a) => a.id);
+  markRead(ids);
+  if (state.hideRead) update({ skipUrl: true });
+  else els.markPageReadBtn.hidden = true;
+  setStatus(uiText("results.markedRead", { count: ids.length }));
+}
+
+// ------------------------------------------------------------
+// Bookmarks / reading lists (localStorage)
+// ------------------------------------------------------------
+// Stored as { version, lists: [{ id, name, ids: [articleId, ...] }] }.
+// In memory each list also carries `items` (a Set) for O(1) lookups.
+// The first list ("Saved") always exists and cannot be deleted.
+
+const READING_LISTS_KEY = "news.readingLists.v1";
+const DEFAULT_LIST = { id: "saved", name: "Saved" };
+
+let readingLists = loadReadingLists();
+
+function makeReadingList(id, name, ids = []) {
+  return { id, name, items: new Set(ids.filter((x) => typeof x === "string" && x)) };
+}
+
+/**
+ * Parses stored/imported lists; anything malformed is skipped.
+ * @param {any} json
+ */
+function parseReadingLists(json) {
+  const raw = Array.isArray(json?.lists) ? json.lists : [];
+  const out = [];
+  for (const l of raw) {
+    if (!l || typeof l.name !== "string" || !l.name.trim()) continue;
+    const id = typeof l.id === "string" && l.id ? l.id : makeLocalId("l");
+    if (out.some((x) => x.id === id)) continue;
+    out.push(makeReadingList(id, l.name.trim(), Array.isArray(l.ids) ? l.ids : []));
+  }
+  return out;
+}
+
+function loadReadingLists() {
+  let lists = [];
+  try {
+    lists = parseReadingLists(JSON.parse(localStorage.getItem(READING_LISTS_KEY) || "null"));
+  } catch {
+    // Corrupt or unavailable storage: start fresh
+  }
+  if (!lists.some((l) => l.id === DEFAULT_LIST.id)) {
+    lists.unshift(makeReadingList(DEFAULT_LIST.id, DEFAULT_LIST.name));
+  }
+  return lists;
+}
+
+function serializeReadingLists() {
+  return {
+    version: 1,
+    lists: readingLists.map((l) => ({ id: l.id, name: l.name, ids: Array.from(l.items) })),
+  };
+}
+
+function saveReadingLists() {
+  try {
+    localStorage.setItem(READING_LISTS_KEY, JSON.stringify(serializeReadingLists()));
+  } catch {
+    setStatus(uiText("lists.storageError"));
+  }
+}
+
+/**
+ * Reasonably unique id for locally stored records (lists, views).
+ * @param {string} prefix
+ */
+function makeLocalId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function getReadingList(id) {
+  return readingLists.find((l) => l.id === id) || null;
+}
+
+function isBookmarked(articleId) {
+  return readingLists.some((l) => l.items.has(articleId));
+}
+
+/**
+ * Creates a list (or returns the existing one with that name).
+ * @param {string} name
+ */
+function createReadingList(name) {
+  const clean = (name || "").trim();
+  if (!clean) return null;
+  const existing = readingLists.find((l) => l.name.toLowerCase() === clean.toLowerCase());
+  if (existing) return existing;
+
+  const list = makeReadingList(makeLocalId("l"), clean);
+  readingLists.push(list);
+  saveReadingLists();
+  return list;
+}
+
+function renameReadingList(id, name) {
+  const list = getReadingList(id);
+  const clean = (name || "").trim();
+  if (!list || !clean) return;
+  list.name = clean;
+  saveReadingLists();
+  update({ skipUrl: true });
+}
+
+function deleteReadingList(id) {
+  if (id === DEFAULT_LIST.id) return;
+  readingLists = readingLists.filter((l) => l.id !== id);
+  saveReadingLists();
+  if (state.savedList === id) state.savedList = "";
+  update();
+}
+
+/**
+ * Adds/removes an article from a list. Only re-renders the results when
+ * the saved view is showing (otherwise the card updates in place).
+ */
+function toggleInReadingList(listId, articleId) {
+  const list = getReadingList(listId);
+  if (!list || !articleId) return;
+  toggleMulti(list.items, articleId);
+  saveReadingLists();
+  if (state.savedList) update();
+  else update({ skipUrl: true, facetsOnly: true }); // list counts only; cards stay put
+}
+
+function setSavedList(id) {
+  state.savedList = id;
+  state.page = 1;
+  syncStateToUrl();
+  update();
+}
+
+/**
+ * Downloads all lists as JSON (re-importable on another machine).
+ */
+function exportReadingLists() {
+  const payload = { ...serializeReadingLists(), exportedAt: new Date().toISOString() };
+  downloadFile(`reading-lists-${toDateInputValue(Date.now())}.json`, JSON.stringify(payload, null, 2), "application/json");
+}
+
+/**
+ * Merges lists from an exported file: same-named lists are unioned,
+ * new names are added.
+ * @param {File} file
+ */
+async function importReadingLists(file) {
+  let incoming;
+  try {
+    incoming = parseReadingLists(JSON.parse(await file.text()));
+  } catch {
+    setStatus(uiText("lists.importInvalid"));
+    return;
+  }
+  if (!incoming.length) {
+    setStatus(uiText("lists.importEmpty"));
+    return;
+  }
+
+  let added = 0;
+  for (const inc of incoming) {
+    const target = inc.id === DEFAULT_LIST.id ? getReadingList(DEFAULT_LIST.id) : createReadingList(inc.name);
+    for (const id of inc.items) {
+      if (!target.items.has(id)) {
+        target.items.add(id);
+        added++;
+      }
+    }
+  }
+  saveReadingLists();
+  update({ skipUrl: true });
+  setStatus(uiText("lists.imported", { count: incoming.length, added }));
+}
+
+// ------------------------------------------------------------
+// Saved views (named filter states, localStorage)
+// ------------------------------------------------------------
+// A view is a snapshot of everything the URL carries except the page:
+// { id, name, createdAt, snapshot: { q, sort, pageSize, facets: { key: [...] },
+//   datePreset, dateFrom, dateTo, savedList, hideRead } }
+// Snapshots store plain values, so they outlive dataset changes; values that
+// are no longer in globalFacets are flagged and skipped when applied.
+
+const SAVED_VIEWS_KEY = "news.savedViews.v1";
+
+let savedViews = loadSavedViews();
+
+function loadSavedViews() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SAVED_VIEWS_KEY) || "null");
+    const views = Array.isArray(stored?.views) ? stored.views : [];
+    return views.filter((v) => v && typeof v.id === "string" && typeof v.name === "string" && v.snapshot);
+  } catch {
+    return [];
+  }
+}
+
+function saveSavedViews() {
+  try {
+    localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify({ version: 1, views: savedViews }));
+  } catch {
+    setStatus(uiText("views.storageError"));
+  }
+}
+
+/**
+ * Plain-JSON snapshot of the filter state (no page, no UI-only fields).
+ * Facet values are sorted so equal states compare equal.
+ */
+function snapshotFilterState(s = state) {
+  return {
+    q: (s.q || "").trim(),
+    sort: s.sort,
+    pageSize: s.pageSize,
+    facets: Object.fromEntries(
+      FACETS.filter((f) => s[f.key]?.size).map((f) => [f.key, Array.from(s[f.key]).sort()])
+    ),
+    excluded: Object.fromEntries(
+      FACETS.filter((f) => s.excluded?.[f.key]?.size).map((f) => [f.key, Array.from(s.excluded[f.key]).sort()])
+    ),
+    facetModes: Object.fromEntries(FACETS.filter((f) => s.facetModes?.[f.key] === "all").map((f) => [f.key, "all"])),
+    datePreset: s.datePreset || "",
+    dateFrom: s.dateFrom || "",
+    dateTo: s.dateTo || "",
+    savedList: s.savedList || "",
+    hideRead: Boolean(s.hideRead),
+  };
+}
+
+/**
+ * State-shaped object for a snapshot (what makeSearchQuery() expects).
+ * Unknown sorts / page sizes fall back to defaults.
+ */
+function viewToState(snapshot) {
+  const out = {
+    q: typeof snapshot?.q === "string" ? snapshot.q : "",
+    sort: Object.values(SORTS).includes(snapshot?.sort) ? snapshot.sort : SORTS.newest,
+    pageSize: [10, 20, 50].includes(snapshot?.pageSize) ? snapshot.pageSize : 20,
+    datePreset: DATE_PRESETS[snapshot?.datePreset] ? snapshot.datePreset : "",
+    dateFrom: snapshot?.dateFrom || "",
+    dateTo: snapshot?.dateTo || "",
+    savedList: getReadingList(snapshot?.savedList) ? snapshot.savedList : "",
+    hideRead: Boolean(snapshot?.hideRead),
+    excluded: {},
+    facetModes: {},
+  };
+  const known = (f, values) => new Set((Array.isArray(values) ? values : [])
+    .map((v) => canonicalFacetValue(f.key, v))
+    .filter((v) => globalFacets[f.key]?.has(v)));
+  for (const f of FACETS) {
+    out[f.key] = known(f, snapshot?.facets?.[f.key]);
+    out.excluded[f.key] = known(f, snapshot?.excluded?.[f.key]);
+    if (f.multiValue && snapshot?.facetModes?.[f.key] === "all") out.facetModes[f.key] = "all";
+  }
+  return out;
+}
+
+/**
+ * Parts of a view that no longer resolve against the loaded dataset
+ * (facet values missing from globalFacets, removed facets, deleted lists).
+ * @returns {string[]} human-readable descriptions
+ */
+function staleViewParts(view) {
+  const out = [];
+  const check = (groups, excluded) => {
+    for (const [key, values] of Object.entries(groups || {})) {
+      const facet = FACETS.find((f) => f.key === key);
+      if (!facet) {
+        out.push(uiText("views.staleFilter", { key }));
+        continue;
+      }
+      for (const v of values) {
+        if (globalFacets[key]?.has(canonicalFacetValue(key, v))) continue;
+        const value = facetValueLabel(key, v);
+        out.push(uiText("filters.facet", { facet: facetTitle(facet), values: excluded ? uiText("filters.not", { values: value }) : value }));
+      }
+    }
+  };
+  check(view.snapshot?.facets, false);
+  check(view.snapshot?.excluded, true);
+  if (view.snapshot?.savedList && !getReadingList(view.snapshot.savedList)) out.push(uiText("views.staleList"));
+  return out;
+}
+
+function isCurrentView(view) {
+  return JSON.stringify(snapshotFilterState(viewToState(view.snapshot))) === JSON.stringify(snapshotFilterState());
+}
+
+function saveCurrentView(name) {
+  const clean = (name || "").trim();
+  if (!clean) return;
+
+  // Same name overwrites (lets people "update" a view)
+  const existing = savedViews.find((v) => v.name.toLowerCase() === clean.toLowerCase());
+  const snapshot = snapshotFilterState();
+  if (existing) {
+    existing.snapshot = snapshot;
+  } else {
+    savedViews.push({ id: makeLocalId("v"), name: clean, createdAt: new Date().toISOString(), snapshot });
+  }
+  saveSavedViews();
+  update({ skipUrl: true });
+  setStatus(uiText("views.saved", { name: clean }));
+}
+
+function renameSavedView(id, name) {
+  const view = savedViews.find((v) => v.id === id);
+  const clean = (name || "").trim();
+  if (!view || !clean) return;
+  view.name = clean;
+  saveSavedViews();
+  update({ skipUrl: true });
+}
+
+function deleteSavedView(id) {
+  savedViews = savedViews.filter((v) => v.id !== id);
+  saveSavedViews();
+  update({ skipUrl: true });
+}
+
+/**
+ * Replaces the current filter state with a saved view.
+ */
+function applySavedView(id) {
+  const view = savedViews.find((v) => v.id === id);
+  if (!view) return;
+
+  const next = viewToState(view.snapshot);
+  Object.assign(state, next, { page: 1 });
+  state.expandedFacets.clear();
+
+  els.searchInput.value = state.q;
+  els.sortSelect.value = state.sort;
+  els.pageSizeSelect.value = String(state.pageSize);
+  els.hideReadToggle.checked = state.hideRead;
+
+  syncStateToUrl();
+  update();
+
+  const stale = staleViewParts(view);
+  if (stale.length) setStatus(uiText("views.skipped", { count: stale.length }));
+}
+
+// ------------------------------------------------------------
+// Export (CSV / JSON / RSS / Atom / Markdown)
+// ------------------------------------------------------------
+// Exports cover lastResult.matched (every match, not just the current
+// page, and every article of a clustered story) and embed the active filters + a link back to this view.
+
+const EXPORT_PREFS_KEY = "news.exportPrefs.v1";
+
+// CSV column id -> { label, get(article) }
+const EXPORT_COLUMNS = {
+  id: { label: "ID", get: (a) => a.id },
+  title: { label: "Title", get: (a) => a.title },
+  description: { label: "Description", get: (a) => a.description },
+  url: { label: "URL", get: (a) => a.url },
+  publisher: { label: "Publisher", get: (a) => a._publisherName },
+  author: { label: "Author", get: (a) => a.author },
+  publishedAt: { label: "Published", get: (a) => a.publishedAt },
+  updatedAt: { label: "Updated", get: (a) => a.updatedAt },
+  category: { label: "Category", get: (a) => a.category },
+  tags: { label: "Tags", get: (a) => a._tags.join("; ") },
+  language: { label: "Language", get: (a) => a.language },
+  country: { label: "Country", get: (a) => a.country },
+  sourceType: { label: "Source type", get: (a) => a.sourceType },
+  readingTimeMinutes: { label: "Reading time (min)", get: (a) => a.readingTimeMinutes },
+  imageUrl: { label: "Image URL", get: (a) => a.imageUrl },
+  content: { label: "Content", get: (a) => a.content },
+};
+
+const DEFAULT_EXPORT_COLUMNS = ["id", "title", "publisher", "author", "publishedAt", "category", "tags", "url"];
+
+const EXPORT_FORMATS = {
+  csv: { label: "CSV", ext: "csv", mime: "text/csv", build: (list, meta) => buildCsv(list, meta) },
+  json: { label: "JSON (articles.json schema)", ext: "json", mime: "application/json", build: (list, meta) => buildJsonExport(list, meta) },
+  rss: { label: "RSS 2.0", ext: "rss.xml", mime: "application/rss+xml", build: (list, meta) => buildRss(list, meta) },
+  atom: { label: "Atom", ext: "atom.xml", mime: "application/atom+xml", build: (list, meta) => buildAtom(list, meta) },
+  md: { label: "Markdown digest", ext: "md", mime: "text/markdown", build: (list, meta) => buildMarkdownDigest(list, meta) },
+};
+
+function loadExportPrefs() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(EXPORT_PREFS_KEY) || "null");
+    const columns = Array.isArray(stored?.columns) ? stored.columns.filter((c) => EXPORT_COLUMNS[c]) : [];
+    return {
+      format: EXPORT_FORMATS[stored?.format] ? stored.format : "csv",
+      columns: columns.length ? columns : DEFAULT_EXPORT_COLUMNS.slice(),
+    };
+  } catch {
+    return { format: "csv", columns: DEFAULT_EXPORT_COLUMNS.slice() };
+  }
+}
+
+function saveExportPrefs(prefs) {
+  try {
+    localStorage.setItem(EXPORT_PREFS_KEY, JSON.stringify(prefs));
+  } catch {
+    // Preferences are best-effort
+  }
+}
+
+/**
+ * Human-readable list of the active filters, e.g. ["Search: dog", "Tags: health"].
+ */
+function describeActiveFilters() {
+  const out = [];
+  const labels = (f, values) => Array.from(values, (v) => facetValueLabel(f.key, v));
+  const day = (value) => (value ? formatDate(parseDateInput(value), { dateStyle: "medium" }) : "…");
+  if ((state.q || "").trim()) out.push(uiText("filters.search", { q: queryForUrl() }));
+  for (const f of FACETS) {
+    const parts = [];
+    if (state[f.key].size) parts.push(formatList(labels(f, state[f.key]), state.facetModes[f.key] === "all" ? "conjunction" : "unit"));
+    if (state.excluded[f.key].size) parts.push(uiText("filters.not", { values: formatList(labels(f, state.excluded[f.key])) }));
+    if (parts.length) out.push(uiText("filters.facet", { facet: facetTitle(f), values: parts.join("; ") }));
+  }
+  if (state.datePreset) out.push(uiText("filters.published", { range: datePresetLabel(state.datePreset) }));
+  else if (state.dateFrom || state.dateTo) {
+    out.push(uiText("filters.published", { range: uiText("filters.range", { from: day(state.dateFrom), to: day(state.dateTo) }) }));
+  }
+  if (state.savedList) out.push(uiText("filters.list", { name: getReadingList(state.savedList)?.name || state.savedList }));
+  if (state.hideRead) out.push(uiText("filters.unread"));
+  return out;
+}
+
+/**
+ * Header fields shared by the export formats. Labels are in the UI locale,
+ * like describeActiveFilters(); ids, dates and URLs stay machine-readable.
+ */
+function makeExportMeta(list) {
+  return {
+    title: uiText("export.title"),
+    exportedAt: new Date().toISOString(),
+    count: list.length,
+    countLabel: `${formatCount(list.length)} ${uiText("header.articles", { count: list.length })}`,
+    sort: state.sort,
+    sortLabel: uiText(`sort.${state.sort}`),
+    filters: describeActiveFilters(),
+    url: window.location.href,
+  };
+}
+
+/**
+ * "Filters: a | b" (or "Filters: none") for the export metadata.
+ * @param {string[]} filters
+ * @param {string} separator
+ */
+function exportFiltersLine(filters, separator) {
+  return uiText("export.filters", { filters: filters.length ? filters.join(separator) : uiText("export.noFilters") });
+}
+
+function csvCell(value) {
+  let s = value == null ? "" : String(value);
+  // Spreadsheet formula injection guard
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, "\"\"")}"` : s;
+}
+
+/**
+ * CSV with `#` metadata lines above the header row.
+ */
+function buildCsv(list, meta, columns = loadExportPrefs().columns) {
+  const lines = [
+    `# ${meta.title} — ${meta.countLabel} — ${uiText("export.exportedAt", { when: meta.exportedAt })}`,
+    `# ${exportFiltersLine(meta.filters, " | ")}`,
+    `# ${uiText("export.sort", { sort: meta.sortLabel })}`,
+    `# ${uiText("export.view", { url: meta.url })}`,
+    columns.map((c) => csvCell(EXPORT_COLUMNS[c].label)).join(","),
+  ];
+  for (const a of list) {
+    lines.push(columns.map((c) => csvCell(EXPORT_COLUMNS[c].get(a))).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Original record without the normalizeArticles() `_` fields.
+ */
+function toSourceRecord(a) {
+  return Object.fromEntries(Object.entries(a).filter(([k]) => !k.startsWith("_")));
+}
+
+function buildJsonExport(list, meta) {
+  return JSON.stringify({ meta, articles: list.map(toSourceRecord) }, null, 2);
+}
+
+function xmlEscape(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function buildRss(list, meta) {
+  const description = `${meta.countLabel}. ${exportFiltersLine(meta.filters, "; ")}.`;
+  const items = list.map((a) => {
+    const parts = [
+      `<title>${xmlEscape(a.title)}</title>`,
+      a.url && `<link>${xmlEscape(a.url)}</link>`,
+      `<guid isPermaLink="false">${xmlEscape(a.id)}</guid>`,
+      Number.isFinite(a._publishedTs) && `<pubDate>${new Date(a._publishedTs).toUTCString()}</pubDate>`,
+      a.author && `<dc:creator>${xmlEscape(a.author)}</dc:creator>`,
+      a._publisherName && `<source url="${xmlEscape(a.publisher?.url || a.url || "")}">${xmlEscape(a._publisherName)}</source>`,
+      a.category && `<category>${xmlEscape(a.category)}</category>`,
+      ...a._tags.map((t) => `<category domain="tag">${xmlEscape(t)}</category>`),
+      a.description && `<description>${xmlEscape(a.description)}</description>`,
+    ].filter(Boolean);
+    return `    <item>\n      ${parts.join("\n      ")}\n    </item>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${xmlEscape(meta.title)}</title>
+    <link>${xmlEscape(meta.url)}</link>
+    <atom:link href="${xmlEscape(meta.url)}" rel="self" type="application/rss+xml"/>
+    <description>${xmlEscape(description)}</description>
+    <lastBuildDate>${new Date(meta.exportedAt).toUTCString()}</lastBuildDate>
+${items.join("\n")}
+  </channel>
+</rss>
+`;
+}
+
+function buildAtom(list, meta) {
+  const iso = (ts) => new Date(ts).toISOString();
+  const entries = list.map((a) => {
+    const updated = Number.isFinite(a._updatedTs) ? a._updatedTs : a._publishedTs;
+    const parts = [
+      `<id>${xmlEscape(a.url || `urn:article:${a.id}`)}</id>`,
+      `<title>${xmlEscape(a.title)}</title>`,
+      a.url && `<link href="${xmlEscape(a.url)}"/>`,
+      Number.isFinite(updated) && `<updated>${iso(updated)}</updated>`,
+      Number.isFinite(a._publishedTs) && `<published>${iso(a._publishedTs)}</published>`,
+      `<author><name>${xmlEscape(a.author || a._publisherName || uiText("export.unknownAuthor"))}</name></author>`,
+      a.category && `<category term="${xmlEscape(a.category)}"/>`,
+      ...a._tags.map((t) => `<category term="${xmlEscape(t)}" scheme="tag"/>`),
+      a.description && `<summary>${xmlEscape(a.description)}</summary>`,
+    ].filter(Boolean);
+    return `  <entry>\n    ${parts.join("\n    ")}\n  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${xmlEscape(meta.url)}</id>
+  <title>${xmlEscape(meta.title)}</title>
+  <subtitle>${xmlEscape(`${meta.countLabel}. ${exportFiltersLine(meta.filters, "; ")}.`)}</subtitle>
+  <link rel="alternate" href="${xmlEscape(meta.url)}"/>
+  <updated>${meta.exportedAt}</updated>
+${entries.join("\n")}
+</feed>
+`;
+}
+
+/**
+ * Markdown digest grouped by category (categories A–Z, articles keep the
+ * current sort order within each group).
+ */
+function buildMarkdownDigest(list, meta) {
+  const md = (s) => String(s ?? "").replace(/([\\`*_[\]<>|])/g, "\\$1");
+  const groups = new Map();
+  for (const a of list) {
+    const key = a.category || uiText("export.uncategorized");
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(a);
+  }
+
+  const out = [
+    `# ${meta.title}`,
+    "",
+    `- ${uiText("export.exported", { when: meta.exportedAt })}`,
+    `- ${uiText("export.articles", { count: meta.count })}`,
+    `- ${exportFiltersLine(meta.filters.map(md), "; ")}`,
+    `- ${uiText("export.view", { url: `<${meta.url}>` })}`,
+    "",
+  ];
+
+  for (const key of Array.from(groups.keys()).sort((x, y) => x.localeCompare(y))) {
+    const items = groups.get(key);
+    out.push(`## ${md(key)} (${items.length})`, "");
+    for (const a of items) {
+      const title = md(a.title || uiText("card.untitled"));
+      const byline = [a._publisherName, a.author, humanDate(a.publishedAt)].filter(Boolean).map(md).join(", ");
+      // <…> keeps spaces and ")" in the URL from ending the link early
+      const href = a.url && `<${String(a.url).replace(/[<>\s]/g, encodeURIComponent)}>`;
+      out.push(`- ${href ? `[${title}](${href})` : `**${title}**`}${byline ? ` — ${byline}` : ""}`);
+      if (a.description) out.push(`  > ${md(a.description)}`);
+    }
+    out.push("");
+  }
+
+  return out.join("\n");
+}
+
+/**
+ * Builds + downloads the filtered result set in `format`.
+ * @param {keyof typeof EXPORT_FORMATS} format
+ */
+function exportResults(format) {
+  const spec = EXPORT_FORMATS[format];
+  const list = lastResult.matched;
+  if (!spec || !list.length) {
+    setStatus(uiText("export.nothing"));
+    return;
+  }
+  const text = spec.build(list, makeExportMeta(list));
+  downloadFile(`news-export-${toDateInputValue(Date.now())}.${spec.ext}`, text, spec.mime);
+  setStatus(uiText("export.done", { count: list.length, format: spec.label }));
+}
+
+/**
+ * Fills the export menu (format picker, CSV columns, download button).
+ */
+function renderExportPanel() {
+  const panel = els.exportPanel;
+  const prefs = loadExportPrefs();
+  panel.innerHTML = "";
+
+  const formats = document.createElement("fieldset");
+  formats.className = "export-group";
+  const legend = document.createElement("legend");
+  legend.textContent = uiText("export.format");
+  formats.appendChild(legend);
+  for (const [key, spec] of Object.entries(EXPORT_FORMATS)) {
+    const row = document.createElement("label");
+    row.className = "bookmark-row";
+    const radio = document.createElement("input");
+    radio.type = "radio";
+    radio.name = "exportFormat";
+    radio.value = key;
+    radio.checked = prefs.format === key;
+    radio.addEventListener("change", () => {
+      saveExportPrefs({ ...loadExportPrefs(), format: key });
+      renderExportPanel();
+    });
+    const text = document.createElement("span");
+    text.textContent = spec.label;
+    row.append(radio, text);
+    formats.appendChild(row);
+  }
+  panel.appendChild(formats);
+
+  if (prefs.format === "csv") {
+    const cols = document.createElement("fieldset");
+    cols.className = "export-group export-columns";
+    const l2 = document.createElement("legend");
+    l2.textContent = uiText("export.columns");
+    cols.appendChild(l2);
+    for (const [key, col] of Object.entries(EXPORT_COLUMNS)) {
+      const row = document.createElement("label");
+      row.className = "bookmark-row";
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.checked = prefs.columns.includes(key);
+      cb.addEventListener("change", () => {
+        const current = loadExportPrefs().columns;
+        // Keep registry order so re-checking a column puts it back in place
+        const next = Object.keys(EXPORT_COLUMNS).filter((c) => (c === key ? cb.checked : current.includes(c)));
+        saveExportPrefs({ ...loadExportPrefs(), columns: next });
+      });
+      const text = document.createElement("span");
+      text.textContent = col.label;
+      row.append(cb, text);
+      cols.appendChild(row);
+    }
+    panel.appendChild(cols);
+  }
+
+  const go = document.createElement("button");
+  go.type = "button";
+  go.className = "btn";
+  go.textContent = uiText("export.download", { count: lastResult.matched.length });
+  go.disabled = !lastResult.matched.length;
+  go.addEventListener("click", () => {
+    exportResults(loadExportPrefs().format);
+    els.exportMenu.open = false;
+  });
+  panel.appendChild(go);
+}
+
+// ------------------------------------------------------------
+// Analytics (view=analytics)
+// ------------------------------------------------------------
+// Charts over lastResult.matched (every article passing the filters, not
+// just one per story), so they follow search and facets like the list.
+// Everything is inline SVG built here. Bars, slices and legend entries are
+// buttons: they add their filter (and, for the timeline, its date range)
+// and switch back to the article list.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const ANALYTICS_TOP_N = 10;
+const ANALYTICS_MAX_SERIES = 6; // categories stacked in the timeline; the rest are "Other"
+const ANALYTICS_COLORS = ["#6eadff", "#ffb86b", "#7ee0a1", "#f78fb3", "#c3a6ff", "#ffe27a", "#8a94a6"];
+
+// Timeline bucket size by date span: the first unit whose limit covers it
+const TIME_UNITS = [
+  { unit: "day", maxSpanDays: 45 },
+  { unit: "week", maxSpanDays: 210 },
+  { unit: "month", maxSpanDays: 365 * 8 },
+  { unit: "year", maxSpanDays: Infinity },
+];
+
+function svgEl(tag, attrs = {}) {
+  const node = document.createElementNS(SVG_NS, tag);
+  for (const [k, v] of Object.entries(attrs)) node.setAttribute(k, String(v));
+  return node;
+}
+
+/**
+ * Makes an SVG shape (or any element) act as a button.
+ * @param {Element} node
+ * @param {string} label accessible name and tooltip
+ * @param {() => void} onActivate
+ */
+function makeChartTarget(node, label, onActivate) {
+  node.setAttribute("tabindex", "0");
+  node.setAttribute("role", "button");
+  node.setAttribute("aria-label", label);
+  node.classList.add("chart-target");
+  const title = svgEl("title");
+  title.textContent = label;
+  node.appendChild(title);
+  node.addEventListener("click", onActivate);
+  node.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      onActivate();
+    }
+  });
+  return node;
+}
+
+/**
+ * Value -> article count for a FACETS key, most common first.
+ * @param {any[]} list
+ * @param {string} key
+ */
+function tallyFacet(list, key) {
+  const facet = FACETS.find((f) => f.key === key);
+  const counts = new Map();
+  for (const a of list) {
+    const raw = facet.get(a);
+    for (const v of Array.isArray(raw) ? raw : [raw]) {
+      if (v) counts.set(v, (counts.get(v) || 0) + 1);
+    }
+  }
+  return Array.from(counts.entries()).sort((x, y) => y[1] - x[1] || String(x[0]).localeCompare(String(y[0])));
+}
+
+/**
+ * Applies a chart's filter and returns to the list.
+ * @param {{facet?: string, value?: string, from?: string, to?: string}} filter
+ */
+function applyChartFilter({ facet, value, from, to }) {
+  const applied = [];
+  if (facet && value) {
+    state[facet].add(value);
+    state.excluded[facet].delete(value);
+    applied.push(uiText("filters.facet", { facet: facetTitle(FACETS.find((f) => f.key === facet)), values: facetValueLabel(facet, value) }));
+  }
+  if (from || to) {
+    state.datePreset = "";
+    state.dateFrom = from || "";
+    state.dateTo = to || "";
+    const day = (v) => formatDate(parseDateInput(v), { dateStyle: "medium" });
+    applied.push(uiText("filters.published", { range: from === to ? day(from) : uiText("filters.range", { from: day(from), to: day(to) }) }));
+  }
+
+  state.view = "list";
+  state.page = 1;
+  syncStateToUrl();
+  update({ then: () => setStatus(uiText("analytics.filteredBy", { filters: formatList(applied) })) });
+  window.scrollTo({ top: 0, behavior: "smooth" });
+}
+
+/**
+ * Start of the day/week (Monday)/month/year containing `ts`, local time.
+ * @param {number} ts
+ * @param {string} unit
+ */
+function startOfUnit(ts, unit) {
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  if (unit === "week") d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  if (unit === "month") d.setDate(1);
+  if (unit === "year") d.setMonth(0, 1);
+  return d.getTime();
+}
+
+function addUnit(ts, unit) {
+  const d = new Date(ts);
+  if (unit === "day") d.setDate(d.getDate() + 1);
+  if (unit === "week") d.setDate(d.getDate() + 7);
+  if (unit === "month") d.setMonth(d.getMonth() + 1);
+  if (unit === "year") d.setFullYear(d.getFullYear() + 1);
+  return d.getTime();
+}
+
+function formatBucket(ts, unit) {
+  if (unit === "year") return formatDate(ts, { year: "numeric" });
+  if (unit === "month") return formatDate(ts, { year: "numeric", month: "short" });
+  return formatDate(ts, { month: "short", day: "numeric" });
+}
+
+/**
+ * Articles per time bucket, split by category (the top
+ * ANALYTICS_MAX_SERIES; the rest share an "Other" series).
+ * @param {any[]} list
+ */
+function buildTimeline(list) {
+  const dated = list.filter((a) => Number.isFinite(a._publishedTs));
+  if (!dated.length) return null;
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (const a of dated) {
+    min = Math.min(min, a._publishedTs);
+    max = Math.max(max, a._publishedTs);
+  }
+  const spanDays = (max - min) / DAY_MS;
+  const { unit } = TIME_UNITS.find((u) => spanDays <= u.maxSpanDays);
+
+  const top = tallyFacet(dated, "category").slice(0, ANALYTICS_MAX_SERIES).map(([v]) => v);
+  const series = top.map((value, i) => ({ value, label: value, color: ANALYTICS_COLORS[i] }));
+  const other = { value: "", label: uiText("analytics.otherCategory"), color: ANALYTICS_COLORS[ANALYTICS_COLORS.length - 1] };
+  const seriesOf = new Map(series.map((s) => [s.value, s]));
+
+  const buckets = [];
+  const byStart = new Map();
+  for (let t = startOfUnit(min, unit); t <= max; t = addUnit(t, unit)) {
+    const bucket = { start: t, end: addUnit(t, unit) - 1, label: formatBucket(t, unit), counts: new Map(), total: 0 };
+    buckets.push(bucket);
+    byStart.set(t, bucket);
+  }
+
+  let hasOther = false;
+  for (const a of dated) {
+    const bucket = byStart.get(startOfUnit(a._publishedTs, unit));
+    const s = seriesOf.get(a.category) || other;
+    if (s === other) hasOther = true;
+    bucket.counts.set(s, (bucket.counts.get(s) || 0) + 1);
+    bucket.total += 1;
+  }
+
+  return { unit, buckets, series: hasOther ? [...series, other] : series, undated: list.length - dated.length };
+}
+
+/**
+ * A round axis maximum (1, 2 or 5 times a power of ten) at or above `n`.
+ * @param {number} n
+ */
+function niceCeil(n) {
+  if (n <= 5) return Math.max(1, Math.ceil(n));
+  const pow = 10 ** Math.floor(Math.log10(n));
+  return [1, 2, 5, 10].map((m) => m * pow).find((v) => v >= n);
+}
+
+function makeChartCard(title, className = "") {
+  const figure = document.createElement("figure");
+  figure.className = `chart-card ${className}`.trim();
+  const h3 = document.createElement("h3");
+  h3.className = "chart-title";
+  h3.textContent = title;
+  figure.appendChild(h3);
+  return figure;
+}
+
+function makeChartNote(text) {
+  const p = document.createElement("figcaption");
+  p.className = "chart-note muted";
+  p.textContent = text;
+  return p;
+}
+
+/**
+ * Stacked bars: articles per day/week/month, coloured by category.
+ * @param {any[]} list
+ */
+function renderVolumeChart(list) {
+  const figure = makeChartCard(uiText("analytics.overTime"), "chart-wide");
+  const timeline = buildTimeline(list);
+  if (!timeline) {
+    figure.appendChild(makeChartNote(uiText("analytics.noDates")));
+    return figure;
+  }
+
+  const { unit, buckets, series } = timeline;
+  const unitName = uiText(`analytics.unit.${unit}`);
+  const width = 720;
+  const height = 240;
+  const pad = { top: 10, right: 8, bottom: 28, left: 36 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const yMax = niceCeil(Math.max(...buckets.map((b) => b.total)));
+  const slot = plotW / buckets.length;
+  const barW = Math.max(1, slot * 0.8);
+  const y = (n) => pad.top + plotH - (n / yMax) * plotH;
+
+  const svg = svgEl("svg", { viewBox: `0 0 ${width} ${height}`, class: "chart-svg", role: "group", "aria-label": uiText("analytics.perUnit", { unit: unitName }) });
+
+  for (const tick of [0, 0.5, 1]) {
+    const v = Math.round(yMax * tick);
+    svg.appendChild(svgEl("line", { x1: pad.left, x2: width - pad.right, y1: y(v), y2: y(v), class: "chart-grid" }));
+    const label = svgEl("text", { x: pad.left - 6, y: y(v) + 4, "text-anchor": "end", class: "chart-axis" });
+    label.textContent = formatCount(v);
+    svg.appendChild(label);
+  }
+
+  const labelEvery = Math.ceil(buckets.length / 12);
+  for (const [i, bucket] of buckets.entries()) {
+    const x = pad.left + i * slot + (slot - barW) / 2;
+    const from = toDateInputValue(bucket.start);
+    const to = toDateInputValue(bucket.end);
+    let top = bucket.total;
+
+    for (const s of series) {
+      const n = bucket.counts.get(s) || 0;
+      if (!n) continue;
+      const rect = svgEl("rect", { x, y: y(top), width: barW, height: Math.max(1, (n / yMax) * plotH), fill: s.color });
+      const label = s.value
+        ? uiText("analytics.segmentCategory", { bucket: bucket.label, category: s.value, count: n })
+        : uiText("analytics.segment", { bucket: bucket.label, count: n });
+      makeChartTarget(rect, label, () =>
+        applyChartFilter({ facet: s.value ? "category" : "", value: s.value, from, to })
+      );
+      svg.appendChild(rect);
+      top -= n;
+    }
+
+    if (i % labelEvery === 0) {
+      const label = svgEl("text", { x: x + barW / 2, y: height - 10, "text-anchor": "middle", class: "chart-axis" });
+      label.textContent = bucket.label;
+      svg.appendChild(label);
+    }
+  }
+  figure.appendChild(svg);
+
+  const legend = document.createElement("div");
+  legend.className = "chart-legend";
+  for (const s of series) {
+    const item = document.createElement(s.value ? "button" : "span");
+    item.className = "chart-legend-item";
+    const swatch = document.createElement("span");
+    swatch.className = "chart-swatch";
+    swatch.style.background = s.color;
+    item.append(swatch, s.label);
+    if (s.value) {
+      item.type = "button";
+      item.title = uiText("analytics.filterCategory", { value: s.value });
+      item.addEventListener("click", () => applyChartFilter({ facet: "category", value: s.value }));
+    }
+    legend.appendChild(item);
+  }
+  figure.appendChild(legend);
+
+  const notes = [uiText("analytics.barNote", { unit: unitName })];
+  if (timeline.undated) notes.push(uiText("analytics.undated", { count: timeline.undated }));
+  figure.appendChild(makeChartNote(notes.join(" ")));
+  return figure;
+}
+
+/**
+ * Horizontal bars, one per row; rows with a `facet` filter the list by
+ * `filter` (the facet value; `label` is what is shown).
+ * @param {string} title
+ * @param {{label: string, value: number, text?: string, facet?: string, filter?: string}[]} rows
+ * @param {string} [note]
+ */
+function renderBarChart(title, rows, note) {
+  const figure = makeChartCard(title);
+  if (!rows.length) {
+    figure.appendChild(makeChartNote(uiText("analytics.nothing")));
+    return figure;
+  }
+
+  const width = 360;
+  const rowH = 24;
+  const labelW = 130;
+  const valueW = 44;
+  const height = rows.length * rowH;
+  const max = Math.max(...rows.map((r) => r.value)) || 1;
+  const svg = svgEl("svg", { viewBox: `0 0 ${width} ${height}`, class: "chart-svg", role: "group", "aria-label": title });
+
+  for (const [i, row] of rows.entries()) {
+    const g = svgEl("g", { transform: `translate(0 ${i * rowH})` });
+    const label = svgEl("text", { x: labelW - 8, y: rowH / 2 + 4, "text-anchor": "end", class: "chart-label" });
+    label.textContent = row.label.length > 20 ? `${row.label.slice(0, 19)}…` : row.label;
+    const barW = Math.max(2, (row.value / max) * (width - labelW - valueW));
+    const bar = svgEl("rect", { x: labelW, y: 4, width: barW, height: rowH - 8, rx: 3, fill: ANALYTICS_COLORS[0] });
+    const value = svgEl("text", { x: labelW + barW + 6, y: rowH / 2 + 4, class: "chart-axis" });
+    value.textContent = row.text ?? formatCount(row.value);
+    g.append(label, bar, value);
+
+    if (row.facet) {
+      makeChartTarget(g, `${row.label}: ${value.textContent}`, () => applyChartFilter({ facet: row.facet, value: row.filter ?? row.label }));
+    }
+    svg.appendChild(g);
+  }
+  figure.appendChild(svg);
+  if (note) figure.appendChild(makeChartNote(note));
+  return figure;
+}
+
+/**
+ * Donut of a facet's share of the articles (e.g. languages).
+ * @param {string} title
+ * @param {[string, number][]} entries value -> count, most common first
+ * @param {string} facetKey
+ */
+function renderDonutChart(title, entries, facetKey) {
+  const figure = makeChartCard(title);
+  if (!entries.length) {
+    figure.appendChild(makeChartNote(uiText("analytics.nothing")));
+    return figure;
+  }
+
+  // Small slices beyond the palette are merged (not clickable)
+  const shown = entries.slice(0, ANALYTICS_COLORS.length - 1);
+  const rest = entries.slice(shown.length).reduce((sum, [, n]) => sum + n, 0);
+  const slices = shown.map(([value, n], i) => ({ value, n, color: ANALYTICS_COLORS[i] }));
+  if (rest) slices.push({ value: "", n: rest, color: ANALYTICS_COLORS[ANALYTICS_COLORS.length - 1] });
+  const total = slices.reduce((sum, s) => sum + s.n, 0);
+  const name = (s) => (s.value ? facetValueLabel(facetKey, s.value) : uiText("analytics.other"));
+  const percent = (s) => formatCount(s.n / total, { style: "percent" });
+
+  const size = 160;
+  const c = size / 2;
+  const outer = 76;
+  const inner = 46;
+  const point = (r, angle) => `${c + r * Math.sin(angle)} ${c - r * Math.cos(angle)}`;
+  const svg = svgEl("svg", { viewBox: `0 0 ${size} ${size}`, class: "chart-svg chart-donut", role: "group", "aria-label": title });
+
+  let angle = 0;
+  for (const s of slices) {
+    const share = s.n / total;
+    const label = `${name(s)}: ${formatCount(s.n)} (${percent(s)})`;
+    let shape;
+    if (share >= 0.9999) {
+      shape = svgEl("circle", { cx: c, cy: c, r: (outer + inner) / 2, fill: "none", stroke: s.color, "stroke-width": outer - inner });
+    } else {
+      const end = angle + share * 2 * Math.PI;
+      const large = share > 0.5 ? 1 : 0;
+      shape = svgEl("path", {
+        d: `M ${point(outer, angle)} A ${outer} ${outer} 0 ${large} 1 ${point(outer, end)} L ${point(inner, end)} A ${inner} ${inner} 0 ${large} 0 ${point(inner, angle)} Z`,
+        fill: s.color,
+      });
+      angle = end;
+    }
+    if (s.value) makeChartTarget(shape, label, () => applyChartFilter({ facet: facetKey, value: s.value }));
+    else shape.appendChild(Object.assign(svgEl("title"), { textContent: label }));
+    svg.appendChild(shape);
+  }
+
+  const centre = svgEl("text", { x: c, y: c + 5, "text-anchor": "middle", class: "chart-donut-total" });
+  centre.textContent = formatCount(total);
+  svg.appendChild(centre);
+
+  const legend = document.createElement("div");
+  legend.className = "chart-legend chart-legend-column";
+  for (const s of slices) {
+    const item = document.createElement(s.value ? "button" : "span");
+    item.className = "chart-legend-item";
+    const swatch = document.createElement("span");
+    swatch.className = "chart-swatch";
+    swatch.style.background = s.color;
+    item.append(swatch, `${name(s)} · ${percent(s)}`);
+    if (s.value) {
+      item.type = "button";
+      item.addEventListener("click", () => applyChartFilter({ facet: facetKey, value: s.value }));
+    }
+    legend.appendChild(item);
+  }
+
+  const body = document.createElement("div");
+  body.className = "chart-donut-body";
+  body.append(svg, legend);
+  figure.appendChild(body);
+  return figure;
+}
+
+/**
+ * Average readingTimeMinutes overall and for the biggest categories.
+ * @param {any[]} list
+ */
+function renderReadingTimeChart(list) {
+  const timed = list.filter((a) => Number.isFinite(a.readingTimeMinutes));
+  const avg = (arr) => arr.reduce((sum, a) => sum + a.readingTimeMinutes, 0) / arr.length;
+  const minutes = (arr) => formatCount(avg(arr), { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+
+  const byCategory = new Map();
+  for (const a of timed) {
+    if (!a.category) continue;
+    if (!byCategory.has(a.category)) byCategory.set(a.category, []);
+    byCategory.get(a.category).push(a);
+  }
+  const rows = Array.from(byCategory.entries())
+    .sort((x, y) => y[1].length - x[1].length)
+    .slice(0, ANALYTICS_TOP_N)
+    .map(([category, arr]) => ({ label: category, value: avg(arr), text: uiText("analytics.minutes", { value: minutes(arr) }), facet: "category" }));
+
+  let note = uiText("analytics.noReadingTimes");
+  if (timed.length) {
+    note = timed.length === list.length
+      ? uiText("analytics.avgAll", { avg: minutes(timed), total: list.length })
+      : uiText("analytics.avgSome", { avg: minutes(timed), count: timed.length, total: list.length });
+  }
+  return renderBarChart(uiText("analytics.readingTime"), rows, note);
+}
+
+/**
+ * renderAnalytics(): the dashboard for the filtered articles
+ * @param {any[]} list lastResult.matched
+ */
+function renderAnalytics(list) {
+  const mount = els.analyticsMount;
+  mount.innerHTML = "";
+
+  const intro = document.createElement("p");
+  intro.className = "analytics-intro muted";
+  const filters = describeActiveFilters();
+  intro.textContent = uiText("analytics.intro", { count: list.length, filters: filters.length ? filters.join(" · ") : uiText("analytics.noFilters") });
+
+  const toRows = (entries, facet) => entries.slice(0, ANALYTICS_TOP_N)
+    .map(([filter, value]) => ({ label: facetValueLabel(facet, filter), value, facet, filter }));
+
+  const grid = document.createElement("div");
+  grid.className = "analytics-grid";
+  grid.append(
+    renderVolumeChart(list),
+    renderBarChart(uiText("analytics.topPublishers"), toRows(tallyFacet(list, "publishers"), "publishers")),
+    renderBarChart(uiText("analytics.topTags"), toRows(tallyFacet(list, "tags"), "tags")),
+    renderDonutChart(uiText("analytics.languages"), tallyFacet(list, "languages"), "languages"),
+    renderReadingTimeChart(list)
+  );
+
+  mount.append(intro, grid);
+}
+
+function setView(view) {
+  state.view = view === "analytics" ? "analytics" : "list";
+  syncStateToUrl();
+  update();
+}
+
+function setLayout(layout) {
+  state.layout = LAYOUTS.includes(layout) ? layout : "grid";
+  syncStateToUrl();
+  update();
+}
+
+/**
+ * renderControls(): wires up controls + sets values
+ */
+function renderControls() {
+  // Set initial values
+  els.searchInput.value = state.q || "";
+  els.sortSelect.value = state.sort;
+  els.pageSizeSelect.value = String(state.pageSize);
+
+  // Search (debounced); a run of typing is one history entry
+  els.searchInput.addEventListener("input", debounce(() => {
+    const prevQ = state.q;
+    state.q = els.searchInput.value;
+    syncSortWithQuery(prevQ);
+    state.page = 1;
+    syncStateToUrl("typing");
+    update({ history: "typing" });
+  }, 320));
+  // Enter / leaving the box commits the search: further typing starts a new entry
+  els.searchInput.addEventListener("change", () => {
+    typingEntry = false;
+  });
+
+  // Clear search icon
+  els.clearSearchBtn.addEventListener("click", () => {
+    const prevQ = state.q;
+    els.searchInput.value = "";
+    state.q = "";
+    syncSortWithQuery(prevQ);
+    state.page = 1;
+    syncStateToUrl();
+    update();
+    els.searchInput.focus();
+  });
+
+  // Sort
+  els.sortSelect.addEventListener("change", () => {
+    state.sort = els.sortSelect.value;
+    state.page = 1;
+    syncStateToUrl();
+    update();
+  });
+
+  // Page size
+  els.pageSizeSelect.addEventListener("change", () => {
+    state.pageSize = Number(els.pageSizeSelect.value) || 20;
+    state.page = 1;
+    syncStateToUrl();
+    update();
+  });
+
+  // Paging mode (numbered pages / continuous scroll)
+  els.pagingSelect.value = state.paging;
+  els.pagingSelect.addEventListener("change", () => {
+    state.paging = els.pagingSelect.value === "continuous" ? "continuous" : "pages";
+    state.page = 1;
+    state.anchor = "";
+    syncStateToUrl();
+    update();
+  });
+
+  // Hide read
+  els.hideReadToggle.checked = state.hideRead;
+  els.hideReadToggle.addEventListener("change", () => {
+    state.hideRead = els.hideReadToggle.checked;
+    state.page = 1;
+    syncStateToUrl();
+    update();
+  });
+
+  // Group near-duplicate stories
+  els.clusterToggle.checked = state.cluster;
+  els.clusterToggle.addEventListener("change", () => {
+    state.cluster = els.clusterToggle.checked;
+    state.page = 1;
+    syncStateToUrl();
+    update();
+  });
+
+  els.markPageReadBtn.addEventListener("click", () => markPageRead());
+
+  // Export menu (built on open so counts/prefs are current)
+  els.exportMenu.addEventListener("toggle", () => {
+    if (els.exportMenu.open) renderExportPanel();
+  });
+
+  // Share menu (links for the state at the time it opens)
+  els.shareMenu.addEventListener("toggle", () => {
+    if (els.shareMenu.open) renderSharePanel();
+  });
+
+  // Clear filters
+  els.clearFiltersBtn.addEventListener("click", () => clearAllFilters());
+
+  // Articles / Analytics
+  els.viewSwitch.addEventListener("click", (e) => {
+    const btn = /** @type {HTMLElement} */ (e.target).closest("[data-view]");
+    if (btn && btn.dataset.view !== state.view) setView(btn.dataset.view);
+  });
+
+  // Cards / List / Headlines / Table
+  els.layoutSwitch.addEventListener("click", (e) => {
+    const btn = /** @type {HTMLElement} */ (e.target).closest("[data-layout]");
+    if (btn && btn.dataset.layout !== state.layout) setLayout(btn.dataset.layout);
+  });
+
+  // Live refresh
+  els.refreshBtn.addEventListener("click", () => checkForUpdates({ manual: true }));
+  els.autoRefreshSelect.value = String(loadRefreshInterval());
+  els.autoRefreshSelect.addEventListener("change", () => {
+    const intervalMs = Number(els.autoRefreshSelect.value) || 0;
+    saveRefreshInterval(intervalMs);
+    startAutoRefresh(intervalMs);
+  });
+  els.refreshBanner.addEventListener("click", () => applyRefresh());
+}
+
+/**
+ * Relevance is the default sort while searching: starting a search moves the
+ * default "newest" to relevance, clearing it moves back. An explicitly chosen
+ * sort (oldest, A–Z) is left alone.
+ * @param {string} prevQ
+ */
+function syncSortWithQuery(prevQ) {
+  const had = (prevQ || "").trim().length > 0;
+  const has = (state.q || "").trim().length > 0;
+  if (!had && has && state.sort === SORTS.newest) state.sort = SORTS.relevance;
+  if (had && !has && state.sort === SORTS.relevance) state.sort = SORTS.newest;
+}
+
+/**
+ * renderFacets(): creates facet UI from global facets + dynamic counts
+ */
+function renderFacets(dynamicCounts) {
+  const mount = els.facetsMount;
+  // Keep typing in a facet search box across re-renders
+  const focusedSearch = /** @type {HTMLElement} */ (document.activeElement)?.dataset?.facetSearch;
+  mount.innerHTML = "";
+
+  const facets = FACETS.map((def) => ({
+    key: def.key,
+    title: facetTitle(def),
+    selected: state[def.key],
+    excluded: state.excluded[def.key],
+    multiValue: Boolean(def.multiValue),
+    allOptions: globalFacets[def.key] || new Map(),
+    counts: dynamicCounts[def.key] || new Map(),
+    onToggle: (v, exclude) => cycleFacetValue(def.key, v, exclude),
+    allLabel: hasUiText(`facet.${def.key}.all`) ? uiText(`facet.${def.key}.all`) : def.allLabel,
+    sort: def.sort,
+    topN: def.topN,
+    minOptions: def.minOptions || 0,
+    searchable: Boolean(def.searchable),
+  }));
+
+  const frag = document.createDocumentFragment();
+
+  for (const f of facets) {
+    if (f.allOptions.size < f.minOptions && !f.selected.size && !f.excluded.size) continue;
+
+    const card = document.createElement("div");
+    card.className = "facet";
+
+    const details = document.createElement("details");
+    details.open = window.matchMedia("(min-width: 900px)").matches; // expanded on desktop
+    details.setAttribute("data-facet", f.key);
+
+    const summary = document.createElement("summary");
+    summary.setAttribute("aria-label", uiText("facets.group", { facet: f.title }));
+    const left = document.createElement("div");
+    left.className = "facet-title";
+    const picked = [];
+    if (f.selected.size) picked.push(uiText("facets.selected", { count: f.selected.size }));
+    if (f.excluded.size) picked.push(uiText("facets.excluded", { count: f.excluded.size }));
+    left.innerHTML = `<span>${f.title}</span> <span class="small">${picked.join(" · ") || uiText("facets.all")}</span>`;
+    const caret = document.createElement("span");
+    caret.className = "small";
+    caret.textContent = uiText(details.open ? "facets.hide" : "facets.show");
+    summary.append(left, caret);
+
+    details.addEventListener("toggle", () => {
+      caret.textContent = uiText(details.open ? "facets.hide" : "facets.show");
+    });
+
+    const chips = document.createElement("div");
+    chips.className = "chips";
+    chips.id = `facet-chips-${f.key}`;
+    chips.setAttribute("role", "group");
+    chips.setAttribute("aria-label", uiText("facets.filters", { facet: f.title }));
+
+    // All chip
+    const allChip = makeChip(uiText("facets.all"), f.selected.size === 0 && f.excluded.size === 0, () => {
+      f.selected.clear();
+      f.excluded.clear();
+      state.page = 1;
+      syncStateToUrl();
+      update();
+    }, f.allLabel, true);
+    chips.appendChild(allChip);
+
+    // Any/all toggle (only multi-value facets: an article has one category)
+    if (f.multiValue) chips.appendChild(makeFacetModeChip(f));
+
+    // Options, sorted by count desc then label (`label` is the value,
+    // `text` what the chip shows, e.g. "English" for "en")
+    let options = Array.from(f.allOptions.entries())
+      .map(([label, totalCount]) => ({ label, text: facetValueLabel(f.key, label), totalCount }))
+      .filter((x) => x.label);
+
+    if (f.sort === "count") {
+      options.sort((a, b) => (b.totalCount - a.totalCount) || a.text.localeCompare(b.text, uiLocale));
+    } else {
+      options.sort((a, b) => a.text.localeCompare(b.text, uiLocale));
+    }
+
+    // Collapse long facets to top N (selected values always stay visible)
+    const collapsible = f.topN != null && options.length > f.topN;
+    const expanded = state.expandedFacets.has(f.key);
+    const shown = collapsible && !expanded
+      ? options.filter((opt, i) => i < f.topN || f.selected.has(opt.label) || f.excluded.has(opt.label))
+      : options;
+    // Searchable facets render every option (typing can reveal any of
+    // them); the collapsed ones start hidden
+    appendOptionChips(chips, f.searchable ? options : shown, f, new Set(shown.map((opt) => opt.label)));
+
+    if (collapsible) {
+      const more = document.createElement("button");
+      more.type = "button";
+      more.className = "chip";
+      more.setAttribute("aria-pressed", String(expanded));
+      more.textContent = uiText(expanded ? "facets.less" : "facets.more");
+      more.dataset.more = "";
+      more.addEventListener("click", () => {
+        toggleMulti(state.expandedFacets, f.key);
+        // UI-only toggle; no URL sync needed
+        update({ skipUrl: true });
+      });
+      chips.appendChild(more);
+    }
+
+    if (f.searchable) details.append(summary, makeFacetSearch(f, chips), chips);
+    else details.append(summary, chips);
+    card.appendChild(details);
+    frag.appendChild(card);
+  }
+
+  frag.appendChild(renderDateFacet(dynamicCounts.date));
+  frag.appendChild(renderListsFacet(dynamicCounts.saved));
+  frag.appendChild(renderViewsFacet(dynamicCounts.views));
+
+  mount.appendChild(frag);
+  if (focusedSearch) mount.querySelector(`[data-facet-search="${focusedSearch}"]`)?.focus();
+
+  function appendOptionChips(chipsEl, optionsArr, facet, initiallyShown) {
+    for (const [i, opt] of optionsArr.entries()) {
       const dynamicCount = facet.counts.get(opt.label) || 0;
-      const isActive = facet.selected.has(opt.label);
+      const isExcluded = facet.excluded.has(opt.label);
+      const isActive = facet.selected.has(opt.label) || isExcluded;
 
       const chip = makeChip(
-        opt.label,
+        opt.text,
         isActive,
-        () => {
-          facet.onToggle(opt.label);
+        (e) => {
+          facet.onToggle(opt.label, e.altKey || e.shiftKey);
           state.page = 1;
           syncStateToUrl();
           update();
         },
-        `${facet.title} ${opt.label} (${dynamicCount})`,
+        uiText(isExcluded ? "facets.chipLabelExcluded" : "facets.chipLabel", { facet: facet.title, value: opt.text, count: dynamicCount }),
         false,
         dynamicCount
       );
+      chip.title = uiText("facets.chipTitle");
+      chip.id = `facet-${facet.key}-${i}`;
+      chip.dataset.value = opt.label;
+      if (opt.text !== opt.label) chip.dataset.label = opt.text;
+      if (isExcluded) chip.classList.add("is-excluded");
+      if (!initiallyShown.has(opt.label)) {
+        chip.hidden = true;
+        chip.dataset.collapsed = "";
+      }
 
       // If count is 0 and not active, disable (keeps UI honest)
       if (dynamicCount === 0 && !isActive) {
@@ -549,6 +2986,468 @@ function renderFacets(dynamicCounts) {
   }
 }
 
+// Text typed into facet search boxes, and the highlighted value, by facet
+// key (UI-only: survives re-renders, not in the URL)
+const facetSearchText = {};
+const facetSearchActive = {};
+
+/**
+ * Search box that filters a facet's chips in place (no re-render).
+ * ArrowDown/ArrowUp move a highlight through the visible chips, Enter
+ * toggles the highlighted one (Alt/Shift+Enter excludes it), Escape clears.
+ * @param {{key: string, title: string}} facet
+ * @param {HTMLElement} chipsEl the facet's chips (already filled)
+ */
+function makeFacetSearch(facet, chipsEl) {
+  const wrap = document.createElement("div");
+  wrap.className = "facet-search";
+
+  const input = document.createElement("input");
+  input.type = "search";
+  input.placeholder = uiText("facets.find", { facet: facet.title.toLocaleLowerCase(uiLocale) });
+  input.autocomplete = "off";
+  input.dataset.facetSearch = facet.key;
+  input.setAttribute("aria-label", uiText("facets.findLabel", { facet: facet.title.toLocaleLowerCase(uiLocale) }));
+  input.setAttribute("aria-controls", chipsEl.id);
+  input.value = facetSearchText[facet.key] || "";
+
+  const empty = document.createElement("p");
+  empty.className = "small facet-search-empty";
+  empty.textContent = uiText("facets.noMatches");
+
+  const optionChips = () => Array.from(chipsEl.querySelectorAll(".chip[data-value]"));
+  const visibleChips = () => optionChips().filter((c) => !c.hidden);
+
+  const highlight = (chip) => {
+    for (const c of optionChips()) c.classList.toggle("is-highlighted", c === chip);
+    facetSearchActive[facet.key] = chip?.dataset.value ?? null;
+    if (!chip) {
+      input.removeAttribute("aria-activedescendant");
+      return;
+    }
+    input.setAttribute("aria-activedescendant", chip.id);
+    chip.scrollIntoView?.({ block: "nearest" });
+  };
+
+  const apply = () => {
+    const q = safeLower(input.value.trim());
+    facetSearchText[facet.key] = input.value;
+    let matches = 0;
+    for (const chip of optionChips()) {
+      const hit = safeLower(chip.dataset.value).includes(q) || safeLower(chip.dataset.label).includes(q);
+      chip.hidden = q ? !hit : "collapsed" in chip.dataset;
+      if (!chip.hidden) matches++;
+    }
+    chipsEl.querySelector("[data-more]")?.toggleAttribute("hidden", Boolean(q));
+    empty.hidden = !q || matches > 0;
+
+    const visible = visibleChips();
+    const kept = visible.find((c) => c.dataset.value === facetSearchActive[facet.key]);
+    highlight(q ? kept || visible[0] : null);
+  };
+
+  input.addEventListener("input", apply);
+  input.addEventListener("keydown", (e) => {
+    const visible = visibleChips();
+    const current = visible.findIndex((c) => c.classList.contains("is-highlighted"));
+
+    if ((e.key === "ArrowDown" || e.key === "ArrowUp") && visible.length) {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      const next = current < 0 ? (step > 0 ? 0 : visible.length - 1) : (current + step + visible.length) % visible.length;
+      highlight(visible[next]);
+    } else if (e.key === "Enter" && current >= 0) {
+      e.preventDefault();
+      visible[current].dispatchEvent(new MouseEvent("click", { bubbles: true, altKey: e.altKey, shiftKey: e.shiftKey }));
+    } else if (e.key === "Escape" && input.value) {
+      e.preventDefault();
+      e.stopPropagation();
+      input.value = "";
+      apply();
+    }
+  });
+
+  wrap.append(input, empty);
+  apply();
+  return wrap;
+}
+
+/**
+ * Date facet card: preset chips, custom from/to inputs and a histogram.
+ * @param {{presets: Map<string, number>, unit: string, bins: any[]}} dateFacet
+ */
+function renderDateFacet(dateFacet) {
+  const hasCustom = Boolean(state.dateFrom || state.dateTo);
+  const isActive = Boolean(state.datePreset || hasCustom);
+
+  const card = document.createElement("div");
+  card.className = "facet facet-date";
+
+  const details = document.createElement("details");
+  details.open = window.matchMedia("(min-width: 900px)").matches;
+  details.setAttribute("data-facet", "date");
+
+  const summary = document.createElement("summary");
+  summary.setAttribute("aria-label", uiText("date.group"));
+  const left = document.createElement("div");
+  left.className = "facet-title";
+  const title = document.createElement("span");
+  title.textContent = uiText("date.title");
+  const small = document.createElement("span");
+  small.className = "small";
+  small.textContent = state.datePreset
+    ? datePresetLabel(state.datePreset)
+    : hasCustom ? `${state.dateFrom || "…"} → ${state.dateTo || "…"}` : uiText("date.anyTime");
+  left.append(title, " ", small);
+  const caret = document.createElement("span");
+  caret.className = "small";
+  caret.textContent = uiText(details.open ? "facets.hide" : "facets.show");
+  summary.append(left, caret);
+  details.addEventListener("toggle", () => {
+    caret.textContent = uiText(details.open ? "facets.hide" : "facets.show");
+  });
+
+  // Presets
+  const chips = document.createElement("div");
+  chips.className = "chips";
+  chips.setAttribute("role", "group");
+  chips.setAttribute("aria-label", uiText("date.presets"));
+  chips.appendChild(makeChip(uiText("date.anyTime"), !isActive, () => setDateRange("", ""), uiText("date.anyLabel"), true));
+  for (const key of Object.keys(DATE_PRESETS)) {
+    const count = dateFacet.presets.get(key) || 0;
+    const active = state.datePreset === key;
+    const label = datePresetLabel(key);
+    const chip = makeChip(label, active, () => setDatePreset(active ? "" : key), uiText("date.presetLabel", { preset: label, count }), false, count);
+    if (count === 0 && !active) {
+      chip.style.opacity = "0.55";
+      chip.style.cursor = "not-allowed";
+    }
+    chips.appendChild(chip);
+  }
+
+  // Custom range
+  const range = document.createElement("div");
+  range.className = "date-range";
+  const makeInput = (labelText, value, onChange) => {
+    const label = document.createElement("label");
+    label.className = "date-input";
+    const span = document.createElement("span");
+    span.className = "small";
+    span.textContent = labelText;
+    const input = document.createElement("input");
+    input.type = "date";
+    input.value = value;
+    input.addEventListener("change", () => onChange(input.value));
+    label.append(span, input);
+    return label;
+  };
+  range.append(
+    makeInput(uiText("date.from"), state.dateFrom, (v) => setDateRange(v, state.dateTo)),
+    makeInput(uiText("date.to"), state.dateTo, (v) => setDateRange(state.dateFrom, v))
+  );
+
+  details.append(summary, chips, range, renderDateHistogram(dateFacet));
+  card.appendChild(details);
+  return card;
+}
+
+/**
+ * Bar histogram of article counts per bin; clicking a bar narrows to it.
+ */
+function renderDateHistogram({ unit, bins }) {
+  const wrap = document.createElement("div");
+  wrap.className = "histogram";
+  if (!bins.length) return wrap;
+
+  wrap.setAttribute("role", "group");
+  wrap.setAttribute("aria-label", uiText(unit === "month" ? "date.perMonth" : unit === "week" ? "date.perWeek" : "date.perDay"));
+
+  const max = Math.max(1, ...bins.map((b) => b.count));
+  const range = getActiveDateRange();
+  const fmt = (ts) => formatDate(ts, unit === "month"
+    ? { year: "numeric", month: "short" }
+    : { year: "numeric", month: "short", day: "numeric" });
+
+  for (const bin of bins) {
+    const bar = document.createElement("button");
+    bar.type = "button";
+    bar.className = "histogram-bar";
+    bar.style.setProperty("--h", `${Math.round((bin.count / max) * 100)}%`);
+    if (range && bin.end >= range.from && bin.start <= range.to) bar.classList.add("in-range");
+
+    const date = unit === "week" ? uiText("date.weekOf", { date: fmt(bin.start) }) : fmt(bin.start);
+    const label = uiText("date.barLabel", { date, count: bin.count });
+    bar.title = label;
+    bar.setAttribute("aria-label", label);
+    bar.disabled = bin.count === 0;
+    bar.addEventListener("click", () => setDateRange(toDateInputValue(bin.start), toDateInputValue(bin.end)));
+    wrap.appendChild(bar);
+  }
+
+  const axis = document.createElement("div");
+  axis.className = "histogram-axis small";
+  const first = document.createElement("span");
+  first.textContent = fmt(bins[0].start);
+  const last = document.createElement("span");
+  last.textContent = fmt(bins[bins.length - 1].start);
+  axis.append(first, last);
+
+  const outer = document.createElement("div");
+  outer.append(wrap, axis);
+  return outer;
+}
+
+/**
+ * Reading lists card: pick a list to show only its articles, and manage lists.
+ * @param {Map<string, number>} counts list id -> matches under the other filters
+ */
+function renderListsFacet(counts) {
+  const card = document.createElement("div");
+  card.className = "facet facet-lists";
+
+  const details = document.createElement("details");
+  details.open = window.matchMedia("(min-width: 900px)").matches;
+  details.setAttribute("data-facet", "saved");
+
+  const summary = document.createElement("summary");
+  summary.setAttribute("aria-label", uiText("lists.group"));
+  const left = document.createElement("div");
+  left.className = "facet-title";
+  const title = document.createElement("span");
+  title.textContent = uiText("lists.title");
+  const small = document.createElement("span");
+  small.className = "small";
+  small.textContent = getReadingList(state.savedList)?.name || uiText("lists.all");
+  left.append(title, " ", small);
+  const caret = document.createElement("span");
+  caret.className = "small";
+  caret.textContent = uiText(details.open ? "facets.hide" : "facets.show");
+  summary.append(left, caret);
+  details.addEventListener("toggle", () => {
+    caret.textContent = uiText(details.open ? "facets.hide" : "facets.show");
+  });
+
+  const chips = document.createElement("div");
+  chips.className = "chips";
+  chips.setAttribute("role", "group");
+  chips.setAttribute("aria-label", uiText("lists.title"));
+  chips.appendChild(makeChip(uiText("lists.all"), !state.savedList, () => setSavedList(""), uiText("lists.allLabel"), true));
+  for (const list of readingLists) {
+    const count = counts?.get(list.id) || 0;
+    const active = state.savedList === list.id;
+    chips.appendChild(makeChip(list.name, active, () => setSavedList(active ? "" : list.id), uiText("lists.chipLabel", { name: list.name, count }), false, count));
+  }
+
+  // Manage: new / rename / delete / export / import
+  const tools = document.createElement("div");
+  tools.className = "list-tools";
+  const tool = (text, label, onClick) => {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.className = "link-btn";
+    b.textContent = text;
+    b.setAttribute("aria-label", label);
+    b.addEventListener("click", onClick);
+    return b;
+  };
+
+  tools.appendChild(tool(uiText("lists.new"), uiText("lists.newLabel"), () => {
+    const list = createReadingList(window.prompt(uiText("lists.newPrompt")) || "");
+    if (list) update({ skipUrl: true });
+  }));
+
+  const current = getReadingList(state.savedList);
+  if (current) {
+    tools.appendChild(tool(uiText("lists.rename"), uiText("lists.renameLabel", { name: current.name }), () => {
+      renameReadingList(current.id, window.prompt(uiText("lists.renamePrompt"), current.name) || "");
+    }));
+    if (current.id !== DEFAULT_LIST.id) {
+      tools.appendChild(tool(uiText("lists.delete"), uiText("lists.deleteLabel", { name: current.name }), () => {
+        if (window.confirm(uiText("lists.deleteConfirm", { name: current.name }))) {
+          deleteReadingList(current.id);
+        }
+      }));
+    }
+  }
+
+  tools.appendChild(tool(uiText("lists.export"), uiText("lists.exportLabel"), () => exportReadingLists()));
+
+  const importLabel = document.createElement("label");
+  importLabel.className = "link-btn";
+  importLabel.textContent = uiText("lists.import");
+  const importInput = document.createElement("input");
+  importInput.type = "file";
+  importInput.accept = "application/json,.json";
+  importInput.className = "visually-hidden";
+  importInput.setAttribute("aria-label", uiText("lists.importLabel"));
+  importInput.addEventListener("change", () => {
+    const file = importInput.files?.[0];
+    if (file) importReadingLists(file);
+  });
+  importLabel.appendChild(importInput);
+  tools.appendChild(importLabel);
+
+  details.append(summary, chips, tools);
+  card.appendChild(details);
+  return card;
+}
+
+/**
+ * Saved views card: apply / rename / delete, with live match counts and a
+ * warning on views that reference values missing from the dataset.
+ * @param {Map<string, number>} counts view id -> matching stories
+ */
+function renderViewsFacet(counts) {
+  const card = document.createElement("div");
+  card.className = "facet facet-views";
+
+  const details = document.createElement("details");
+  details.open = window.matchMedia("(min-width: 900px)").matches;
+  details.setAttribute("data-facet", "views");
+
+  const summary = document.createElement("summary");
+  summary.setAttribute("aria-label", uiText("views.title"));
+  const left = document.createElement("div");
+  left.className = "facet-title";
+  const title = document.createElement("span");
+  title.textContent = uiText("views.title");
+  const small = document.createElement("span");
+  small.className = "small";
+  small.textContent = savedViews.length ? formatCount(savedViews.length) : uiText("views.none");
+  left.append(title, " ", small);
+  const caret = document.createElement("span");
+  caret.className = "small";
+  caret.textContent = uiText(details.open ? "facets.hide" : "facets.show");
+  summary.append(left, caret);
+  details.addEventListener("toggle", () => {
+    caret.textContent = uiText(details.open ? "facets.hide" : "facets.show");
+  });
+
+  const list = document.createElement("ul");
+  list.className = "view-list";
+  list.setAttribute("aria-label", uiText("views.title"));
+
+  const tool = (text, label, onClick) => {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.className = "link-btn";
+    b.textContent = text;
+    b.setAttribute("aria-label", label);
+    b.addEventListener("click", onClick);
+    return b;
+  };
+
+  for (const view of savedViews) {
+    const li = document.createElement("li");
+    li.className = "view-row";
+
+    const count = counts?.get(view.id) ?? 0;
+    const apply = makeChip(view.name, isCurrentView(view), () => applySavedView(view.id), uiText("views.applyLabel", { name: view.name, count }), false, count);
+
+    const actions = document.createElement("span");
+    actions.className = "view-actions";
+    actions.append(
+      tool(uiText("lists.rename"), uiText("views.renameLabel", { name: view.name }), () => {
+        renameSavedView(view.id, window.prompt(uiText("views.renamePrompt"), view.name) || "");
+      }),
+      tool(uiText("lists.delete"), uiText("views.deleteLabel", { name: view.name }), () => {
+        if (window.confirm(uiText("views.deleteConfirm", { name: view.name }))) deleteSavedView(view.id);
+      })
+    );
+    li.append(apply, actions);
+
+    const stale = staleViewParts(view);
+    if (stale.length) {
+      const warn = document.createElement("p");
+      warn.className = "view-warning";
+      warn.textContent = uiText("views.stale", { values: formatList(stale) });
+      li.appendChild(warn);
+    }
+
+    list.appendChild(li);
+  }
+
+  const tools = document.createElement("div");
+  tools.className = "list-tools";
+  tools.appendChild(tool(uiText("views.save"), uiText("views.saveLabel"), () => {
+    saveCurrentView(window.prompt(uiText("views.savePrompt")) || "");
+  }));
+
+  details.append(summary, list, tools);
+  card.appendChild(details);
+  return card;
+}
+
+/**
+ * Bookmark toggle for a card: a small menu of reading lists with checkboxes.
+ * Updates in place so the open menu survives toggling.
+ * @param {any} a
+ */
+function renderBookmarkControl(a) {
+  const menu = document.createElement("details");
+  menu.className = "bookmark-menu";
+
+  const summary = document.createElement("summary");
+  summary.className = "share-btn";
+  const paint = () => {
+    const saved = isBookmarked(a?.id);
+    summary.textContent = uiText(saved ? "bookmark.saved" : "bookmark.save");
+    summary.setAttribute("aria-label", uiText(saved ? "bookmark.savedLabel" : "bookmark.saveLabel", { title: a?.title || uiText("card.untitled") }));
+  };
+  paint();
+
+  const panel = document.createElement("div");
+  panel.className = "bookmark-panel";
+  panel.setAttribute("role", "group");
+  panel.setAttribute("aria-label", uiText("lists.title"));
+
+  const fill = () => {
+    panel.innerHTML = "";
+    for (const list of readingLists) {
+      const row = document.createElement("label");
+      row.className = "bookmark-row";
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.checked = list.items.has(a?.id);
+      cb.addEventListener("change", () => {
+        toggleInReadingList(list.id, a?.id);
+        paint();
+      });
+      const name = document.createElement("span");
+      name.textContent = list.name;
+      row.append(cb, name);
+      panel.appendChild(row);
+    }
+
+    const add = document.createElement("button");
+    add.type = "button";
+    add.className = "link-btn";
+    add.textContent = uiText("bookmark.newList");
+    add.addEventListener("click", () => {
+      const list = createReadingList(window.prompt(uiText("lists.newPrompt")) || "");
+      if (!list) return;
+      if (!list.items.has(a?.id)) toggleInReadingList(list.id, a?.id);
+      paint();
+      fill();
+    });
+    panel.appendChild(add);
+  };
+
+  // Single list: the button is a plain toggle; otherwise open the menu
+  summary.addEventListener("click", (e) => {
+    if (readingLists.length > 1) return;
+    e.preventDefault();
+    toggleInReadingList(DEFAULT_LIST.id, a?.id);
+    paint();
+  });
+  menu.addEventListener("toggle", () => {
+    if (menu.open) fill();
+  });
+
+  menu.append(summary, panel);
+  return menu;
+}
+
 function makeChip(label, active, onClick, ariaLabel, isAll = false, count = null) {
   const b = document.createElement("button");
   b.type = "button";
@@ -564,7 +3463,7 @@ function makeChip(label, active, onClick, ariaLabel, isAll = false, count = null
   if (!isAll && typeof count === "number") {
     const c = document.createElement("span");
     c.className = "count";
-    c.textContent = String(count);
+    c.textContent = formatCount(count);
     b.appendChild(c);
   }
 
@@ -577,17 +3476,67 @@ function toggleMulti(set, value) {
   else set.add(value);
 }
 
+/**
+ * Facet chip click: off -> included -> excluded -> off. With `exclude`
+ * (Alt/Shift+click) the value goes straight to excluded, or back to off.
+ * @param {string} key FACETS key
+ * @param {string} value
+ * @param {boolean} [exclude]
+ */
+function cycleFacetValue(key, value, exclude = false) {
+  const included = state[key];
+  const excluded = state.excluded[key];
+
+  if (exclude) {
+    included.delete(value);
+    toggleMulti(excluded, value);
+  } else if (included.has(value)) {
+    included.delete(value);
+    excluded.add(value);
+  } else if (excluded.has(value)) {
+    excluded.delete(value);
+  } else {
+    included.add(value);
+  }
+}
+
+/**
+ * "Match any" / "Match all" chip for a multi-value facet (e.g. tags:
+ * health OR children vs. health AND children).
+ * @param {{key: string, title: string}} facet
+ */
+function makeFacetModeChip(facet) {
+  const all = state.facetModes[facet.key] === "all";
+  const chip = makeChip(
+    uiText(all ? "facets.matchAll" : "facets.matchAny"),
+    all,
+    () => {
+      if (all) delete state.facetModes[facet.key];
+      else state.facetModes[facet.key] = "all";
+      state.page = 1;
+      syncStateToUrl();
+      update();
+    },
+    uiText(all ? "facets.matchAllLabel" : "facets.matchAnyLabel", { facet: facet.title }),
+    true
+  );
+  chip.classList.add("chip-mode");
+  return chip;
+}
+
 /**
  * renderCards(): renders current page items
  * @param {any[]} pageItems
  */
 function renderCards(pageItems) {
+  teardownContinuous();
   const mount = els.cardsMount;
   mount.innerHTML = "";
 
   if (!pageItems.length) return;
 
   const frag = document.createDocumentFragment();
+  if (state.layout === "table") frag.appendChild(renderTableHead());
 
   for (const a of pageItems) {
     frag.appendChild(renderCard(a));
@@ -596,204 +3545,807 @@ function renderCards(pageItems) {
   mount.appendChild(frag);
 }
 
+/**
+ * One result in the current layout (cards and list share the card markup;
+ * list only restyles it).
+ * @param {any} a
+ */
 function renderCard(a) {
+  if (state.layout === "compact") return renderHeadline(a);
+  if (state.layout === "table") return renderTableRow(a);
+
   const card = document.createElement("article");
-  card.className = "card";
-  card.tabIndex = 0;
   card.setAttribute("role", "article");
-  card.setAttribute("aria-label", a?.title || "Article");
+  card.setAttribute("aria-label", a?.title || uiText("card.article"));
 
   // Thumbnail
   const img = document.createElement("img");
   img.className = "thumb";
-  img.alt = a?.title ? `Thumbnail for ${a.title}` : "Article thumbnail";
+  img.alt = a?.title ? uiText("card.thumbFor", { title: a.title }) : uiText("card.thumb");
   img.loading = "lazy";
   img.decoding = "async";
   img.referrerPolicy = "no-referrer";
   img.src = a?.imageUrl || makePlaceholderDataUri();
 
-  img.addEventListener("error", () => {
-    img.src = makePlaceholderDataUri();
-  });
+  img.addEventListener("error", () => {
+    img.src = makePlaceholderDataUri();
+  });
+
+  // Body
+  const body = document.createElement("div");
+  body.className = "card-body";
+
+  // Title (link)
+  const h3 = document.createElement("h3");
+  h3.className = "card-title";
+  setContentLanguage(h3, a);
+  h3.appendChild(renderTitleLink(a));
+
+  // Meta row: publisher + author + dates + reading time
+  const meta = document.createElement("div");
+  meta.className = "meta-row";
+
+  const publisherWrap = document.createElement("span");
+  publisherWrap.className = "publisher";
+
+  if (a?.publisher?.logoUrl) {
+    const logo = document.createElement("img");
+    logo.className = "publisher-logo";
+    logo.alt = uiText("card.publisherLogo", { publisher: a.publisher.name || uiText("card.publisher") });
+    logo.loading = "lazy";
+    logo.decoding = "async";
+    logo.referrerPolicy = "no-referrer";
+    logo.src = a.publisher.logoUrl;
+    logo.addEventListener("error", () => logo.remove());
+    publisherWrap.appendChild(logo);
+  }
+
+  const pubName = a?._publisherName || a?.publisher?.name || uiText("card.unknownPublisher");
+  if (a?.publisher?.url) {
+    const pubLink = document.createElement("a");
+    pubLink.href = a.publisher.url;
+    pubLink.target = "_blank";
+    pubLink.rel = "noopener noreferrer";
+    pubLink.textContent = pubName;
+    publisherWrap.appendChild(pubLink);
+  } else {
+    const span = document.createElement("span");
+    span.textContent = pubName;
+    publisherWrap.appendChild(span);
+  }
+
+  meta.appendChild(publisherWrap);
+
+  if (a?.author) {
+    const author = document.createElement("span");
+    author.textContent = `• ${a.author}`;
+    meta.appendChild(author);
+  }
+
+  const pubDate = humanDate(a?.publishedAt);
+  if (pubDate) {
+    const d = document.createElement("span");
+    d.textContent = `• ${pubDate}`;
+    meta.appendChild(d);
+  }
+
+  const updDate = humanDate(a?.updatedAt);
+  if (updDate) {
+    const u = document.createElement("span");
+    u.textContent = `• ${uiText("card.updated", { date: updDate })}`;
+    meta.appendChild(u);
+  }
+
+  if (Number.isFinite(a?.readingTimeMinutes)) {
+    const rt = document.createElement("span");
+    rt.textContent = `• ${uiText("card.minRead", { count: a.readingTimeMinutes })}`;
+    meta.appendChild(rt);
+  }
+
+  // Badges: category + language + country
+  const badges = document.createElement("div");
+  badges.className = "badges";
+  const addBadge = (t) => {
+    if (!t) return;
+    const b = document.createElement("span");
+    b.className = "badge";
+    b.textContent = t;
+    badges.appendChild(b);
+  };
+  const fresh = freshnessLabel(a);
+  if (fresh) {
+    addBadge(fresh);
+    badges.lastChild.classList.add("badge-new");
+  }
+  addBadge(a?.category);
+  addBadge(facetValueLabel("languages", a?.language));
+  addBadge(facetValueLabel("country", a?.country));
+  if (globalFacets.origin?.size > 1) addBadge(a?._source?.label);
+
+  // Description
+  const desc = document.createElement("p");
+  desc.className = "desc";
+  if (a?.description) {
+    setContentLanguage(desc, a);
+    appendHighlighted(desc, a.description, highlightTermsFor("description"));
+  } else desc.textContent = uiText("card.noDescription");
+
+  // Tags chips (click toggles tag facet)
+  const tagRow = document.createElement("div");
+  tagRow.className = "tag-chips";
+  const tags = Array.isArray(a?._tags) ? a._tags : [];
+  for (const t of tags.slice(0, 10)) {
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = "tag-chip";
+    chip.setAttribute("aria-pressed", String(state.tags.has(t)));
+    chip.setAttribute("aria-label", uiText("card.toggleTag", { tag: t }));
+    chip.textContent = `#${t}`;
+    chip.addEventListener("click", (e) => {
+      e.stopPropagation();
+      toggleMulti(state.tags, t);
+      state.excluded.tags.delete(t);
+      state.page = 1;
+      syncStateToUrl();
+      update();
+    });
+    tagRow.appendChild(chip);
+  }
+
+  // Footer: domain + share
+  const footer = document.createElement("div");
+  footer.className = "card-footer";
+
+  const domain = getDomain(a?.url || "");
+  let left;
+  if (a?.url) {
+    left = document.createElement("a");
+    left.href = a.url;
+    left.target = "_blank";
+    left.rel = "noopener noreferrer";
+    left.addEventListener("click", () => markRead([a.id]));
+    left.textContent = `${domain || uiText("card.original")} ↗`;
+    left.setAttribute("aria-label", uiText("card.openOriginal", { site: domain || uiText("card.publisherSite") }));
+  } else {
+    left = document.createElement("span");
+    left.textContent = "—";
+  }
+
+  const share = document.createElement("button");
+  share.type = "button";
+  share.className = "share-btn";
+  share.textContent = uiText("card.share");
+  share.setAttribute("aria-label", uiText("card.shareLabel", { title: a?.title || uiText("card.untitled") }));
+  share.addEventListener("click", (e) => {
+    e.stopPropagation();
+    copyArticleLink(a);
+  });
+
+  const actions = document.createElement("div");
+  actions.className = "card-actions";
+  actions.append(renderBookmarkControl(a), share);
+
+  footer.append(left, actions);
+
+  body.append(h3, meta, badges, desc, tagRow);
+  const related = lastResult.related.get(a?.id);
+  if (related?.length) body.appendChild(renderRelatedSources(related));
+  body.appendChild(footer);
+
+  wireCard(card, a);
+  card.append(img, body);
+  return card;
+}
+
+/**
+ * What every layout's result element shares: the `card` class (j/k
+ * selection, read state and the continuous-mode anchor look for it),
+ * focusability, and opening the reader on click / Enter outside its own
+ * controls.
+ * @param {HTMLElement} card
+ * @param {any} a
+ */
+function wireCard(card, a) {
+  card.classList.add("card");
+  if (isRead(a?.id)) card.classList.add("is-read");
+  card.tabIndex = 0;
+  card.dataset.id = a?.id || "";
+
+  // Entire card clickable (except interactive controls); opens the reader
+  card.addEventListener("click", (e) => {
+    const target = /** @type {HTMLElement} */ (e.target);
+    // closest(): highlighted <mark>s sit inside the title link
+    const isInteractive = Boolean(target?.closest?.("a, button, input, select, textarea, label, details"));
+    if (isInteractive) return;
+
+    openReader(a);
+  });
+
+  // j/k selection follows focus (Tab, click)
+  if (a?.id && a.id === selectedCardId) card.classList.add("is-selected");
+  card.addEventListener("focus", () => selectCard(card, { focus: false }));
+
+  // Keyboard open
+  card.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      const active = document.activeElement;
+      // If focused inside a link/button, let default happen
+      if (active && ["A", "BUTTON", "INPUT", "SELECT", "TEXTAREA"].includes(active.tagName)) return;
+      openReader(a);
+    }
+  });
+}
+
+/**
+ * Highlighted title linking to the in-app reader route (still a real link:
+ * new tab / copy link work).
+ * @param {any} a
+ */
+function renderTitleLink(a) {
+  const link = document.createElement("a");
+  link.href = articleHref(a?.id);
+  link.addEventListener("click", (e) => {
+    if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+    e.preventDefault();
+    openReader(a);
+  });
+  appendHighlighted(link, a?.title || uiText("card.untitled"), highlightTermsFor("title"));
+  return link;
+}
+
+// ------------------------------------------------------------
+// Headlines and table layouts
+// ------------------------------------------------------------
+// state.layout "grid" and "list" render renderCard()'s full card (list is a
+// denser stylesheet variant). "compact" is one line per headline; "table"
+// is an ARIA table whose column headers set state.sort, so the sort select,
+// the URL and the table always agree.
+
+const LAYOUTS = ["grid", "list", "compact", "table"];
+
+// `asc` / `desc`: the SORTS behind each direction; the first click picks
+// `desc` for columns where newest/longest first is the natural start
+const TABLE_COLUMNS = [
+  { key: "title", message: "table.title", asc: SORTS.title_az, desc: SORTS.title_za },
+  { key: "publisher", message: "table.publisher", asc: SORTS.publisher_az, desc: SORTS.publisher_za, text: (a) => a._publisherName },
+  { key: "author", message: "table.author", asc: SORTS.author_az, desc: SORTS.author_za, text: (a) => a.author },
+  { key: "date", message: "table.date", asc: SORTS.oldest, desc: SORTS.newest, descFirst: true, text: (a) => humanDate(a.publishedAt) },
+  { key: "category", message: "table.category", asc: SORTS.category_az, desc: SORTS.category_za, text: (a) => a.category },
+  {
+    key: "readingTime",
+    message: "table.readingTime",
+    asc: SORTS.shortest,
+    desc: SORTS.longest,
+    text: (a) => (Number.isFinite(a.readingTimeMinutes) ? uiText("table.minutes", { count: a.readingTimeMinutes }) : ""),
+  },
+];
+
+/**
+ * Headlines layout: the title with publisher and date on the same line.
+ * @param {any} a
+ */
+function renderHeadline(a) {
+  const item = document.createElement("article");
+  item.className = "headline";
+  item.setAttribute("aria-label", a?.title || uiText("card.article"));
+
+  const title = document.createElement("h3");
+  title.className = "card-title headline-title";
+  setContentLanguage(title, a);
+  title.appendChild(renderTitleLink(a));
+
+  const meta = document.createElement("span");
+  meta.className = "headline-meta";
+  const fresh = freshnessLabel(a);
+  if (fresh) {
+    const badge = document.createElement("span");
+    badge.className = "badge badge-new";
+    badge.textContent = fresh;
+    meta.appendChild(badge);
+  }
+  const publisher = a?._publisherName || uiText("card.unknownPublisher");
+  const date = humanDate(a?.publishedAt);
+  meta.append(date ? `${publisher} • ${date}` : publisher);
+
+  item.append(title, meta);
+  wireCard(item, a);
+  return item;
+}
+
+/**
+ * Column headers of the table layout; aria-sort marks the active column.
+ */
+function renderTableHead() {
+  const head = document.createElement("div");
+  head.className = "table-row table-head";
+  head.setAttribute("role", "row");
+
+  for (const col of TABLE_COLUMNS) {
+    const dir = state.sort === col.asc ? "ascending" : state.sort === col.desc ? "descending" : "";
+    const cell = document.createElement("div");
+    cell.className = `table-cell table-${col.key}`;
+    cell.setAttribute("role", "columnheader");
+    if (dir) cell.setAttribute("aria-sort", dir);
+
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "table-sort";
+    btn.textContent = uiText(col.message);
+    const arrow = document.createElement("span");
+    arrow.className = "table-sort-arrow";
+    arrow.setAttribute("aria-hidden", "true");
+    arrow.textContent = dir === "ascending" ? "▲" : dir === "descending" ? "▼" : "";
+    btn.appendChild(arrow);
+    btn.addEventListener("click", () => {
+      if (dir) state.sort = dir === "ascending" ? col.desc : col.asc;
+      else state.sort = col.descFirst ? col.desc : col.asc;
+      state.page = 1;
+      syncStateToUrl();
+      update();
+    });
+
+    cell.appendChild(btn);
+    head.appendChild(cell);
+  }
+  return head;
+}
+
+/**
+ * One table layout row (cells in TABLE_COLUMNS order).
+ * @param {any} a
+ */
+function renderTableRow(a) {
+  const row = document.createElement("div");
+  row.className = "table-row";
+  row.setAttribute("role", "row");
+
+  for (const col of TABLE_COLUMNS) {
+    const cell = document.createElement("div");
+    cell.className = `table-cell table-${col.key}`;
+    if (col.key === "title") {
+      cell.setAttribute("role", "rowheader");
+      setContentLanguage(cell, a);
+      cell.appendChild(renderTitleLink(a));
+    } else {
+      cell.setAttribute("role", "cell");
+      cell.textContent = col.text(a) || "—";
+    }
+    row.appendChild(cell);
+  }
+
+  wireCard(row, a);
+  return row;
+}
+
+/**
+ * Copies an article's original URL (Share button, "s" shortcut).
+ * @param {any} a
+ */
+async function copyArticleLink(a) {
+  const url = a?.url || "";
+  if (!url) return;
+
+  await copyText(url);
+  setStatus(uiText("results.copied"));
+  setTimeout(() => setStatus(""), 1200);
+}
+
+/**
+ * Clipboard write with the execCommand fallback (insecure origins, older
+ * browsers).
+ * @param {string} text
+ */
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch {
+    // Fallback
+    const ta = document.createElement("textarea");
+    ta.value = text;
+    ta.style.position = "fixed";
+    ta.style.left = "-9999px";
+    document.body.appendChild(ta);
+    ta.select();
+    document.execCommand("copy");
+    ta.remove();
+  }
+}
+
+/**
+ * "N more sources" expander listing the other articles of a card's cluster.
+ * @param {any[]} related
+ */
+function renderRelatedSources(related) {
+  const details = document.createElement("details");
+  details.className = "related-sources";
+
+  const summary = document.createElement("summary");
+  const publishers = new Set(related.map((r) => r._publisherName || uiText("card.unknownPublisher")));
+  summary.textContent = uiText("card.moreSources", { count: related.length });
+  summary.title = formatList(Array.from(publishers));
+  details.appendChild(summary);
+
+  const list = document.createElement("ul");
+  for (const r of related) {
+    const li = document.createElement("li");
+    if (isRead(r.id)) li.className = "is-read";
+
+    const link = document.createElement("a");
+    link.href = articleHref(r.id);
+    link.textContent = r._publisherName || uiText("card.unknownPublisher");
+    link.addEventListener("click", (e) => {
+      if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+      e.preventDefault();
+      openReader(r);
+    });
+
+    const title = document.createElement("span");
+    title.className = "related-title";
+    title.textContent = r.title || uiText("card.untitled");
+    setContentLanguage(title, r);
+
+    const when = document.createElement("span");
+    when.className = "related-date";
+    when.textContent = humanDate(r.publishedAt);
+
+    li.append(link, title, when);
+    list.appendChild(li);
+  }
+  details.appendChild(list);
+
+  return details;
+}
+
+// ------------------------------------------------------------
+// Reader view (#/article/<id>)
+// ------------------------------------------------------------
+// The list stays rendered underneath the overlay, so closing the reader
+// keeps the page; we still restore scroll + focus explicitly because the
+// body is scroll-locked while reading.
+
+const ARTICLE_ROUTE = /^#\/article\/(.+)$/;
+
+// Where to go back to when the reader closes (null on a cold deep link)
+let readerReturn = null;
+
+function articleHref(id) {
+  return `#/article/${encodeURIComponent(id || "")}`;
+}
+
+/**
+ * Opens the reader for `a`, pushing a history entry so Back closes it.
+ * @param {any} a
+ */
+function openReader(a) {
+  if (!a?.id) return;
+
+  if (!readerReturn) {
+    readerReturn = { id: a.id, scrollY: window.scrollY, page: state.page };
+  }
+
+  window.history.pushState(window.history.state, "", `${window.location.pathname}${window.location.search}${articleHref(a.id)}`);
+  renderRoute();
+}
+
+/**
+ * Moves to another article without adding history entries (prev/next).
+ * @param {any} a
+ */
+function replaceReader(a) {
+  window.history.replaceState(window.history.state, "", `${window.location.pathname}${window.location.search}${articleHref(a.id)}`);
+  renderRoute();
+}
+
+/**
+ * @param {() => void} [then] runs once the list is back (e.g. to apply a
+ *   filter); deferred until after history.back() so the URL it writes lands
+ *   on the list entry, not the reader entry we are leaving.
+ */
+function closeReader(then) {
+  if (readerReturn) {
+    // Pop our own entry; hashchange -> renderRoute() hides the reader
+    readerReturn.then = then;
+    window.history.back();
+    return;
+  }
+  window.history.replaceState(window.history.state, "", `${window.location.pathname}${window.location.search}`);
+  renderRoute();
+  then?.();
+}
+
+/**
+ * renderRoute(): shows/hides the reader according to location.hash
+ */
+function renderRoute() {
+  const m = ARTICLE_ROUTE.exec(window.location.hash);
+  if (m) {
+    let id;
+    try {
+      id = decodeURIComponent(m[1]);
+    } catch {
+      id = m[1];
+    }
+    renderReader(id);
+  } else {
+    hideReader();
+  }
+}
+
+function hideReader() {
+  const mount = els.readerMount;
+  if (mount.hidden) return;
+
+  mount.hidden = true;
+  mount.innerHTML = "";
+  document.body.classList.remove("reader-open");
+
+  const ret = readerReturn;
+  readerReturn = null;
+  if (!ret) return;
+
+  if (ret.then) {
+    ret.then();
+    return;
+  }
+
+  const restore = () => {
+    window.scrollTo(0, ret.scrollY);
+    const card = Array.from(els.cardsMount.querySelectorAll(".card")).find((c) => c.dataset.id === ret.id);
+    card?.focus({ preventScroll: true });
+  };
+
+  if (state.page !== ret.page) {
+    state.page = ret.page;
+    update({ history: "replace", then: restore });
+  } else {
+    restore();
+  }
+}
+
+/**
+ * Article text as paragraphs (drops citation artifacts from scraped content).
+ * @param {string} text
+ */
+function toParagraphs(text) {
+  return (text || "")
+    .replace(/:contentReference\[[^\]]*\]\{[^}]*\}/g, "")
+    .split(/\n\s*\n|\n/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+}
 
-  // Body
-  const body = document.createElement("div");
-  body.className = "card-body";
+/**
+ * Renders the reader overlay for article `id`.
+ * Prev/next walk lastResult.filtered (the current filtered + sorted list).
+ * @param {string} id
+ */
+function renderReader(id) {
+  const mount = els.readerMount;
+  const a = articlesById.get(id);
 
-  // Title (link)
-  const h3 = document.createElement("h3");
-  h3.className = "card-title";
-  const titleLink = document.createElement("a");
-  titleLink.href = a?.url || "#";
-  titleLink.target = "_blank";
-  titleLink.rel = "noopener noreferrer";
-  titleLink.textContent = a?.title || "Untitled article";
-  h3.appendChild(titleLink);
+  mount.innerHTML = "";
+  mount.hidden = false;
+  document.body.classList.add("reader-open");
 
-  // Meta row: publisher + author + dates + reading time
-  const meta = document.createElement("div");
-  meta.className = "meta-row";
+  const panel = document.createElement("div");
+  panel.className = "reader-panel";
+  panel.setAttribute("role", "dialog");
+  panel.setAttribute("aria-modal", "true");
+  panel.tabIndex = -1;
 
-  const publisherWrap = document.createElement("span");
-  publisherWrap.className = "publisher";
+  // Toolbar: position + prev/next + close
+  const bar = document.createElement("div");
+  bar.className = "reader-bar";
 
-  if (a?.publisher?.logoUrl) {
-    const logo = document.createElement("img");
-    logo.className = "publisher-logo";
-    logo.alt = `${a.publisher.name || "Publisher"} logo`;
-    logo.loading = "lazy";
-    logo.decoding = "async";
-    logo.referrerPolicy = "no-referrer";
-    logo.src = a.publisher.logoUrl;
-    logo.addEventListener("error", () => logo.remove());
-    publisherWrap.appendChild(logo);
-  }
+  const list = lastResult.filtered;
+  const idx = a ? list.indexOf(a) : -1;
+  const prevA = idx > 0 ? list[idx - 1] : null;
+  const nextA = idx >= 0 && idx < list.length - 1 ? list[idx + 1] : null;
 
-  const pubName = a?._publisherName || a?.publisher?.name || "Unknown publisher";
-  if (a?.publisher?.url) {
-    const pubLink = document.createElement("a");
-    pubLink.href = a.publisher.url;
-    pubLink.target = "_blank";
-    pubLink.rel = "noopener noreferrer";
-    pubLink.textContent = pubName;
-    publisherWrap.appendChild(pubLink);
+  const pos = document.createElement("span");
+  pos.className = "muted";
+  pos.textContent = idx >= 0 ? uiText("reader.position", { index: idx + 1, total: list.length }) : a ? uiText("reader.notInResults") : "";
+
+  const makeNav = (text, label, target) => {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.className = "btn";
+    b.textContent = text;
+    b.setAttribute("aria-label", label);
+    b.disabled = !target;
+    if (target) b.addEventListener("click", () => replaceReader(target));
+    return b;
+  };
+
+  const close = document.createElement("button");
+  close.type = "button";
+  close.className = "btn";
+  close.textContent = uiText("reader.close");
+  close.setAttribute("aria-label", uiText("reader.closeLabel"));
+  close.addEventListener("click", () => closeReader());
+
+  const navGroup = document.createElement("div");
+  navGroup.className = "reader-nav";
+  navGroup.append(
+    makeNav(uiText("reader.prev"), uiText("reader.prevLabel"), prevA),
+    makeNav(uiText("reader.next"), uiText("reader.nextLabel"), nextA),
+    close
+  );
+  bar.append(pos, navGroup);
+  panel.appendChild(bar);
+
+  if (!a) {
+    const missing = document.createElement("div");
+    missing.className = "empty";
+    const h2 = document.createElement("h2");
+    h2.textContent = uiText("reader.notFound");
+    const p = document.createElement("p");
+    p.className = "muted";
+    p.textContent = uiText("reader.notFoundBody", { id });
+    missing.append(h2, p);
+    panel.appendChild(missing);
+    panel.setAttribute("aria-label", uiText("reader.notFound"));
   } else {
-    const span = document.createElement("span");
-    span.textContent = pubName;
-    publisherWrap.appendChild(span);
+    panel.setAttribute("aria-label", a.title || uiText("card.article"));
+    panel.appendChild(renderReaderArticle(a));
+    markRead([a.id]);
   }
 
-  meta.appendChild(publisherWrap);
+  // Keyboard: Esc closes, ←/→ step through results (mirrored right-to-left)
+  const rtl = document.documentElement.dir === "rtl";
+  panel.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      closeReader();
+    } else if (e.key === (rtl ? "ArrowRight" : "ArrowLeft") && prevA && !isTypingTarget(e.target)) {
+      replaceReader(prevA);
+    } else if (e.key === (rtl ? "ArrowLeft" : "ArrowRight") && nextA && !isTypingTarget(e.target)) {
+      replaceReader(nextA);
+    }
+  });
 
-  if (a?.author) {
-    const author = document.createElement("span");
-    author.textContent = `• ${a.author}`;
-    meta.appendChild(author);
-  }
+  // Click on the backdrop closes
+  mount.onclick = (e) => {
+    if (e.target === mount) closeReader();
+  };
 
-  const pubDate = humanDate(a?.publishedAt);
-  if (pubDate) {
-    const d = document.createElement("span");
-    d.textContent = `• ${pubDate}`;
-    meta.appendChild(d);
-  }
+  mount.appendChild(panel);
+  panel.focus({ preventScroll: true });
+}
 
-  const updDate = humanDate(a?.updatedAt);
-  if (updDate) {
-    const u = document.createElement("span");
-    u.textContent = `• Updated ${updDate}`;
-    meta.appendChild(u);
+function renderReaderArticle(a) {
+  const article = document.createElement("article");
+  article.className = "reader-article";
+
+  if (a.imageUrl) {
+    const img = document.createElement("img");
+    img.className = "reader-image";
+    img.alt = a.title ? uiText("reader.imageFor", { title: a.title }) : uiText("reader.image");
+    img.decoding = "async";
+    img.referrerPolicy = "no-referrer";
+    img.src = a.imageUrl;
+    img.addEventListener("error", () => img.remove());
+    article.appendChild(img);
   }
 
-  if (Number.isFinite(a?.readingTimeMinutes)) {
-    const rt = document.createElement("span");
-    rt.textContent = `• ${a.readingTimeMinutes} min read`;
-    meta.appendChild(rt);
-  }
+  const h2 = document.createElement("h2");
+  h2.className = "reader-title";
+  h2.textContent = a.title || uiText("card.untitled");
+  setContentLanguage(h2, a);
+
+  const meta = document.createElement("div");
+  meta.className = "meta-row";
+  const parts = [
+    a._publisherName || uiText("card.unknownPublisher"),
+    a.author,
+    humanDate(a.publishedAt),
+    humanDate(a.updatedAt) && uiText("card.updated", { date: humanDate(a.updatedAt) }),
+    Number.isFinite(a.readingTimeMinutes) && uiText("card.minRead", { count: a.readingTimeMinutes }),
+  ].filter(Boolean);
+  meta.textContent = parts.join(" • ");
 
-  // Badges: category + language + country
   const badges = document.createElement("div");
   badges.className = "badges";
-  const addBadge = (t) => {
-    if (!t) return;
+  for (const t of [a.category, facetValueLabel("languages", a.language), facetValueLabel("country", a.country), a.sourceType]) {
+    if (!t) continue;
     const b = document.createElement("span");
     b.className = "badge";
     b.textContent = t;
     badges.appendChild(b);
-  };
-  addBadge(a?.category);
-  addBadge(a?.language);
-  addBadge(a?.country);
+  }
 
-  // Description
-  const desc = document.createElement("p");
-  desc.className = "desc";
-  desc.textContent = a?.description || "No description available.";
+  const body = document.createElement("div");
+  body.className = "reader-body";
+  setContentLanguage(body, a);
+  const paragraphs = toParagraphs(a.content);
+  for (const text of paragraphs.length ? paragraphs : toParagraphs(a.description)) {
+    const p = document.createElement("p");
+    p.textContent = text;
+    body.appendChild(p);
+  }
 
-  // Tags chips (click toggles tag facet)
+  // Tags apply the filter and return to the list
   const tagRow = document.createElement("div");
   tagRow.className = "tag-chips";
-  const tags = Array.isArray(a?._tags) ? a._tags : [];
-  for (const t of tags.slice(0, 10)) {
+  for (const t of a._tags) {
     const chip = document.createElement("button");
     chip.type = "button";
     chip.className = "tag-chip";
     chip.setAttribute("aria-pressed", String(state.tags.has(t)));
-    chip.setAttribute("aria-label", `Toggle tag filter: ${t}`);
+    chip.setAttribute("aria-label", uiText("reader.filterTag", { tag: t }));
     chip.textContent = `#${t}`;
-    chip.addEventListener("click", (e) => {
-      e.stopPropagation();
-      toggleMulti(state.tags, t);
-      state.page = 1;
-      syncStateToUrl();
-      update();
+    chip.addEventListener("click", () => {
+      closeReader(() => {
+        state.tags.add(t);
+        state.excluded.tags.delete(t);
+        state.page = 1;
+        syncStateToUrl();
+        update();
+        window.scrollTo({ top: 0 });
+      });
     });
     tagRow.appendChild(chip);
   }
 
-  // Footer: domain + share
-  const footer = document.createElement("div");
-  footer.className = "card-footer";
-
-  const left = document.createElement("span");
-  const domain = getDomain(a?.url || "");
-  left.textContent = domain ? domain : "—";
-
-  const share = document.createElement("button");
-  share.type = "button";
-  share.className = "share-btn";
-  share.textContent = "Share";
-  share.setAttribute("aria-label", `Copy link for: ${a?.title || "article"}`);
-  share.addEventListener("click", async (e) => {
-    e.stopPropagation();
-    const url = a?.url || "";
-    if (!url) return;
+  const actions = document.createElement("div");
+  actions.className = "reader-actions";
+  if (a.url) {
+    const original = document.createElement("a");
+    original.className = "btn reader-original";
+    original.href = a.url;
+    original.target = "_blank";
+    original.rel = "noopener noreferrer";
+    original.textContent = uiText("reader.readOn", { site: a._publisherName || getDomain(a.url) || uiText("card.publisherSite") });
+    actions.appendChild(original);
+  }
+  actions.appendChild(renderBookmarkControl(a));
 
-    try {
-      await navigator.clipboard.writeText(url);
-      setStatus("Copied link to clipboard");
-      setTimeout(() => setStatus(""), 1200);
-    } catch {
-      // Fallback
-      const ta = document.createElement("textarea");
-      ta.value = url;
-      ta.style.position = "fixed";
-      ta.style.left = "-9999px";
-      document.body.appendChild(ta);
-      ta.select();
-      document.execCommand("copy");
-      ta.remove();
-      setStatus("Copied link to clipboard");
-      setTimeout(() => setStatus(""), 1200);
-    }
-  });
+  article.append(h2, meta, badges, body, tagRow, actions);
 
-  footer.append(left, share);
+  return article;
+}
 
-  body.append(h3, meta, badges, desc, tagRow, footer);
+function isTypingTarget(el) {
+  const tag = el?.tagName;
+  return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || Boolean(el?.isContentEditable);
+}
 
-  // Entire card clickable (except interactive controls)
-  card.addEventListener("click", (e) => {
-    const target = /** @type {HTMLElement} */ (e.target);
-    const tag = target?.tagName?.toLowerCase();
-    const isInteractive = ["a", "button", "input", "select", "textarea"].includes(tag);
-    if (isInteractive) return;
+/**
+ * Search needles that should be highlighted in a given card field.
+ * @param {"title"|"description"} key
+ */
+function highlightTermsFor(key) {
+  return getSearchTerms()
+    .filter((t) => !t.field || QUERY_FIELDS[t.field].key === key)
+    .map((t) => t.value);
+}
 
-    if (a?.url) window.open(a.url, "_blank", "noopener,noreferrer");
-  });
+/**
+ * Appends `text` to `el`, wrapping matches of `terms` in <mark>.
+ * Builds text nodes only (never innerHTML), so article text stays inert.
+ * @param {HTMLElement} el
+ * @param {string} text
+ * @param {string[]} terms
+ */
+function appendHighlighted(el, text, terms) {
+  const needles = terms.filter(Boolean).sort((x, y) => y.length - x.length);
+  if (!needles.length) {
+    el.textContent = text;
+    return;
+  }
 
-  // Keyboard open
-  card.addEventListener("keydown", (e) => {
-    if (e.key === "Enter") {
-      const active = document.activeElement;
-      // If focused inside a link/button, let default happen
-      if (active && ["A", "BUTTON", "INPUT", "SELECT", "TEXTAREA"].includes(active.tagName)) return;
-      if (a?.url) window.open(a.url, "_blank", "noopener,noreferrer");
-    }
-  });
+  const escape = (t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const re = new RegExp(needles.map(escape).join("|"), "giu");
 
-  card.append(img, body);
-  return card;
+  let last = 0;
+  for (const m of text.matchAll(re)) {
+    if (m.index > last) el.appendChild(document.createTextNode(text.slice(last, m.index)));
+    const mark = document.createElement("mark");
+    mark.textContent = m[0];
+    el.appendChild(mark);
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) el.appendChild(document.createTextNode(text.slice(last)));
 }
 
 function makePlaceholderDataUri() {
@@ -833,9 +4385,9 @@ function renderPagination(totalPages, currentPage) {
 
   const prev = document.createElement("button");
   prev.className = "page-btn";
-  prev.textContent = "Prev";
+  prev.textContent = uiText("pagination.prev");
   prev.disabled = currentPage <= 1;
-  prev.setAttribute("aria-label", "Previous page");
+  prev.setAttribute("aria-label", uiText("pagination.prevLabel"));
   prev.addEventListener("click", () => goToPage(currentPage - 1));
   frag.appendChild(prev);
 
@@ -851,8 +4403,8 @@ function renderPagination(totalPages, currentPage) {
     }
     const b = document.createElement("button");
     b.className = "page-btn";
-    b.textContent = String(p);
-    b.setAttribute("aria-label", `Go to page ${p}`);
+    b.textContent = formatCount(p);
+    b.setAttribute("aria-label", uiText("pagination.goTo", { page: p }));
     if (p === currentPage) b.setAttribute("aria-current", "page");
     b.addEventListener("click", () => goToPage(p));
     frag.appendChild(b);
@@ -860,9 +4412,9 @@ function renderPagination(totalPages, currentPage) {
 
   const next = document.createElement("button");
   next.className = "page-btn";
-  next.textContent = "Next";
+  next.textContent = uiText("pagination.next");
   next.disabled = currentPage >= totalPages;
-  next.setAttribute("aria-label", "Next page");
+  next.setAttribute("aria-label", uiText("pagination.nextLabel"));
   next.addEventListener("click", () => goToPage(currentPage + 1));
   frag.appendChild(next);
 
@@ -871,13 +4423,13 @@ function renderPagination(totalPages, currentPage) {
   jump.className = "jump";
   const label = document.createElement("span");
   label.className = "muted";
-  label.textContent = "Jump:";
+  label.textContent = uiText("pagination.jump");
   const input = document.createElement("input");
   input.type = "number";
   input.min = "1";
   input.max = String(totalPages);
   input.placeholder = String(currentPage);
-  input.setAttribute("aria-label", "Jump to page number");
+  input.setAttribute("aria-label", uiText("pagination.jumpLabel"));
   input.addEventListener("keydown", (e) => {
     if (e.key === "Enter") {
       const n = Number(input.value);
@@ -910,66 +4462,614 @@ function makePageModel(totalPages, current) {
   return out;
 }
 
-function goToPage(p) {
-  state.page = p;
-  syncStateToUrl();
-  update();
-  window.scrollTo({ top: 0, behavior: "smooth" });
+function goToPage(p) {
+  state.page = p;
+  syncStateToUrl();
+  update();
+  window.scrollTo({ top: 0, behavior: "smooth" });
+}
+
+// ------------------------------------------------------------
+// Continuous mode (infinite scroll)
+// ------------------------------------------------------------
+// Results render in batches appended (or prepended) as sentinels near the
+// edges of the list come into view. Batches far from the viewport are
+// swapped for empty spacers of the same height, so the DOM holds a bounded
+// number of cards however far the user scrolls. The article at the top of
+// the viewport is kept in `at` (state.anchor) and its batch in `page`, so a
+// shared link reopens at the same story.
+
+const CONTINUOUS_PRELOAD_PX = 800; // load the next batch this far ahead
+const CONTINUOUS_KEEP_PX = 2400; // keep batches rendered within this distance
+
+let continuous = null;
+let continuousRestored = false; // the URL anchor is only honoured on the first render
+
+/**
+ * Batch size: page size rounded up to a multiple of 6 so batches fill
+ * whole rows in the 1/2/3-column grid.
+ */
+function continuousBatchSize() {
+  return Math.ceil(state.pageSize / 6) * 6;
+}
+
+/**
+ * Renders `list` in continuous mode, starting at the anchor article's batch
+ * (first render / same position) or at batch `state.page`.
+ * @param {any[]} list
+ */
+function renderContinuous(list) {
+  const size = continuousBatchSize();
+  const batchCount = Math.max(1, Math.ceil(list.length / size));
+
+  // Keep the anchor where it is on screen when re-rendering in place
+  const honourAnchor = !continuousRestored || state.page > 1;
+  const anchorIdx = honourAnchor && state.anchor ? list.findIndex((a) => a.id === state.anchor) : -1;
+  const prevCard = anchorIdx >= 0 ? findRenderedCard(state.anchor) : null;
+  const anchorOffset = prevCard ? prevCard.getBoundingClientRect().top : stickyOffset() + 12;
+  continuousRestored = true;
+
+  teardownContinuous();
+  const mount = els.cardsMount;
+  mount.innerHTML = "";
+  mount.classList.add("is-continuous");
+  els.paginationMount.innerHTML = "";
+
+  const top = document.createElement("div");
+  top.className = "continuous-sentinel";
+  const bottom = document.createElement("div");
+  bottom.className = "continuous-sentinel continuous-end";
+  if (state.layout === "table") mount.appendChild(renderTableHead());
+  mount.append(top, bottom);
+
+  const first = anchorIdx >= 0 ? Math.floor(anchorIdx / size) : clamp(state.page - 1, 0, batchCount - 1);
+  continuous = { list, size, batchCount, batches: new Map(), first, last: first - 1, top, bottom };
+
+  continuous.edgeObserver = new IntersectionObserver(onContinuousEdge, { rootMargin: `${CONTINUOUS_PRELOAD_PX}px 0px` });
+  continuous.batchObserver = new IntersectionObserver(onContinuousBatchVisibility, { rootMargin: `${CONTINUOUS_KEEP_PX}px 0px` });
+
+  appendBatch();
+
+  if (anchorIdx >= 0) {
+    const card = findRenderedCard(state.anchor);
+    if (card) window.scrollTo(0, window.scrollY + card.getBoundingClientRect().top - anchorOffset);
+  } else {
+    state.anchor = "";
+    if (state.page > 1) window.scrollTo(0, window.scrollY + mount.getBoundingClientRect().top - stickyOffset() - 12);
+  }
+
+  continuous.edgeObserver.observe(top);
+  continuous.edgeObserver.observe(bottom);
+  trackContinuousAnchor();
+}
+
+function teardownContinuous() {
+  els.cardsMount.classList.remove("is-continuous");
+  if (!continuous) return;
+  continuous.edgeObserver.disconnect();
+  continuous.batchObserver.disconnect();
+  continuous = null;
+}
+
+function findRenderedCard(id) {
+  return Array.from(els.cardsMount.querySelectorAll(".card")).find((c) => c.dataset.id === id) || null;
+}
+
+/**
+ * Height hidden under the sticky controls bar (0 when it isn't sticky).
+ */
+function stickyOffset() {
+  const bar = els.controlsBar;
+  if (!bar || getComputedStyle(bar).position !== "sticky") return 0;
+  return Math.max(0, bar.getBoundingClientRect().bottom);
+}
+
+function makeBatch(index) {
+  const el = document.createElement("div");
+  el.className = "card-batch";
+  if (state.layout === "table") el.setAttribute("role", "rowgroup");
+  el.dataset.batch = String(index);
+  const batch = { index, el, rendered: false };
+  continuous.batches.set(index, batch);
+  fillBatch(batch);
+  continuous.batchObserver.observe(el);
+  return batch;
+}
+
+function fillBatch(batch) {
+  const { list, size } = continuous;
+  const frag = document.createDocumentFragment();
+  for (const a of list.slice(batch.index * size, (batch.index + 1) * size)) frag.appendChild(renderCard(a));
+  batch.el.style.height = "";
+  batch.el.replaceChildren(frag);
+  batch.rendered = true;
+}
+
+function appendBatch() {
+  const c = continuous;
+  if (c.last + 1 >= c.batchCount) return false;
+  c.last += 1;
+  c.bottom.before(makeBatch(c.last).el);
+  updateContinuousStatus();
+  return true;
+}
+
+function prependBatch() {
+  const c = continuous;
+  if (c.first <= 0) return false;
+  c.first -= 1;
+  // Inserting above the viewport: compensate so the visible cards stay put
+  const before = document.documentElement.scrollHeight;
+  c.top.after(makeBatch(c.first).el);
+  window.scrollBy(0, document.documentElement.scrollHeight - before);
+  updateContinuousStatus();
+  return true;
+}
+
+/**
+ * @param {IntersectionObserverEntry[]} entries
+ */
+function onContinuousEdge(entries) {
+  const c = continuous;
+  if (!c) return;
+  for (const entry of entries) {
+    if (!entry.isIntersecting) continue;
+    const grew = entry.target === c.bottom ? appendBatch() : prependBatch();
+    // Re-observe: fires again if the sentinel is still in range after growing
+    if (grew) {
+      c.edgeObserver.unobserve(entry.target);
+      c.edgeObserver.observe(entry.target);
+    }
+  }
+}
+
+/**
+ * Swaps batches far from the viewport for fixed-height spacers and back.
+ * @param {IntersectionObserverEntry[]} entries
+ */
+function onContinuousBatchVisibility(entries) {
+  const c = continuous;
+  if (!c) return;
+  for (const entry of entries) {
+    const batch = c.batches.get(Number(/** @type {HTMLElement} */ (entry.target).dataset.batch));
+    if (!batch) continue;
+    if (entry.isIntersecting && !batch.rendered) {
+      fillBatch(batch);
+    } else if (!entry.isIntersecting && batch.rendered) {
+      batch.el.style.height = `${batch.el.offsetHeight}px`;
+      batch.el.replaceChildren();
+      batch.rendered = false;
+    }
+  }
+}
+
+function updateContinuousStatus() {
+  const c = continuous;
+  const start = c.first * c.size;
+  const end = Math.min((c.last + 1) * c.size, c.list.length);
+  els.showingText.textContent = uiText("results.showing", { start: start + 1, end, total: c.list.length });
+  c.bottom.textContent = uiText(c.last + 1 >= c.batchCount ? "results.end" : "results.loadingMore");
+  c.top.textContent = c.first > 0 ? uiText("results.loadingEarlier") : "";
+}
+
+/**
+ * Records the article at the top of the viewport as the scroll anchor.
+ */
+function trackContinuousAnchor() {
+  const c = continuous;
+  if (!c || !els.readerMount.hidden) return;
+
+  const edge = stickyOffset();
+  let found = null;
+  for (let i = c.first; i <= c.last && !found; i++) {
+    const batch = c.batches.get(i);
+    if (!batch?.rendered) continue;
+    const rect = batch.el.getBoundingClientRect();
+    if (rect.bottom <= edge) continue;
+    found = Array.from(batch.el.children).find((card) => card.getBoundingClientRect().bottom > edge);
+    if (found) found = { id: found.dataset.id, batch: i };
+  }
+  if (!found) return;
+
+  const atStart = found.batch === 0 && c.list[0]?.id === found.id;
+  const anchor = atStart ? "" : found.id;
+  if (anchor === state.anchor) return;
+  state.anchor = anchor;
+  state.page = found.batch + 1;
+  syncStateToUrl("replace");
+}
+
+const onContinuousScroll = debounce(trackContinuousAnchor, 200);
+
+// ------------------------------------------------------------
+// URL state
+// ------------------------------------------------------------
+// Format v2 (URL_STATE_VERSION, written as `v=2`): one param per value
+// (tags=a&tags=b), so values can hold commas or any other character. Links
+// without `v` are v1, which joined values with commas; URL_MIGRATIONS
+// upgrades older params step by step before readStateFromUrl() reads them.
+// Unknown params and facet values missing from the dataset are reported
+// (renderLinkNotice()) and not written back.
+
+const URL_STATE_VERSION = 2;
+
+// Version -> upgrade of its URLSearchParams (in place) to the next version
+const URL_MIGRATIONS = {
+  // v1 joined facet values with commas. A whole value the dataset knows
+  // ("Smith, Jane") stays one value; anything else is split.
+  1: (params) => {
+    for (const f of FACETS) {
+      for (const key of [f.urlKey, `${f.urlKey}Not`]) {
+        const raw = params.get(key);
+        if (raw === null) continue;
+        params.delete(key);
+        const whole = globalFacets[f.key]?.has(canonicalFacetValue(f.key, raw.trim()));
+        for (const v of whole ? [raw] : raw.split(",")) {
+          if (v.trim()) params.append(key, v.trim());
+        }
+      }
+    }
+  },
+};
+
+// Params readStateFromUrl() understands besides the per-facet ones
+// (urlKey, urlKeyNot, urlKeyMode); `s` is a share link expandShareLink()
+// could not read
+const URL_PARAMS = new Set(["v", "s", "q", "sort", "page", "pageSize", "paging", "at", "date", "from", "to", "list", "hideRead", "cluster", "view", "layout", "lang"]);
+
+// History entries: a changed URL is pushed so Back undoes it, except for
+// "replace" writes (URL normalization on load, the continuous-scroll anchor,
+// restoring the reader's page, a language switch). Search-box updates use
+// "typing": the first one of a run pushes and the rest replace that entry,
+// until the search is committed (change event) or anything else is pushed.
+let typingEntry = false; // the current entry belongs to a run of typing
+let syncedSearch = ""; // query string last written by syncStateToUrl()
+
+/**
+ * syncStateToUrl(): writes state to query params
+ * @param {"push" | "replace" | "typing"} [mode]
+ */
+function syncStateToUrl(mode = "push") {
+  const params = new URLSearchParams();
+
+  const setOrDelete = (k, v) => {
+    if (v == null || v === "") params.delete(k);
+    else params.set(k, v);
+  };
+
+  params.set("v", String(URL_STATE_VERSION));
+  setOrDelete("q", queryForUrl());
+  setOrDelete("sort", state.sort);
+  setOrDelete("page", String(state.page));
+  setOrDelete("pageSize", String(state.pageSize));
+  setOrDelete("paging", state.paging === "continuous" ? "continuous" : "");
+  setOrDelete("at", state.paging === "continuous" ? state.anchor : "");
+
+  for (const f of FACETS) {
+    for (const v of state[f.key]) params.append(f.urlKey, v);
+    for (const v of state.excluded[f.key]) params.append(`${f.urlKey}Not`, v);
+    setOrDelete(`${f.urlKey}Mode`, state.facetModes[f.key] === "all" ? "all" : "");
+  }
+
+  setOrDelete("date", state.datePreset);
+  setOrDelete("from", state.datePreset ? "" : state.dateFrom);
+  setOrDelete("to", state.datePreset ? "" : state.dateTo);
+  setOrDelete("list", state.savedList);
+  setOrDelete("hideRead", state.hideRead ? "1" : "");
+  setOrDelete("cluster", state.cluster ? "" : "0");
+  setOrDelete("view", state.view === "analytics" ? "analytics" : "");
+  setOrDelete("layout", state.layout === "grid" ? "" : state.layout);
+  setOrDelete("lang", uiLocale === DEFAULT_UI_LOCALE ? "" : uiLocale);
+
+  // Keep the hash: it carries the reader route
+  const search = params.toString();
+  const newUrl = `${window.location.pathname}?${search}${window.location.hash}`;
+  const changed = search !== window.location.search.slice(1);
+  const push = changed && (mode === "push" || (mode === "typing" && !typingEntry));
+  if (push) window.history.pushState({}, "", newUrl);
+  else window.history.replaceState({}, "", newUrl);
+
+  if (mode === "push") typingEntry = false;
+  else if (mode === "typing" && push) typingEntry = true;
+  syncedSearch = search;
+}
+
+/**
+ * Back / Forward between filter states: re-reads the URL and re-renders from
+ * the loaded data. Entries that differ only in the hash are the reader's
+ * (hashchange -> renderRoute()).
+ */
+function restoreStateFromHistory() {
+  if (!searchIndex && !searchWorker) return; // still loading: loadData() reads the URL
+  if (window.location.search.slice(1) === syncedSearch) return;
+
+  typingEntry = false;
+  renderLinkNotice(readStateFromUrl());
+  els.searchInput.value = state.q; // the other controls follow in renderResult()
+  update({ history: "replace" });
+}
+
+/**
+ * readStateFromUrl(): reads query params on load and on Back / Forward.
+ * Facet values the loaded dataset doesn't have are dropped.
+ * @returns {{dropped: {key: string, value: string}[], unknown: string[], badShareLink: boolean}}
+ *   what was ignored (for renderLinkNotice())
+ */
+function readStateFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  // Anything but a known version (e.g. a crafted v=-1e20) reads as v1
+  const linkVersion = Number(params.get("v"));
+  const from = Number.isInteger(linkVersion) && linkVersion >= 1 && linkVersion <= URL_STATE_VERSION ? linkVersion : 1;
+  for (let v = from; v < URL_STATE_VERSION; v++) URL_MIGRATIONS[v]?.(params);
+
+  const known = new Set([...URL_PARAMS, ...FACETS.flatMap((f) => [f.urlKey, `${f.urlKey}Not`, `${f.urlKey}Mode`])]);
+  const issues = {
+    dropped: [],
+    unknown: Array.from(new Set(params.keys())).filter((k) => !known.has(k)),
+    badShareLink: params.has("s"),
+  };
+
+  const q = params.get("q");
+  const sort = params.get("sort");
+  const page = Number(params.get("page"));
+  const pageSize = Number(params.get("pageSize"));
+
+  state.q = q ?? "";
+  if (Object.values(SORTS).includes(sort)) state.sort = sort;
+  else if (state.q.trim()) state.sort = SORTS.relevance;
+  state.page = Number.isFinite(page) && page > 0 ? page : 1;
+  state.pageSize = [10, 20, 50].includes(pageSize) ? pageSize : state.pageSize;
+  state.paging = params.get("paging") === "continuous" ? "continuous" : "pages";
+  state.anchor = params.get("at") || "";
+
+  const parseSet = (f, key) => {
+    const set = new Set();
+    for (const raw of params.getAll(key)) {
+      const v = canonicalFacetValue(f.key, raw.trim());
+      if (!v) continue;
+      if (globalFacets[f.key]?.has(v)) set.add(v);
+      else issues.dropped.push({ key: f.key, value: v });
+    }
+    return set;
+  };
+
+  state.facetModes = {};
+  for (const f of FACETS) {
+    state[f.key] = parseSet(f, f.urlKey);
+    state.excluded[f.key] = parseSet(f, `${f.urlKey}Not`);
+    for (const v of state.excluded[f.key]) state[f.key].delete(v); // a value can't be both
+    if (f.multiValue && params.get(`${f.urlKey}Mode`) === "all") state.facetModes[f.key] = "all";
+  }
+
+  const datePreset = params.get("date") || "";
+  const isDay = (v) => Number.isFinite(parseDateInput(v));
+  state.datePreset = DATE_PRESETS[datePreset] ? datePreset : "";
+  state.dateFrom = !state.datePreset && isDay(params.get("from")) ? params.get("from") : "";
+  state.dateTo = !state.datePreset && isDay(params.get("to")) ? params.get("to") : "";
+  if (state.dateFrom && state.dateTo && state.dateFrom > state.dateTo) [state.dateFrom, state.dateTo] = [state.dateTo, state.dateFrom];
+
+  // Lists live in this browser only; an unknown id (shared link) is dropped
+  const list = params.get("list") || "";
+  state.savedList = getReadingList(list) ? list : "";
+  state.hideRead = params.get("hideRead") === "1";
+  state.cluster = params.get("cluster") !== "0";
+  state.view = params.get("view") === "analytics" ? "analytics" : "list";
+  state.layout = LAYOUTS.includes(params.get("layout")) ? params.get("layout") : "grid";
+
+  return issues;
+}
+
+/**
+ * A facet value as the dataset labels it: older links and saved views may
+ * spell a tag differently ("Dog Bites" for "dog bite").
+ * @param {string} key FACETS key
+ * @param {string} value
+ */
+function canonicalFacetValue(key, value) {
+  return key === "tags" ? normalizeTag(value) || value : value;
+}
+
+/**
+ * "Parts of this link were ignored" notice (renderLinkNotice(null) or no
+ * issues removes it).
+ * @param {ReturnType<typeof readStateFromUrl> | null} issues
+ */
+function renderLinkNotice(issues) {
+  const mount = els.noticeMount;
+  mount.querySelectorAll("[data-notice='link']").forEach((n) => n.remove());
+  const any = issues && (issues.dropped.length || issues.unknown.length || issues.badShareLink);
+  linkIssues = any ? issues : null;
+  if (!any) return;
+
+  const box = document.createElement("div");
+  box.className = "notice notice-warning notice-link";
+  box.dataset.notice = "link";
+  box.setAttribute("role", "status");
+
+  const title = document.createElement("strong");
+  title.textContent = uiText("link.ignored");
+  const list = document.createElement("ul");
+  const addItem = (text) => {
+    const li = document.createElement("li");
+    li.textContent = text;
+    list.appendChild(li);
+  };
+  if (issues.badShareLink) addItem(uiText("link.badShare"));
+  for (const { key, value } of issues.dropped) {
+    const facet = FACETS.find((f) => f.key === key);
+    addItem(uiText("link.dropped", { facet: facetTitle(facet), value: facetValueLabel(key, value) }));
+  }
+  for (const name of issues.unknown) addItem(uiText("link.unknown", { name }));
+
+  const dismiss = document.createElement("button");
+  dismiss.type = "button";
+  dismiss.className = "link-btn";
+  dismiss.textContent = uiText("link.dismiss");
+  dismiss.addEventListener("click", () => renderLinkNotice(null));
+
+  box.append(title, dismiss, list);
+  mount.appendChild(box);
 }
 
+// ------------------------------------------------------------
+// Share links (?s=…)
+// ------------------------------------------------------------
+// A short link packs the v2 query string into one `s` param: a scheme
+// letter, then base64url. "z" is deflate-raw (CompressionStream); "b" is
+// the uncompressed fallback. Both schemes imply v2; a future format gets a
+// new letter. Defaults, `v` and `lang` (the recipient keeps their own) are
+// left out. expandShareLink() turns it back into the full URL on load.
+
 /**
- * syncStateToUrl(): writes state to query params
+ * @param {Uint8Array} bytes
  */
-function syncStateToUrl() {
-  const params = new URLSearchParams(window.location.search);
+function toBase64Url(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
 
-  const setOrDelete = (k, v) => {
-    if (v == null || v === "" || (Array.isArray(v) && v.length === 0)) params.delete(k);
-    else params.set(k, v);
-  };
+/**
+ * @param {string} text
+ */
+function fromBase64Url(text) {
+  return Uint8Array.from(atob(text.replace(/-/g, "+").replace(/_/g, "/")), (c) => c.charCodeAt(0));
+}
 
-  setOrDelete("q", state.q?.trim() || "");
-  setOrDelete("sort", state.sort);
-  setOrDelete("page", String(state.page));
-  setOrDelete("pageSize", String(state.pageSize));
+/**
+ * Bytes through a (De)CompressionStream.
+ * @param {Uint8Array} bytes
+ * @param {CompressionStream | DecompressionStream} transform
+ */
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
 
-  setOrDelete("category", Array.from(state.category).join(","));
-  setOrDelete("publishers", Array.from(state.publishers).join(","));
-  setOrDelete("languages", Array.from(state.languages).join(","));
-  setOrDelete("tags", Array.from(state.tags).join(","));
+/**
+ * `s` value for a v2 query string.
+ * @param {string} search
+ */
+async function packUrlState(search) {
+  const params = new URLSearchParams(search);
+  params.delete("v");
+  params.delete("lang");
+  if (params.get("page") === "1") params.delete("page");
+  if (params.get("pageSize") === "20") params.delete("pageSize");
+  if (params.get("sort") === (params.get("q") ? SORTS.relevance : SORTS.newest)) params.delete("sort");
+
+  const bytes = new TextEncoder().encode(params.toString());
+  try {
+    return `z${toBase64Url(await pipeBytes(bytes, new CompressionStream("deflate-raw")))}`;
+  } catch {
+    // No CompressionStream (or no deflate-raw) in this browser
+    return `b${toBase64Url(bytes)}`;
+  }
+}
 
-  const newUrl = `${window.location.pathname}?${params.toString()}`;
-  window.history.replaceState({}, "", newUrl);
+/**
+ * Query string packed by packUrlState(); throws when it can't be read.
+ * @param {string} packed
+ */
+async function unpackUrlState(packed) {
+  const bytes = fromBase64Url(packed.slice(1));
+  if (packed[0] === "b") return new TextDecoder().decode(bytes);
+  if (packed[0] === "z") return new TextDecoder().decode(await pipeBytes(bytes, new DecompressionStream("deflate-raw")));
+  throw new Error(`Unknown share link scheme "${packed[0]}"`);
 }
 
 /**
- * readStateFromUrl(): reads query params on load
+ * Replaces a short link in the address bar with its full form, so
+ * readStateFromUrl() and later history entries see normal params. An
+ * unreadable `s` is left in place for readStateFromUrl() to report.
  */
-function readStateFromUrl() {
-  const params = new URLSearchParams(window.location.search);
+async function expandShareLink() {
+  const current = new URLSearchParams(window.location.search);
+  const packed = current.get("s");
+  if (!packed) return;
 
-  const q = params.get("q");
-  const sort = params.get("sort");
-  const page = Number(params.get("page"));
-  const pageSize = Number(params.get("pageSize"));
+  let params;
+  try {
+    params = new URLSearchParams(await unpackUrlState(packed));
+  } catch (err) {
+    console.warn("Share link could not be read", err);
+    return;
+  }
+  params.set("v", String(URL_STATE_VERSION));
+  if (current.has("lang")) params.set("lang", current.get("lang"));
+  window.history.replaceState(window.history.state, "", `${window.location.pathname}?${params.toString()}${window.location.hash}`);
+}
 
-  state.q = q ?? "";
-  if (Object.values(SORTS).includes(sort)) state.sort = sort;
-  state.page = Number.isFinite(page) && page > 0 ? page : 1;
-  state.pageSize = [10, 20, 50].includes(pageSize) ? pageSize : state.pageSize;
+/**
+ * Absolute link to the list with `search` (no reader route).
+ * @param {string} search
+ */
+function viewUrl(search) {
+  return `${window.location.origin}${window.location.pathname}?${search}`;
+}
 
-  const parseSet = (key) => {
-    const raw = params.get(key);
-    const set = new Set();
-    if (!raw) return set;
-    raw.split(",").map(s => s.trim()).filter(Boolean).forEach(v => set.add(v));
-    return set;
+/**
+ * Copies the full or the short link to the current view.
+ * @param {"full" | "short"} kind
+ */
+async function copyViewLink(kind) {
+  const url = kind === "short" ? viewUrl(`s=${await packUrlState(syncedSearch)}`) : viewUrl(syncedSearch);
+  await copyText(url);
+  setStatus(uiText("share.copied"));
+  setTimeout(() => setStatus(""), 1200);
+}
+
+/**
+ * Share menu: both links, each in a read-only field with a copy button.
+ */
+function renderSharePanel() {
+  const panel = els.sharePanel;
+  panel.innerHTML = "";
+
+  const addLink = (kind, label, hint) => {
+    const group = document.createElement("div");
+    group.className = "share-link";
+    const id = `shareLink-${kind}`;
+    const title = document.createElement("label");
+    title.className = "label";
+    title.htmlFor = id;
+    title.textContent = label;
+
+    const row = document.createElement("div");
+    row.className = "share-row";
+    const field = document.createElement("input");
+    field.id = id;
+    field.type = "text";
+    field.readOnly = true;
+    field.dir = "ltr";
+    field.addEventListener("focus", () => field.select());
+    const copy = document.createElement("button");
+    copy.type = "button";
+    copy.className = "btn";
+    copy.textContent = uiText("share.copy");
+    copy.setAttribute("aria-label", uiText("share.copyLabel", { link: label }));
+    copy.addEventListener("click", () => copyViewLink(kind).then(() => {
+      els.shareMenu.open = false;
+    }));
+    row.append(field, copy);
+
+    group.append(title, row);
+    if (hint) {
+      const note = document.createElement("p");
+      note.className = "share-hint";
+      note.textContent = hint;
+      group.appendChild(note);
+    }
+    panel.appendChild(group);
+    return field;
   };
 
-  state.category = parseSet("category");
-  state.publishers = parseSet("publishers");
-  state.languages = parseSet("languages");
-  state.tags = parseSet("tags");
+  addLink("full", uiText("share.full")).value = viewUrl(syncedSearch);
+  const short = addLink("short", uiText("share.short"), uiText("share.shortHint"));
+  short.value = uiText("share.preparing");
+  packUrlState(syncedSearch).then((packed) => {
+    short.value = viewUrl(`s=${packed}`);
+  });
 }
 
 function clearAllFilters() {
@@ -978,26 +5078,34 @@ function clearAllFilters() {
   state.sort = SORTS.newest;
   state.pageSize = 20;
 
-  state.category.clear();
-  state.publishers.clear();
-  state.languages.clear();
-  state.tags.clear();
-  state.tagsExpanded = false;
+  for (const f of FACETS) {
+    state[f.key].clear();
+    state.excluded[f.key].clear();
+  }
+  state.facetModes = {};
+  state.datePreset = "";
+  state.dateFrom = "";
+  state.dateTo = "";
+  state.savedList = "";
+  state.hideRead = false;
+  state.expandedFacets.clear();
 
   // Sync control UI
   els.searchInput.value = "";
   els.sortSelect.value = state.sort;
   els.pageSizeSelect.value = String(state.pageSize);
+  els.hideReadToggle.checked = false;
 
   syncStateToUrl();
   update();
 }
 
 function renderSkeletons(count = 9) {
+  teardownContinuous();
   els.cardsMount.innerHTML = "";
   els.paginationMount.innerHTML = "";
   els.showingText.textContent = "";
-  setStatus("Loading…");
+  setStatus(uiText("results.loading"));
 
   const frag = document.createDocumentFragment();
   for (let i = 0; i < count; i++) {
@@ -1008,9 +5116,11 @@ function renderSkeletons(count = 9) {
 }
 
 function renderEmpty() {
+  teardownContinuous();
   els.cardsMount.innerHTML = "";
   els.paginationMount.innerHTML = "";
   const node = els.emptyTemplate.content.cloneNode(true);
+  translateStatic(node);
   els.cardsMount.appendChild(node);
 
   const btn = document.getElementById("emptyClearBtn");
@@ -1025,20 +5135,72 @@ function renderError(err) {
   setStatus("");
 
   const node = els.errorTemplate.content.cloneNode(true);
+  translateStatic(node);
+  const detail = node.querySelector("[data-error-detail]");
+  if (detail && err?.message) {
+    detail.textContent = err.message;
+    detail.hidden = false;
+  }
+  const retryStatus = node.querySelector("[data-retry-status]");
   els.cardsMount.appendChild(node);
 
   const btn = document.getElementById("retryBtn");
-  btn?.addEventListener("click", () => loadData());
+  btn?.addEventListener("click", () => retryNow());
+  if (retryStatus) scheduleRetry(retryStatus);
 }
 
 /**
  * update(): the main re-render pipeline
- * @param {{skipUrl?: boolean}} opts
+ * @param {{skipUrl?: boolean, history?: "push" | "replace" | "typing", facetsOnly?: boolean, then?: () => void}} opts
+ *   history: how a changed URL is recorded (see syncStateToUrl());
+ *   facetsOnly: refresh counts but leave the cards alone;
+ *   then: runs after rendering (later than update() returns with the worker)
  */
 function update(opts = {}) {
-  if (!opts.skipUrl) syncStateToUrl();
+  if (!opts.skipUrl) syncStateToUrl(opts.history);
+
+  const query = {
+    ...makeSearchQuery(),
+    counts: true,
+    lists: readingLists.map((l) => ({ id: l.id, items: l.items })),
+    views: savedViews.map((v) => ({ id: v.id, query: makeSearchQuery(viewToState(v.snapshot)) })),
+  };
+
+  // The worker never answers a superseded query, so this one also does the
+  // rendering and `then` of any update() still waiting on it
+  const render = pendingRender ? mergeRenderOpts(pendingRender, opts) : opts;
+  pendingRender = render;
+  applyFiltersAndSort(query, (result) => {
+    if (pendingRender === render) pendingRender = null;
+    renderResult(result, render);
+    render.then?.();
+  });
+}
+
+/**
+ * update() options covering both `a` and `b`: cards render unless both are
+ * facetsOnly, and both `then`s run (a's first).
+ */
+function mergeRenderOpts(a, b) {
+  const thens = [a.then, b.then].filter(Boolean);
+  return {
+    facetsOnly: Boolean(a.facetsOnly && b.facetsOnly),
+    then: thens.length ? () => thens.forEach((fn) => fn()) : undefined,
+  };
+}
+
+/**
+ * Renders an engine result: facets, counts, cards and pagination.
+ */
+function renderResult(result, opts = {}) {
+  const toArticles = (indexes) => Array.from(indexes, (i) => normalizedArticles[i]);
 
-  const filtered = applyFiltersAndSort();
+  renderFacets(result.counts);
+  if (opts.facetsOnly) return;
+
+  const matched = toArticles(result.matched);
+  const filtered = toArticles(result.primaries);
+  const related = new Map(Array.from(result.related, ([i, others]) => [normalizedArticles[i].id, toArticles(others)]));
   const pageInfo = paginate(filtered);
 
   // Keep state.page clamped
@@ -1046,6 +5208,8 @@ function update(opts = {}) {
 
   lastResult = {
     filtered,
+    matched,
+    related,
     paged: pageInfo.pageItems,
     total: pageInfo.total,
     page: pageInfo.page,
@@ -1053,23 +5217,47 @@ function update(opts = {}) {
     totalPages: pageInfo.totalPages,
   };
 
-  // Dynamic facet counts
-  const dyn = computeDynamicFacetCounts();
-  renderFacets(dyn);
-
   // Showing text
   if (pageInfo.total === 0) {
-    els.showingText.textContent = "Showing 0 results";
+    els.showingText.textContent = uiText("results.none");
   } else {
-    els.showingText.textContent = `Showing ${pageInfo.startIdx + 1}–${pageInfo.endIdx} of ${pageInfo.total}`;
+    const range = { start: pageInfo.startIdx + 1, end: pageInfo.endIdx, total: pageInfo.total };
+    els.showingText.textContent = matched.length > filtered.length
+      ? uiText("results.showingStories", { ...range, articles: matched.length })
+      : uiText("results.showing", range);
   }
 
-  // Status
-  setStatus("");
+  // Status (search syntax problems surface here rather than as an empty list)
+  setStatus(result.error ? uiText("results.searchSyntax", { error: result.error }) : "");
+
+  els.markPageReadBtn.hidden = pageInfo.pageItems.every((a) => isRead(a.id));
+
+  // Cards + pagination (continuous mode renders its own batches + range text)
+  const analytics = state.view === "analytics" && pageInfo.total > 0;
+  els.analyticsMount.hidden = !analytics;
+  if (!analytics) els.analyticsMount.innerHTML = "";
+  for (const btn of els.viewSwitch.querySelectorAll("[data-view]")) {
+    btn.setAttribute("aria-pressed", String(btn.dataset.view === state.view));
+  }
+  els.layoutSwitch.hidden = analytics;
+  for (const btn of els.layoutSwitch.querySelectorAll("[data-layout]")) {
+    btn.setAttribute("aria-pressed", String(btn.dataset.layout === state.layout));
+  }
+  els.cardsMount.dataset.layout = state.layout;
+  if (state.layout === "table" && pageInfo.total > 0 && !analytics) els.cardsMount.setAttribute("role", "table");
+  else els.cardsMount.removeAttribute("role");
 
-  // Cards + pagination
   if (pageInfo.total === 0) {
     renderEmpty();
+  } else if (analytics) {
+    teardownContinuous();
+    els.cardsMount.innerHTML = "";
+    els.paginationMount.innerHTML = "";
+    els.markPageReadBtn.hidden = true;
+    renderAnalytics(matched);
+  } else if (state.paging === "continuous") {
+    els.markPageReadBtn.hidden = true;
+    renderContinuous(filtered);
   } else {
     renderCards(pageInfo.pageItems);
     renderPagination(pageInfo.totalPages, pageInfo.page);
@@ -1079,8 +5267,634 @@ function update(opts = {}) {
   // (Avoid stomping cursor position while typing—only safe updates)
   els.sortSelect.value = state.sort;
   els.pageSizeSelect.value = String(state.pageSize);
+  els.pagingSelect.value = state.paging;
+  els.hideReadToggle.checked = state.hideRead;
+  els.clusterToggle.checked = state.cluster;
+}
+
+// ------------------------------------------------------------
+// Keyboard shortcuts
+// ------------------------------------------------------------
+// SHORTCUTS drives both the key handler and the "?" help overlay. Keys are
+// ignored while typing in a field, with Ctrl/Cmd/Alt held, and while the
+// reader (which has its own keys) is open.
+
+let selectedCardId = ""; // card picked with j/k (or focused)
+let shortcutsReturnFocus = null;
+
+// `message`: i18n.js key of the help text
+const SHORTCUTS = [
+  { keys: ["/"], message: "shortcuts.focusSearch", run: () => focusSearch() },
+  { keys: ["j"], message: "shortcuts.next", run: () => moveCardSelection(1) },
+  { keys: ["k"], message: "shortcuts.prev", run: () => moveCardSelection(-1) },
+  { keys: ["o", "Enter"], message: "shortcuts.open", run: () => withSelectedArticle((a) => openReader(a)) },
+  { keys: ["s"], message: "shortcuts.copy", run: () => withSelectedArticle((a) => copyArticleLink(a)) },
+  { keys: ["["], message: "shortcuts.prevPage", run: () => stepPage(-1) },
+  { keys: ["]"], message: "shortcuts.nextPage", run: () => stepPage(1) },
+  { keys: ["x"], message: "shortcuts.tag", run: () => withSelectedArticle((a) => toggleFirstTagFilter(a)) },
+  { keys: ["?"], message: "shortcuts.help", run: () => toggleShortcutsHelp() },
+];
+
+function focusSearch() {
+  els.searchInput.focus();
+  els.searchInput.select();
+}
+
+function onShortcutKey(e) {
+  if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+  if (isTypingTarget(e.target) || !els.readerMount.hidden || !els.paletteMount.hidden) return;
+  if (!els.shortcutsMount.hidden && e.key !== "?") return;
+  // Enter on a focused card/link/button is theirs; only a bare Enter opens
+  if (e.key === "Enter" && e.target !== document.body) return;
+
+  const shortcut = SHORTCUTS.find((sc) => sc.keys.includes(e.key));
+  if (!shortcut) return;
+  e.preventDefault();
+  shortcut.run();
+}
+
+function renderedCards() {
+  return Array.from(els.cardsMount.querySelectorAll(".card[data-id]"));
+}
+
+/**
+ * Marks `card` as the keyboard selection, focuses it and scrolls it clear
+ * of the sticky controls bar.
+ * @param {HTMLElement} card
+ * @param {{focus?: boolean}} [opts]
+ */
+function selectCard(card, { focus = true } = {}) {
+  selectedCardId = card.dataset.id || "";
+  for (const c of els.cardsMount.querySelectorAll(".card.is-selected")) {
+    if (c !== card) c.classList.remove("is-selected");
+  }
+  card.classList.add("is-selected");
+  if (!focus) return;
+
+  card.focus({ preventScroll: true });
+  card.scrollIntoView({ block: "nearest" });
+  const top = card.getBoundingClientRect().top - stickyOffset();
+  if (top < 0) window.scrollBy(0, top - 8);
+}
+
+/**
+ * j/k: next/previous card. With no selection yet, starts at the first card
+ * on screen.
+ * @param {1 | -1} step
+ */
+function moveCardSelection(step) {
+  const cards = renderedCards();
+  if (!cards.length) return;
+
+  const current = cards.findIndex((c) => c.dataset.id === selectedCardId);
+  if (current < 0) {
+    const onScreen = cards.find((c) => c.getBoundingClientRect().bottom > stickyOffset());
+    selectCard(onScreen || cards[0]);
+    return;
+  }
+
+  const next = current + step;
+  if (next < 0 || next >= cards.length) {
+    if (state.paging === "pages") setStatus(uiText(next < 0 ? "shortcuts.firstOnPage" : "shortcuts.lastOnPage"));
+    return;
+  }
+  selectCard(cards[next]);
+}
+
+/**
+ * Runs `fn` with the focused or selected article, if it is on screen.
+ * @param {(a: any) => void} fn
+ */
+function withSelectedArticle(fn) {
+  const focused = /** @type {HTMLElement} */ (document.activeElement)?.closest?.(".card[data-id]");
+  const id = focused?.dataset.id || selectedCardId;
+  const a = id && renderedCards().some((c) => c.dataset.id === id) ? articlesById.get(id) : null;
+  if (a) fn(a);
+  else setStatus(uiText("shortcuts.selectFirst"));
+}
+
+function focusSelectedCard() {
+  const card = renderedCards().find((c) => c.dataset.id === selectedCardId);
+  if (card) selectCard(card);
+}
+
+/**
+ * [ / ]: previous/next page via goToPage() (Pages mode only).
+ * @param {1 | -1} step
+ */
+function stepPage(step) {
+  if (state.paging === "continuous") {
+    setStatus(uiText("shortcuts.pagesOnly"));
+    return;
+  }
+  const target = clamp(lastResult.page + step, 1, lastResult.totalPages);
+  if (target === lastResult.page) return;
+  selectedCardId = "";
+  goToPage(target);
+}
+
+/**
+ * x: adds/removes the article's first tag as a filter (the article keeps
+ * matching either way, so the selection survives the re-render).
+ * @param {any} a
+ */
+function toggleFirstTagFilter(a) {
+  const tag = a._tags?.[0];
+  if (!tag) {
+    setStatus(uiText("shortcuts.noTags"));
+    return;
+  }
+
+  toggleMulti(state.tags, tag);
+  state.excluded.tags.delete(tag);
+  state.page = 1;
+  syncStateToUrl();
+  update({
+    then: () => {
+      focusSelectedCard();
+      setStatus(uiText(state.tags.has(tag) ? "shortcuts.filteringTag" : "shortcuts.removedTag", { tag }));
+    },
+  });
+}
+
+/**
+ * "?" overlay listing SHORTCUTS. Esc, "?" or a click outside closes it and
+ * focus goes back where it was.
+ * @param {boolean} [show] defaults to toggling
+ */
+function toggleShortcutsHelp(show = els.shortcutsMount.hidden) {
+  const mount = els.shortcutsMount;
+  if (!show) {
+    mount.hidden = true;
+    mount.innerHTML = "";
+    shortcutsReturnFocus?.focus?.({ preventScroll: true });
+    shortcutsReturnFocus = null;
+    return;
+  }
+
+  shortcutsReturnFocus = /** @type {HTMLElement} */ (document.activeElement);
+  mount.innerHTML = "";
+
+  const panel = document.createElement("div");
+  panel.className = "shortcuts-panel";
+  panel.setAttribute("role", "dialog");
+  panel.setAttribute("aria-modal", "true");
+  panel.setAttribute("aria-labelledby", "shortcutsTitle");
+  panel.tabIndex = -1;
+
+  const head = document.createElement("div");
+  head.className = "shortcuts-head";
+  const h2 = document.createElement("h2");
+  h2.id = "shortcutsTitle";
+  h2.textContent = uiText("shortcuts.title");
+  const close = document.createElement("button");
+  close.type = "button";
+  close.className = "btn";
+  close.textContent = uiText("reader.close");
+  close.addEventListener("click", () => toggleShortcutsHelp(false));
+  head.append(h2, close);
+
+  const list = document.createElement("dl");
+  list.className = "shortcuts-list";
+  for (const sc of SHORTCUTS) {
+    const dt = document.createElement("dt");
+    sc.keys.forEach((key, i) => {
+      if (i) dt.append(` ${uiText("shortcuts.or")} `);
+      const kbd = document.createElement("kbd");
+      kbd.textContent = key;
+      dt.appendChild(kbd);
+    });
+    const dd = document.createElement("dd");
+    dd.textContent = uiText(sc.message);
+    list.append(dt, dd);
+  }
+
+  const note = document.createElement("p");
+  note.className = "muted";
+  note.textContent = uiText("shortcuts.note");
+
+  panel.append(head, list, note);
+  panel.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      toggleShortcutsHelp(false);
+    }
+  });
+  mount.onclick = (e) => {
+    if (e.target === mount) toggleShortcutsHelp(false);
+  };
+
+  mount.appendChild(panel);
+  mount.hidden = false;
+  panel.focus({ preventScroll: true });
+}
+
+// ------------------------------------------------------------
+// Command palette (Ctrl/Cmd+K)
+// ------------------------------------------------------------
+// One fuzzy-searchable list of every facet value (from globalFacets, with
+// counts), date preset, sort, page size, saved view and a few actions.
+// Commands go through the same paths as the controls they stand in for:
+// cycleFacetValue() like the chips, "change" events on the selects. The
+// ids of recently run commands are kept in localStorage and ranked first.
+
+const PALETTE_RECENT_KEY = "news.paletteRecent.v1";
+const PALETTE_RECENT_MAX = 8;
+const PALETTE_MAX_RESULTS = 60;
+
+let paletteRecent = loadPaletteRecent(); // command ids, most recent first
+let paletteReturnFocus = null;
+
+function loadPaletteRecent() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PALETTE_RECENT_KEY) || "null");
+    return Array.isArray(stored?.ids) ? stored.ids.filter((id) => typeof id === "string").slice(0, PALETTE_RECENT_MAX) : [];
+  } catch {
+    return [];
+  }
+}
+
+function savePaletteRecent() {
+  try {
+    localStorage.setItem(PALETTE_RECENT_KEY, JSON.stringify({ ids: paletteRecent }));
+  } catch {
+    // Preferences are best-effort
+  }
+}
+
+function rememberPaletteCommand(id) {
+  paletteRecent = [id, ...paletteRecent.filter((x) => x !== id)].slice(0, PALETTE_RECENT_MAX);
+  savePaletteRecent();
+}
+
+/**
+ * Sets a <select> and fires "change" so its renderControls() handler runs.
+ * @param {HTMLSelectElement} select
+ * @param {string} value
+ */
+function chooseOption(select, value) {
+  select.value = value;
+  select.dispatchEvent(new Event("change"));
+}
+
+/**
+ * Everything the palette can run, in default (no query) order.
+ * `run(exclude)` gets true for Shift+Enter / Shift+click.
+ * @returns {{id: string, group: string, label: string, hint: string, run: (exclude: boolean) => void}[]}
+ */
+function buildPaletteCommands() {
+  const out = [];
+  const add = (id, group, label, hint, run) => out.push({ id, group, label, hint, run });
+  const action = uiText("palette.action");
+  const current = uiText("palette.current");
+
+  add("action:clear", action, uiText("controls.clearFilters"), "", () => clearAllFilters());
+  if (state.view === "analytics") add("action:view-list", action, uiText("palette.showArticles"), "", () => setView("list"));
+  else add("action:view-analytics", action, uiText("palette.showAnalytics"), "", () => setView("analytics"));
+  if (state.q) add("action:clear-search", action, uiText("palette.clearSearch"), `“${state.q}”`, () => els.clearSearchBtn.click());
+  add("action:hide-read", action, uiText(state.hideRead ? "palette.showRead" : "palette.hideRead"), "", () => els.hideReadToggle.click());
+  add("action:cluster", action, uiText(state.cluster ? "palette.listDuplicates" : "palette.groupDuplicates"), "", () => els.clusterToggle.click());
+  add("action:mark-read", action, uiText("palette.markPageRead"), "", () => markPageRead());
+  add("action:refresh", action, uiText("header.checkUpdates"), "", () => checkForUpdates({ manual: true }));
+  add("action:copy-view-link", action, uiText("palette.copyViewLink"), "", () => copyViewLink("full"));
+  add("action:copy-short-link", action, uiText("palette.copyShortLink"), "", () => copyViewLink("short"));
+  add("action:export", action, uiText("palette.export"), uiText("palette.exportHint", { count: lastResult.matched.length }), () => {
+    els.exportMenu.open = true;
+    els.exportMenu.querySelector("summary")?.focus();
+  });
+  add("action:shortcuts", action, uiText("shortcuts.title"), "?", () => toggleShortcutsHelp(true));
+
+  if (state.view !== "analytics") {
+    for (const layout of LAYOUTS) {
+      add(`layout:${layout}`, uiText("layout.group"), uiText(`layout.${layout}`), state.layout === layout ? current : "", () => setLayout(layout));
+    }
+  }
+  for (const opt of els.sortSelect.options) {
+    add(`sort:${opt.value}`, uiText("controls.sort"), opt.textContent, state.sort === opt.value ? current : "", () => chooseOption(els.sortSelect, opt.value));
+  }
+  for (const opt of els.pageSizeSelect.options) {
+    const label = uiText("palette.perPage", { count: Number(opt.value) });
+    add(`page-size:${opt.value}`, uiText("controls.pageSize"), label, state.pageSize === Number(opt.value) ? current : "", () => chooseOption(els.pageSizeSelect, opt.value));
+  }
+  for (const opt of els.pagingSelect.options) {
+    add(`paging:${opt.value}`, uiText("controls.pagingMode"), opt.textContent, state.paging === opt.value ? current : "", () => chooseOption(els.pagingSelect, opt.value));
+  }
+
+  for (const view of savedViews) {
+    add(`view:${view.id}`, uiText("palette.savedView"), view.name, "", () => applySavedView(view.id));
+  }
+  for (const key of Object.keys(DATE_PRESETS)) {
+    const active = state.datePreset === key;
+    add(`date:${key}`, uiText("date.title"), datePresetLabel(key), active ? uiText("palette.active") : "", () => setDatePreset(active ? "" : key));
+  }
+
+  for (const f of FACETS) {
+    const totals = globalFacets[f.key];
+    if (!totals || totals.size < (f.minOptions || 1)) continue;
+    const values = Array.from(totals.entries()).sort((x, y) => y[1] - x[1] || x[0].localeCompare(y[0]));
+    for (const [value, count] of values) {
+      const hint = state[f.key].has(value) ? uiText("palette.included", { count })
+        : state.excluded[f.key].has(value) ? uiText("palette.excluded", { count }) : formatCount(count);
+      add(`facet:${f.key}:${value}`, facetTitle(f), facetValueLabel(f.key, value), hint, (exclude) => {
+        cycleFacetValue(f.key, value, exclude);
+        state.page = 1;
+        syncStateToUrl();
+        update();
+      });
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Subsequence match of `query` (spaces ignored) against `text`. Matches at
+ * word starts and runs of consecutive characters score higher; gaps cost a
+ * little. Returns null when some character is missing.
+ * @param {string} query lowercased
+ * @param {string} text
+ * @returns {{score: number, positions: number[]} | null}
+ */
+function fuzzyMatch(query, text) {
+  const needle = query.replace(/\s+/g, "");
+  if (!needle) return { score: 0, positions: [] };
+
+  const hay = text.toLowerCase();
+  const isWordStart = (i) => i === 0 || /[\s\-_/(]/.test(hay[i - 1]);
+
+  // Jumping ahead to word starts can strand later characters, so fall back
+  // to the plain leftmost match
+  const positionsFor = (preferWordStarts) => {
+    const out = [];
+    let from = 0;
+    for (const ch of needle) {
+      let at = hay.indexOf(ch, from);
+      if (at < 0) return null;
+      if (preferWordStarts && at !== from && !isWordStart(at)) {
+        for (let i = hay.indexOf(ch, at + 1); i >= 0; i = hay.indexOf(ch, i + 1)) {
+          if (isWordStart(i)) {
+            at = i;
+            break;
+          }
+        }
+      }
+      out.push(at);
+      from = at + 1;
+    }
+    return out;
+  };
+
+  const positions = positionsFor(true) || positionsFor(false);
+  if (!positions) return null;
+
+  let score = 0;
+  for (const [i, at] of positions.entries()) {
+    const prev = positions[i - 1];
+    score += 1;
+    if (isWordStart(at)) score += 4;
+    if (prev !== undefined && at === prev + 1) score += 3;
+    else if (prev !== undefined) score -= Math.min(3, (at - prev - 1) * 0.1);
+  }
+  return { score: score - hay.length * 0.01, positions };
+}
+
+/**
+ * Commands matching `query`: recently used first (most recent on top),
+ * then by match score.
+ * @param {ReturnType<typeof buildPaletteCommands>} commands
+ * @param {string} query
+ */
+function rankPaletteCommands(commands, query) {
+  const q = query.trim().toLowerCase();
+  const ranked = [];
+  for (const [order, cmd] of commands.entries()) {
+    const label = fuzzyMatch(q, cmd.label);
+    const full = label ? null : fuzzyMatch(q, `${cmd.group} ${cmd.label}`);
+    const match = label ? { score: label.score + 2, positions: label.positions } : full && { score: full.score, positions: full.positions.map((p) => p - cmd.group.length - 1) };
+    if (!match) continue;
+    const recent = paletteRecent.indexOf(cmd.id);
+    ranked.push({ cmd, order, recent: recent < 0 ? Infinity : recent, score: match.score, positions: match.positions });
+  }
+
+  ranked.sort((x, y) => x.recent - y.recent || (q ? y.score - x.score : 0) || x.order - y.order);
+  return ranked;
+}
+
+function togglePalette(show = els.paletteMount.hidden) {
+  if (show) openPalette();
+  else closePalette();
+}
+
+function closePalette() {
+  const mount = els.paletteMount;
+  if (mount.hidden) return;
+  mount.hidden = true;
+  mount.innerHTML = "";
+  paletteReturnFocus?.focus?.({ preventScroll: true });
+  paletteReturnFocus = null;
+}
+
+function openPalette() {
+  const mount = els.paletteMount;
+  if (!mount.hidden) return;
+  if (!els.shortcutsMount.hidden) toggleShortcutsHelp(false);
+
+  paletteReturnFocus = /** @type {HTMLElement} */ (document.activeElement);
+  const commands = buildPaletteCommands();
+  let shown = [];
+  let active = 0;
+
+  const panel = document.createElement("div");
+  panel.className = "palette-panel";
+  panel.setAttribute("role", "dialog");
+  panel.setAttribute("aria-modal", "true");
+  panel.setAttribute("aria-label", uiText("palette.label"));
+
+  const input = document.createElement("input");
+  input.type = "search";
+  input.className = "palette-input";
+  input.placeholder = uiText("palette.placeholder");
+  input.autocomplete = "off";
+  input.spellcheck = false;
+  input.setAttribute("role", "combobox");
+  input.setAttribute("aria-expanded", "true");
+  input.setAttribute("aria-controls", "paletteList");
+  input.setAttribute("aria-autocomplete", "list");
+
+  const list = document.createElement("ul");
+  list.id = "paletteList";
+  list.className = "palette-list";
+  list.setAttribute("role", "listbox");
+  list.setAttribute("aria-label", uiText("palette.commands"));
+
+  const foot = document.createElement("p");
+  foot.className = "palette-foot muted";
+  foot.textContent = uiText("palette.foot");
+
+  const run = (entry, exclude) => {
+    closePalette();
+    rememberPaletteCommand(entry.cmd.id);
+    entry.cmd.run(exclude);
+  };
+
+  const setActive = (i) => {
+    active = i;
+    for (const [j, li] of Array.from(list.children).entries()) {
+      li.classList.toggle("is-active", j === i);
+      li.setAttribute("aria-selected", String(j === i));
+    }
+    const li = list.children[i];
+    if (li?.id) {
+      input.setAttribute("aria-activedescendant", li.id);
+      li.scrollIntoView({ block: "nearest" });
+    } else {
+      input.removeAttribute("aria-activedescendant");
+    }
+  };
+
+  const render = () => {
+    const ranked = rankPaletteCommands(commands, input.value);
+    shown = ranked.slice(0, PALETTE_MAX_RESULTS);
+    list.innerHTML = "";
+
+    if (!shown.length) {
+      const empty = document.createElement("li");
+      empty.className = "palette-empty muted";
+      empty.textContent = uiText("palette.none");
+      list.appendChild(empty);
+    }
+
+    for (const [i, entry] of shown.entries()) {
+      const li = document.createElement("li");
+      li.id = `palette-opt-${i}`;
+      li.className = "palette-option";
+      li.setAttribute("role", "option");
+
+      const group = document.createElement("span");
+      group.className = "palette-group";
+      group.textContent = entry.recent === Infinity ? entry.cmd.group : uiText("palette.recent", { group: entry.cmd.group });
+
+      const label = document.createElement("span");
+      label.className = "palette-label";
+      appendFuzzyMarks(label, entry.cmd.label, entry.positions);
+
+      li.append(group, label);
+      if (entry.cmd.hint) {
+        const hint = document.createElement("span");
+        hint.className = "palette-hint";
+        hint.textContent = entry.cmd.hint;
+        li.appendChild(hint);
+      }
+
+      li.addEventListener("mousemove", () => {
+        if (active !== i) setActive(i);
+      });
+      li.addEventListener("click", (e) => run(entry, e.shiftKey));
+      list.appendChild(li);
+    }
+
+    if (ranked.length > shown.length) {
+      const more = document.createElement("li");
+      more.className = "palette-empty muted";
+      more.textContent = uiText("palette.more", { count: ranked.length - shown.length });
+      list.appendChild(more);
+    }
+    setActive(0);
+  };
+
+  input.addEventListener("input", render);
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (!shown.length) return;
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((active + step + shown.length) % shown.length);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (shown[active]) run(shown[active], e.shiftKey);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      closePalette();
+    } else if (e.key === "Tab") {
+      e.preventDefault(); // the input is the only focus stop
+    }
+  });
+  mount.onclick = (e) => {
+    if (e.target === mount) closePalette();
+  };
+
+  panel.append(input, list, foot);
+  mount.innerHTML = "";
+  mount.appendChild(panel);
+  mount.hidden = false;
+  render();
+  input.focus();
+}
+
+/**
+ * Writes `text` into `el`, wrapping the characters at `positions` in <mark>.
+ * @param {HTMLElement} el
+ * @param {string} text
+ * @param {number[]} positions indexes into text (others are ignored)
+ */
+function appendFuzzyMarks(el, text, positions) {
+  const marked = new Set(positions.filter((p) => p >= 0 && p < text.length));
+  let run = "";
+  let runMarked = false;
+  const flush = () => {
+    if (!run) return;
+    if (runMarked) {
+      const mark = document.createElement("mark");
+      mark.textContent = run;
+      el.appendChild(mark);
+    } else {
+      el.appendChild(document.createTextNode(run));
+    }
+    run = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    if (marked.has(i) !== runMarked) {
+      flush();
+      runMarked = marked.has(i);
+    }
+    run += text[i];
+  }
+  flush();
+}
+
+function onPaletteKey(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey || e.key.toLowerCase() !== "k") return;
+  if (!els.readerMount.hidden) return;
+  e.preventDefault();
+  togglePalette();
 }
 
+document.addEventListener("keydown", (e) => onShortcutKey(e));
+document.addEventListener("keydown", (e) => onPaletteKey(e));
+
 document.addEventListener("DOMContentLoaded", () => {
+  saveReadState(); // start of this visit
+  initUiLocaleSelect();
+  applyUiLocale(new URLSearchParams(window.location.search).get("lang"));
+  registerServiceWorker();
   loadData();
 });
+
+// Remember when we were last here (drives "New since last visit")
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden") saveReadState();
+});
+window.addEventListener("pagehide", () => saveReadState());
+
+// Close open bookmark/export menus on outside click
+document.addEventListener("click", (e) => {
+  for (const menu of document.querySelectorAll(".bookmark-menu[open], .export-menu[open]")) {
+    if (!menu.contains(/** @type {Node} */ (e.target))) menu.open = false;
+  }
+});
+
+window.addEventListener("hashchange", () => renderRoute());
+// Back / Forward through filter changes
+window.addEventListener("popstate", () => restoreStateFromHistory());
+window.addEventListener("scroll", () => onContinuousScroll(), { passive: true });
@@ -0,0 +1,373 @@
+// bench.js
+// Search benchmark (bench.html)
+// ------------------------------------------------------------
+// 1) makeSyntheticArticles() builds a seeded dataset in the articles.json
+//    schema (with a share of near-duplicate stories for clustering)
+// 2) every scenario runs through linearSearch() — the pre-index pipeline:
+//    one pass over all articles for the results plus one per facet group —
+//    and through runSearch() on a main-thread index, and results are compared
+// 3) the same queries go to search-worker.js to time round trips, then a
+//    burst of keystrokes checks that stale queries are dropped
+
+const els = {
+  size: document.getElementById("benchSize"),
+  runs: document.getElementById("benchRuns"),
+  runBtn: document.getElementById("benchRunBtn"),
+  status: document.getElementById("benchStatus"),
+  rows: document.getElementById("benchRows"),
+  notes: document.getElementById("benchNotes"),
+};
+
+const TYPING_QUERY = "stray dog bite";
+const TYPING_INTERVAL_MS = 30; // faster than the app's 320ms debounce on purpose
+
+// ------------------------------------------------------------
+// Synthetic data
+// ------------------------------------------------------------
+
+/**
+ * Small seeded PRNG (mulberry32) so runs are comparable.
+ */
+function makeRandom(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * @param {number} count
+ * @param {number} [seed]
+ */
+function makeSyntheticArticles(count, seed = 42) {
+  const rand = makeRandom(seed);
+  const pick = (list) => list[Math.floor(rand() * list.length)];
+  // Skewed pick: low indexes are common, high ones rare (like real words)
+  const pickSkewed = (list) => list[Math.floor(rand() * rand() * list.length)];
+
+  const syllables = ["ka", "ro", "mi", "ten", "sha", "lo", "vin", "de", "pra", "tu", "gen", "bar", "ol", "za", "ni", "fe", "qu", "ash", "mon", "ri"];
+  const words = ["stray", "dog", "dogs", "bite", "court", "rabies", "vaccine", "children", "city", "health", "policy", "report"];
+  while (words.length < 3000) {
+    let w = "";
+    for (let n = 2 + Math.floor(rand() * 2); n > 0; n--) w += pick(syllables);
+    words.push(w);
+  }
+  const sentence = (n) => Array.from({ length: n }, () => pickSkewed(words)).join(" ");
+  const titleCase = (s) => s.replace(/\b\w/g, (c) => c.toUpperCase());
+
+  const publishers = Array.from({ length: 60 }, (_, i) => `${titleCase(pick(words))} ${pick(["Times", "Post", "Herald", "Express", "Daily", "News"])} ${i}`);
+  const authors = Array.from({ length: 500 }, () => `${titleCase(pick(words))} ${titleCase(pick(words))}`);
+  const tags = Array.from({ length: 400 }, (_, i) => (i < words.length ? `${words[i]} ${pick(words)}` : pick(words)));
+  const categories = ["News", "World", "Health", "Business", "Tech", "Education", "Entertainment", "Sports"];
+  const languages = ["en", "hi", "ta", "bn", "mr"];
+  const countries = ["IN", "US", "GB", "AU", "CA", "SG", "AE", "NP", "LK", "BD"];
+
+  const end = Date.UTC(2026, 0, 31);
+  const span = 2 * 365 * 24 * 60 * 60 * 1000;
+  const out = [];
+
+  for (let i = 0; i < count; i++) {
+    const base = out.length && rand() < 0.1 ? pick(out) : null; // ~10% follow-ups of an earlier story
+    const publishedTs = base ? Date.parse(base.publishedAt) + rand() * 24 * 60 * 60 * 1000 : end - rand() * span;
+    const title = base ? `${base.title.split(" ").slice(0, -1).join(" ")} ${pick(words)}` : titleCase(sentence(6 + Math.floor(rand() * 5)));
+
+    out.push({
+      id: `s-${String(i + 1).padStart(6, "0")}`,
+      title,
+      description: base ? base.description : `${sentence(18 + Math.floor(rand() * 10))}.`,
+      content: `${sentence(30)}.`,
+      url: `https://example.com/${i + 1}`,
+      publisher: { name: pick(publishers) },
+      author: rand() < 0.8 ? pickSkewed(authors) : undefined,
+      publishedAt: new Date(publishedTs).toISOString(),
+      language: pickSkewed(languages),
+      country: pickSkewed(countries),
+      category: base ? base.category : pickSkewed(categories),
+      tags: Array.from(new Set(Array.from({ length: 1 + Math.floor(rand() * 4) }, () => pickSkewed(tags)))),
+      readingTimeMinutes: 1 + Math.floor(rand() * 12),
+    });
+  }
+
+  return out;
+}
+
+// ------------------------------------------------------------
+// Baseline: the pre-index pipeline
+// ------------------------------------------------------------
+
+/**
+ * Filters/sorts/counts the way app.js did before search-engine.js: the
+ * query predicate and every facet test run against every article, once for
+ * the results and once more per facet group. No clustering.
+ * @param {any[]} articles normalized
+ */
+function linearSearch(articles, query) {
+  const compiled = compileQuery(query.q);
+  const range = query.dateRange;
+
+  const passes = (a, excludeGroup = null) => {
+    if (compiled.match && !matchesQuery(compiled.match, a)) return false;
+    for (const f of FACETS) {
+      if (f.key === excludeGroup) continue;
+      const selected = query.selected[f.key];
+      if (selected?.size && !facetValues(f, a).some((v) => selected.has(v))) return false;
+    }
+    if (excludeGroup !== "date" && range) {
+      const ts = a._publishedTs;
+      if (!(Number.isFinite(ts) && ts >= range.from && ts <= range.to)) return false;
+    }
+    return true;
+  };
+
+  const matched = articles.filter((a) => passes(a));
+  if (query.sort === SORTS.relevance) {
+    const scores = computeRelevanceScores(matched, compiled.terms);
+    matched.sort((a, b) => ((scores.get(b) || 0) - (scores.get(a) || 0)) || (b._publishedTs || 0) - (a._publishedTs || 0));
+  } else {
+    matched.sort((a, b) => (b._publishedTs || 0) - (a._publishedTs || 0));
+  }
+
+  const counts = {};
+  for (const f of FACETS) {
+    const map = new Map();
+    for (const a of articles.filter((x) => passes(x, f.key))) {
+      for (const v of facetValues(f, a)) map.set(v, (map.get(v) || 0) + 1);
+    }
+    counts[f.key] = map;
+  }
+  counts.date = computeDateFacet(articles.filter((a) => passes(a, "date")));
+
+  return { matched, counts };
+}
+
+// ------------------------------------------------------------
+// Scenarios
+// ------------------------------------------------------------
+
+function makeQuery(partial) {
+  return {
+    q: "",
+    sort: SORTS.newest,
+    selected: {},
+    dateRange: null,
+    savedIds: null,
+    readIds: null,
+    cluster: false,
+    counts: true,
+    lists: [],
+    views: [],
+    ...partial,
+  };
+}
+
+/**
+ * Queries resembling real use; facet values come from the data so every
+ * scenario has matches.
+ * @param {any} index
+ */
+function makeScenarios(index) {
+  const top = (key, n) => Array.from(index.facets[key].entries())
+    .sort((x, y) => y[1].length - x[1].length)
+    .slice(0, n)
+    .map(([v]) => v);
+  const lastYear = Date.UTC(2025, 0, 1);
+
+  return [
+    { label: "No filters", query: makeQuery({}) },
+    { label: "One word: \"dog\"", query: makeQuery({ q: "dog", sort: SORTS.relevance }) },
+    { label: "Phrase + NOT", query: makeQuery({ q: "\"stray dog\" -court", sort: SORTS.relevance }) },
+    { label: "Field scope + OR", query: makeQuery({ q: "title:rabies OR tag:vaccine" }) },
+    { label: "Two tags + publisher", query: makeQuery({ selected: { tags: new Set(top("tags", 2)), publishers: new Set(top("publishers", 1)) } }) },
+    { label: "Search + category + date range", query: makeQuery({ q: "health", selected: { category: new Set(["Health"]) }, dateRange: { from: lastYear, to: Infinity } }) },
+  ];
+}
+
+/**
+ * Same matches in the same order and the same facet counts?
+ */
+function sameResults(linear, indexed, articles) {
+  if (linear.matched.length !== indexed.matched.length) return false;
+  if (linear.matched.some((a, i) => a !== articles[indexed.matched[i]])) return false;
+  return FACETS.every((f) => {
+    const x = linear.counts[f.key];
+    const y = indexed.counts[f.key];
+    return x.size === y.size && Array.from(x).every(([v, n]) => y.get(v) === n);
+  });
+}
+
+// ------------------------------------------------------------
+// Timing
+// ------------------------------------------------------------
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Median wall time of `fn` over `runs` runs (plus one warm-up).
+ * @returns {{ms: number, value: any}}
+ */
+function time(fn, runs) {
+  let value = fn();
+  const samples = [];
+  for (let i = 0; i < runs; i++) {
+    const t0 = performance.now();
+    value = fn();
+    samples.push(performance.now() - t0);
+  }
+  return { ms: median(samples), value };
+}
+
+function formatMs(ms) {
+  return ms < 10 ? `${ms.toFixed(2)} ms` : `${Math.round(ms)} ms`;
+}
+
+/**
+ * Thin promise wrapper over search-worker.js.
+ */
+function makeWorkerClient() {
+  const worker = new Worker("./search-worker.js");
+  const waiting = new Map();
+  let seq = 0;
+
+  worker.addEventListener("message", (e) => {
+    const done = waiting.get(e.data.seq);
+    waiting.delete(e.data.seq);
+    done?.(e.data.result);
+  });
+
+  return {
+    load(articles) {
+      worker.postMessage({ type: "load", articles });
+    },
+    /** Resolves with the result, or never if superseded by a later search. */
+    search(query) {
+      const id = ++seq;
+      worker.postMessage({ type: "search", seq: id, query });
+      return new Promise((resolve) => waiting.set(id, resolve));
+    },
+    pending: () => waiting.size,
+    terminate: () => worker.terminate(),
+  };
+}
+
+const nextFrame = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// ------------------------------------------------------------
+// Rendering
+// ------------------------------------------------------------
+
+function setStatus(text) {
+  els.status.textContent = text || "";
+}
+
+function addRow(cells) {
+  const tr = document.createElement("tr");
+  for (const text of cells) {
+    const td = document.createElement("td");
+    td.textContent = text;
+    tr.appendChild(td);
+  }
+  els.rows.appendChild(tr);
+  return tr;
+}
+
+function addNote(text) {
+  const li = document.createElement("li");
+  li.textContent = text;
+  els.notes.appendChild(li);
+}
+
+/**
+ * Runs every scenario for the selected dataset size.
+ */
+async function runBenchmark() {
+  const size = Number(els.size.value);
+  const runs = Number(els.runs.value);
+  els.runBtn.disabled = true;
+  els.rows.innerHTML = "";
+  els.notes.innerHTML = "";
+
+  try {
+    setStatus(`Generating ${size.toLocaleString()} articles…`);
+    await nextFrame();
+    const raw = makeSyntheticArticles(size);
+    const articles = normalizeArticles(raw);
+
+    setStatus("Building the index…");
+    await nextFrame();
+    const t0 = performance.now();
+    const index = buildSearchIndex(articles);
+    addNote(`Index build (main thread, once per dataset): ${formatMs(performance.now() - t0)} for ${size.toLocaleString()} articles, ${index.postings.size.toLocaleString()} distinct words.`);
+
+    const worker = typeof Worker === "function" ? makeWorkerClient() : null;
+    if (worker) {
+      const w0 = performance.now();
+      worker.load(raw);
+      await worker.search(makeQuery({ counts: false }));
+      addNote(`Worker ready (copy + normalize + index, off the main thread): ${formatMs(performance.now() - w0)}.`);
+    } else {
+      addNote("Web Workers are unavailable here; worker columns are skipped.");
+    }
+
+    for (const scenario of makeScenarios(index)) {
+      setStatus(`Running “${scenario.label}”…`);
+      await nextFrame();
+
+      const linear = time(() => linearSearch(articles, scenario.query), runs);
+      const indexed = time(() => runSearch(index, scenario.query), runs);
+
+      let workerMs = "—";
+      if (worker) {
+        const samples = [];
+        for (let i = 0; i < runs; i++) {
+          const w0 = performance.now();
+          await worker.search(scenario.query);
+          samples.push(performance.now() - w0);
+        }
+        workerMs = formatMs(median(samples));
+      }
+
+      addRow([
+        scenario.label,
+        indexed.value.matched.length.toLocaleString(),
+        formatMs(linear.ms),
+        formatMs(indexed.ms),
+        `${(linear.ms / Math.max(indexed.ms, 0.01)).toFixed(1)}×`,
+        workerMs,
+        sameResults(linear.value, indexed.value, articles) ? "yes" : "NO",
+      ]);
+    }
+
+    if (worker) {
+      setStatus("Simulating fast typing…");
+      const answered = [];
+      let longestPost = 0;
+      const prefixes = Array.from({ length: TYPING_QUERY.length }, (_, i) => TYPING_QUERY.slice(0, i + 1));
+
+      for (const q of prefixes) {
+        const p0 = performance.now();
+        worker.search(makeQuery({ q, sort: SORTS.relevance })).then(() => answered.push(q));
+        longestPost = Math.max(longestPost, performance.now() - p0);
+        await new Promise((resolve) => setTimeout(resolve, TYPING_INTERVAL_MS));
+      }
+      while (!answered.includes(TYPING_QUERY)) await new Promise((resolve) => setTimeout(resolve, 10));
+
+      addNote(`Typing “${TYPING_QUERY}” one key per ${TYPING_INTERVAL_MS}ms: ${prefixes.length} queries sent, ${answered.length} answered, ${prefixes.length - answered.length} dropped as stale; the last one always answers. Longest main-thread cost of sending a query: ${formatMs(longestPost)}.`);
+      worker.terminate();
+    }
+
+    setStatus(`Done: ${size.toLocaleString()} articles, median of ${runs} runs.`);
+  } catch (err) {
+    console.error(err);
+    setStatus(`Benchmark failed: ${err?.message || err}`);
+  } finally {
+    els.runBtn.disabled = false;
+  }
+}
+
+els.runBtn.addEventListener("click", () => runBenchmark());
@@ -0,0 +1,1331 @@
+// i18n.js
+// UI messages and locale-aware formatting (loaded before app.js)
+// ------------------------------------------------------------
+// MESSAGES[locale][key] is a string with {placeholders}, or an object of
+// Intl.PluralRules categories ({ one, other, ... }) picked by the `count`
+// param. English is complete; other locales fall back to it key by key.
+// Number params are formatted for the UI locale (1,00,000 in Hindi).
+//
+// index.html marks static text with data-i18n="key" (text),
+// data-i18n-html="key" (catalog markup such as <code>/<kbd>) and
+// data-i18n-attr="attr:key;attr:key"; app.js fills them in (translateStatic()).
+//
+// To add a locale: add it to UI_LOCALES (dir "rtl" flips the layout) and
+// MESSAGES; untranslated keys show in English.
+
+const UI_LOCALES = {
+  en: { label: "English", dir: "ltr" },
+  hi: { label: "हिन्दी", dir: "ltr" },
+  ur: { label: "اردو", dir: "rtl" },
+};
+
+const DEFAULT_UI_LOCALE = "en";
+
+let uiLocale = DEFAULT_UI_LOCALE;
+
+const MESSAGES = {
+  en: {
+    "app.title": "News",
+    "app.subtitle": "Browse and filter articles with search, facets, sorting, and pagination.",
+    "app.skip": "Skip to content",
+
+    "header.articles": { one: "article", other: "articles" },
+    "header.checkUpdates": "Check for updates",
+    "header.autoCheck": "Check for updates automatically",
+    "header.autoOff": "Auto-check: off",
+    "header.every1": "Every minute",
+    "header.every5": "Every 5 minutes",
+    "header.every15": "Every 15 minutes",
+    "header.uiLanguage": "Interface language",
+
+    "controls.region": "Search and sorting controls",
+    "controls.search": "Search",
+    "controls.searchPlaceholder": "Search… e.g. \"dog bite\" -\"Tamil Nadu\" publisher:Express",
+    "controls.clearSearch": "Clear search",
+    "controls.searchHelp": "Use quotes for phrases, <code>OR</code>, <code>NOT</code> / <code>-term</code>, and <code>title:</code> <code>description:</code> <code>author:</code> <code>publisher:</code> <code>tag:</code> <code>category:</code> <code>country:</code> <code>language:</code>",
+    "controls.sort": "Sort",
+    "controls.pageSize": "Page size",
+    "controls.pagingMode": "Paging mode",
+    "controls.pagingTitle": "Numbered pages or continuous scrolling",
+    "controls.display": "Display",
+    "controls.hideRead": "Hide read",
+    "controls.groupDuplicates": "Group duplicates",
+    "controls.groupTitle": "Show stories covered by several outlets as one card",
+    "controls.clearFilters": "Clear filters",
+
+    "sort.relevance": "Relevance",
+    "sort.newest": "Newest",
+    "sort.oldest": "Oldest",
+    "sort.publisher_az": "Publisher (A–Z)",
+    "sort.publisher_za": "Publisher (Z–A)",
+    "sort.title_az": "Title (A–Z)",
+    "sort.title_za": "Title (Z–A)",
+    "sort.author_az": "Author (A–Z)",
+    "sort.author_za": "Author (Z–A)",
+    "sort.category_az": "Category (A–Z)",
+    "sort.category_za": "Category (Z–A)",
+    "sort.shortest": "Shortest read",
+    "sort.longest": "Longest read",
+    "paging.pages": "Pages",
+    "paging.continuous": "Continuous",
+
+    "results.region": "Results information",
+    "results.articles": "Articles",
+    "results.showing": "Showing {start}–{end} of {total}",
+    "results.showingStories": "Showing {start}–{end} of {total} stories ({articles} articles)",
+    "results.none": "Showing 0 results",
+    "results.loading": "Loading…",
+    "results.loadingMore": "Loading more…",
+    "results.loadingEarlier": "Loading earlier results…",
+    "results.end": "End of results",
+    "results.markPageRead": "Mark all on this page as read",
+    "results.markedRead": { one: "Marked {count} article as read", other: "Marked {count} articles as read" },
+    "results.searchSyntax": "Search syntax: {error}. Showing plain-word matches instead.",
+    "results.copied": "Copied link to clipboard",
+    "view.group": "View",
+    "view.list": "Articles",
+    "view.analytics": "Analytics",
+    "layout.group": "Layout",
+    "layout.grid": "Cards",
+    "layout.list": "List",
+    "layout.compact": "Headlines",
+    "layout.table": "Table",
+    "table.title": "Title",
+    "table.publisher": "Publisher",
+    "table.author": "Author",
+    "table.date": "Date",
+    "table.category": "Category",
+    "table.readingTime": "Reading time",
+    "table.minutes": "{count} min",
+
+    "empty.title": "No results",
+    "empty.body": "Try clearing filters or using a different search query.",
+    "error.title": "Couldn’t load articles.json",
+    "error.body": "Make sure you’re running a local server (not opening the file directly), and that <code>./articles.json</code> exists and is valid JSON.",
+    "error.retry": "Retry now",
+    "footer.tip": "Tip: open any article in the reader and share its <code>#/article/&lt;id&gt;</code> link. Press <kbd>?</kbd> for keyboard shortcuts, <kbd>Ctrl</kbd>+<kbd>K</kbd> (<kbd>⌘</kbd>+<kbd>K</kbd>) for the command palette.",
+    "footer.params": "Your current state is shareable via the URL query params (v, q, sort, page, pageSize, paging, at, category, publishers, languages, tags, country, sourceType, author, date, from, to, list, hideRead, cluster=0, view=analytics, layout, lang; one param per value, e.g. tags=a&tags=b; excluded values as e.g. tagsNot, AND-matching as tagsMode=all).",
+
+    "sources.failed": { one: "{count} data source could not be loaded", other: "{count} data sources could not be loaded" },
+    "sources.skipped": "Some data source records were skipped",
+    "offline.cached": "You’re offline or the server is unreachable — showing cached data from {when}",
+    "offline.earlierVisit": "an earlier visit",
+    "offline.savedAt": "{source}: saved {when}",
+    "offline.tryAgain": "Try again",
+    "offline.waiting": "You’re offline. Retrying when the connection is back…",
+    "offline.retryIn": "Retrying in {seconds}s…",
+    "offline.retryInAfter": "Retrying in {seconds}s… (attempt {attempt} failed)",
+
+    "link.ignored": "Parts of this link were ignored",
+    "link.dropped": "{facet}: “{value}” is not in the loaded articles",
+    "link.unknown": "Unknown parameter “{name}”",
+    "link.badShare": "This short link could not be read in this browser",
+    "link.dismiss": "Dismiss",
+
+    "diagnostics.summary": "Dataset diagnostics: {errors}, {warnings} in {records}",
+    "diagnostics.errors": { one: "{count} error", other: "{count} errors" },
+    "diagnostics.warnings": { one: "{count} warning", other: "{count} warnings" },
+    "diagnostics.records": { one: "{count} record", other: "{count} records" },
+    "diagnostics.level": "Level",
+    "diagnostics.article": "Article",
+    "diagnostics.field": "Field",
+    "diagnostics.problem": "Problem",
+    "diagnostics.error": "error",
+    "diagnostics.warning": "warning",
+    "diagnostics.notObject": "Record {record} is not an object; skipped",
+    "diagnostics.missingIdUrl": "Missing id on record {record}; using its url",
+    "diagnostics.missingIdGenerated": "Missing id on record {record}; using a generated id",
+    "diagnostics.renamed": "Duplicate id “{from}” (also used by record {record}); renamed to “{to}”",
+    "diagnostics.notString": "{field} should be a string (got {type})",
+    "diagnostics.missingTitle": "Missing title; cards show “Untitled article”",
+    "diagnostics.missingUrl": "Missing url; no link to the original",
+    "diagnostics.missingDescription": "Missing description; cards show a placeholder",
+    "diagnostics.missingCategory": "Missing category; not listed under any category",
+    "diagnostics.missingLanguage": "Missing language; not listed under any language",
+    "diagnostics.badLanguage": "“{value}” is not a language code (e.g. en, hi, pt-BR)",
+    "diagnostics.urlNotString": "{field} should be a string URL (got {type})",
+    "diagnostics.urlScheme": "{field} uses unsupported scheme {scheme}",
+    "diagnostics.urlInvalid": "{field} is not a valid URL",
+    "diagnostics.missingPublisher": "Missing publisher; shown as “Unknown publisher”",
+    "diagnostics.publisherNotObject": "publisher must be an object with a name (got {type})",
+    "diagnostics.missingPublisherName": "Missing publisher name; shown as “Unknown publisher”",
+    "diagnostics.missingDate": "Missing {field}; article sorts as oldest and is excluded by date filters",
+    "diagnostics.dateNotString": "{field} should be an ISO date string (got {type})",
+    "diagnostics.dateInvalid": "{field} “{value}” is not a valid date",
+    "diagnostics.dateNotIso": "{field} “{value}” is not ISO 8601 (parsed leniently)",
+    "diagnostics.updatedBeforePublished": "updatedAt is earlier than publishedAt",
+    "diagnostics.missingTags": "Missing tags (expected an array of strings)",
+    "diagnostics.tagsNotArray": "tags must be an array of strings (got {type}); ignored",
+    "diagnostics.badTag": "Tag should be a non-empty string (got {type}); dropped",
+    "diagnostics.badReadingTime": "readingTimeMinutes should be a non-negative number (got {value})",
+
+    "refresh.checking": "Checking for updates…",
+    "refresh.unreachable": "Couldn’t reach the server; try again later",
+    "refresh.none": "No new articles",
+    "refresh.failed": "Update check failed: {error}",
+    "refresh.new": "{count} new",
+    "refresh.updated": "{count} updated",
+    "refresh.removed": "{count} removed",
+    "refresh.banner": "{changes} · Show",
+    "refresh.bannerLabel": "{changes}. Load the latest articles",
+    "refresh.loaded": "Loaded {changes}",
+
+    "facet.category": "Category",
+    "facet.category.all": "All categories",
+    "facet.publishers": "Publisher",
+    "facet.publishers.all": "All publishers",
+    "facet.languages": "Language",
+    "facet.languages.all": "All languages",
+    "facet.tags": "Tags",
+    "facet.tags.all": "All tags",
+    "facet.country": "Country",
+    "facet.country.all": "All countries",
+    "facet.sourceType": "Source type",
+    "facet.sourceType.all": "All source types",
+    "facet.author": "Author",
+    "facet.author.all": "All authors",
+    "facet.origin": "Data source",
+    "facet.origin.all": "All sources",
+
+    "facets.region": "Filters",
+    "facets.all": "All",
+    "facets.show": "Show",
+    "facets.hide": "Hide",
+    "facets.selected": "{count} selected",
+    "facets.excluded": "{count} excluded",
+    "facets.group": "{facet} filter group",
+    "facets.filters": "{facet} filters",
+    "facets.more": "More…",
+    "facets.less": "Less…",
+    "facets.chipLabel": "{facet} {value} ({count})",
+    "facets.chipLabelExcluded": "{facet} {value} (excluded) ({count})",
+    "facets.chipTitle": "Click to include, again to exclude, again to clear (Alt/Shift+click excludes)",
+    "facets.matchAll": "Match all",
+    "facets.matchAny": "Match any",
+    "facets.matchAllLabel": "{facet}: articles must match every selected value. Switch to any.",
+    "facets.matchAnyLabel": "{facet}: articles must match any selected value. Switch to every.",
+    "facets.find": "Find {facet}…",
+    "facets.findLabel": "Filter {facet} options",
+    "facets.noMatches": "No matches",
+
+    "date.title": "Published",
+    "date.group": "Published date filter group",
+    "date.anyTime": "Any time",
+    "date.anyLabel": "Any publish date",
+    "date.presets": "Published date presets",
+    "date.presetLabel": "Published {preset} ({count})",
+    "date.preset.24h": "Last 24h",
+    "date.preset.7d": "7 days",
+    "date.preset.30d": "30 days",
+    "date.preset.year": "This year",
+    "date.from": "From",
+    "date.to": "To",
+    "date.perDay": "Articles per day",
+    "date.perWeek": "Articles per week",
+    "date.perMonth": "Articles per month",
+    "date.weekOf": "Week of {date}",
+    "date.barLabel": { one: "{date}: {count} article", other: "{date}: {count} articles" },
+
+    "lists.title": "Reading lists",
+    "lists.group": "Reading lists filter group",
+    "lists.all": "All articles",
+    "lists.allLabel": "Show all articles",
+    "lists.chipLabel": "Reading list {name} ({count})",
+    "lists.new": "New list",
+    "lists.newLabel": "Create a reading list",
+    "lists.newPrompt": "Name for the new reading list:",
+    "lists.rename": "Rename",
+    "lists.renameLabel": "Rename {name}",
+    "lists.renamePrompt": "Rename reading list:",
+    "lists.delete": "Delete",
+    "lists.deleteLabel": "Delete {name}",
+    "lists.deleteConfirm": "Delete the reading list “{name}”? Bookmarks in it are removed.",
+    "lists.export": "Export",
+    "lists.exportLabel": "Export reading lists as JSON",
+    "lists.import": "Import",
+    "lists.importLabel": "Import reading lists from JSON",
+    "lists.storageError": "Couldn’t save reading lists (browser storage unavailable)",
+    "lists.importInvalid": "Import failed: not a valid reading lists JSON file",
+    "lists.importEmpty": "Import failed: no reading lists found in file",
+    "lists.imported": { one: "Imported {count} list ({added} new bookmarks)", other: "Imported {count} lists ({added} new bookmarks)" },
+
+    "views.title": "Saved views",
+    "views.none": "None yet",
+    "views.applyLabel": "Apply view {name} ({count})",
+    "views.renameLabel": "Rename view {name}",
+    "views.renamePrompt": "Rename view:",
+    "views.deleteLabel": "Delete view {name}",
+    "views.deleteConfirm": "Delete the saved view “{name}”?",
+    "views.stale": "No longer in dataset: {values}",
+    "views.staleFilter": "filter “{key}”",
+    "views.staleList": "deleted reading list",
+    "views.save": "Save current view…",
+    "views.saveLabel": "Save the current search and filters as a named view",
+    "views.savePrompt": "Name for this view:",
+    "views.saved": "Saved view “{name}”",
+    "views.storageError": "Couldn’t save views (browser storage unavailable)",
+    "views.skipped": { one: "Skipped {count} filter value no longer in the dataset", other: "Skipped {count} filter values no longer in the dataset" },
+
+    "bookmark.save": "☆ Save",
+    "bookmark.saved": "★ Saved",
+    "bookmark.saveLabel": "Save: {title} (choose reading lists)",
+    "bookmark.savedLabel": "Saved: {title} (choose reading lists)",
+    "bookmark.newList": "+ New list…",
+
+    "card.article": "Article",
+    "card.untitled": "Untitled article",
+    "card.thumbFor": "Thumbnail for {title}",
+    "card.thumb": "Article thumbnail",
+    "card.publisher": "Publisher",
+    "card.publisherLogo": "{publisher} logo",
+    "card.unknownPublisher": "Unknown publisher",
+    "card.updated": "Updated {date}",
+    "card.minRead": "{count} min read",
+    "card.noDescription": "No description available.",
+    "card.toggleTag": "Toggle tag filter: {tag}",
+    "card.original": "Original",
+    "card.openOriginal": "Open original article on {site}",
+    "card.publisherSite": "publisher site",
+    "card.share": "Share",
+    "card.shareLabel": "Copy link for: {title}",
+    "card.moreSources": { one: "{count} more source", other: "{count} more sources" },
+    "badge.new": "New",
+    "badge.updated": "Updated",
+
+    "reader.position": "{index} of {total}",
+    "reader.notInResults": "Not in current results",
+    "reader.prev": "← Prev",
+    "reader.prevLabel": "Previous article",
+    "reader.next": "Next →",
+    "reader.nextLabel": "Next article",
+    "reader.close": "Close",
+    "reader.closeLabel": "Close reader",
+    "reader.imageFor": "Image for {title}",
+    "reader.image": "Article image",
+    "reader.notFound": "Article not found",
+    "reader.notFoundBody": "No article with id “{id}” in this dataset.",
+    "reader.filterTag": "Filter by tag: {tag}",
+    "reader.readOn": "Read on {site} ↗",
+
+    "pagination.region": "Pagination",
+    "pagination.prev": "Prev",
+    "pagination.prevLabel": "Previous page",
+    "pagination.next": "Next",
+    "pagination.nextLabel": "Next page",
+    "pagination.goTo": "Go to page {page}",
+    "pagination.jump": "Jump:",
+    "pagination.jumpLabel": "Jump to page number",
+
+    "filters.search": "Search: {q}",
+    "filters.facet": "{facet}: {values}",
+    "filters.not": "not {values}",
+    "filters.published": "Published: {range}",
+    "filters.range": "{from} to {to}",
+    "filters.list": "Reading list: {name}",
+    "filters.unread": "Unread only",
+
+    "export.menu": "Export…",
+    "export.menuLabel": "Export filtered results",
+    "export.format": "Format",
+    "export.columns": "CSV columns",
+    "export.download": { one: "Download {count} article", other: "Download {count} articles" },
+    "export.nothing": "Nothing to export",
+    "export.done": { one: "Exported {count} article as {format}", other: "Exported {count} articles as {format}" },
+    "export.title": "News export",
+    "export.exportedAt": "exported {when}",
+    "export.exported": "Exported: {when}",
+    "export.articles": "Articles: {count}",
+    "export.filters": "Filters: {filters}",
+    "export.noFilters": "none",
+    "export.sort": "Sort: {sort}",
+    "export.view": "View: {url}",
+    "export.uncategorized": "Uncategorized",
+    "export.unknownAuthor": "Unknown",
+
+    "share.menu": "Share this view…",
+    "share.menuLabel": "Share a link to the current filters",
+    "share.full": "Full link",
+    "share.short": "Short link",
+    "share.shortHint": "The same view packed into one parameter",
+    "share.preparing": "Preparing…",
+    "share.copy": "Copy",
+    "share.copyLabel": "Copy the {link}",
+    "share.copied": "Copied a link to this view",
+
+    "analytics.region": "Analytics",
+    "analytics.intro": { one: "{count} article · {filters}. Click a bar or slice to filter the list by it.", other: "{count} articles · {filters}. Click a bar or slice to filter the list by it." },
+    "analytics.noFilters": "no filters",
+    "analytics.filteredBy": "Filtered by {filters}",
+    "analytics.overTime": "Articles over time",
+    "analytics.perUnit": "Articles per {unit} by category",
+    "analytics.unit.day": "day",
+    "analytics.unit.week": "week",
+    "analytics.unit.month": "month",
+    "analytics.unit.year": "year",
+    "analytics.segment": { one: "{bucket}: {count} article", other: "{bucket}: {count} articles" },
+    "analytics.segmentCategory": { one: "{bucket}: {category}, {count} article", other: "{bucket}: {category}, {count} articles" },
+    "analytics.other": "Other",
+    "analytics.otherCategory": "Other / uncategorized",
+    "analytics.filterCategory": "Filter by category: {value}",
+    "analytics.barNote": "One bar per {unit}; click a segment to filter by its category and dates.",
+    "analytics.undated": { one: "{count} article without a publish date not shown.", other: "{count} articles without a publish date not shown." },
+    "analytics.noDates": "No publish dates in these articles.",
+    "analytics.nothing": "Nothing to show for these articles.",
+    "analytics.topPublishers": "Top publishers",
+    "analytics.topTags": "Top tags",
+    "analytics.languages": "Languages",
+    "analytics.readingTime": "Average reading time by category",
+    "analytics.minutes": "{value} min",
+    "analytics.avgAll": "Average {avg} min over all {total} articles.",
+    "analytics.avgSome": "Average {avg} min over {count} of {total} articles (the rest have no reading time).",
+    "analytics.noReadingTimes": "No reading times in these articles.",
+
+    "shortcuts.title": "Keyboard shortcuts",
+    "shortcuts.or": "or",
+    "shortcuts.note": "Shortcuts are off while typing in a field. Ctrl/Cmd+K opens the command palette. In the reader: ← / → step through results, Esc closes.",
+    "shortcuts.focusSearch": "Focus search",
+    "shortcuts.next": "Select next article",
+    "shortcuts.prev": "Select previous article",
+    "shortcuts.open": "Open selected article",
+    "shortcuts.copy": "Copy link of selected article",
+    "shortcuts.prevPage": "Previous page",
+    "shortcuts.nextPage": "Next page",
+    "shortcuts.tag": "Toggle filter for the selected article’s first tag",
+    "shortcuts.help": "Show / hide keyboard shortcuts",
+    "shortcuts.firstOnPage": "First article on this page ([ for the previous page)",
+    "shortcuts.lastOnPage": "Last article on this page (] for the next page)",
+    "shortcuts.selectFirst": "Select an article first (j / k)",
+    "shortcuts.pagesOnly": "[ and ] change pages in Pages mode",
+    "shortcuts.noTags": "This article has no tags",
+    "shortcuts.filteringTag": "Filtering by tag: {tag}",
+    "shortcuts.removedTag": "Removed tag filter: {tag}",
+
+    "palette.label": "Command palette",
+    "palette.commands": "Commands",
+    "palette.placeholder": "Filter, sort or run a command…",
+    "palette.foot": "↑/↓ choose · Enter run · Shift+Enter excludes a filter value · Esc close",
+    "palette.none": "No matching commands",
+    "palette.more": "{count} more — keep typing to narrow down",
+    "palette.recent": "{group} · recent",
+    "palette.action": "Action",
+    "palette.savedView": "Saved view",
+    "palette.showArticles": "Show articles",
+    "palette.showAnalytics": "Show analytics",
+    "palette.clearSearch": "Clear search",
+    "palette.showRead": "Show read articles",
+    "palette.hideRead": "Hide read articles",
+    "palette.listDuplicates": "List every duplicate article",
+    "palette.groupDuplicates": "Group duplicate stories",
+    "palette.markPageRead": "Mark page as read",
+    "palette.export": "Export results…",
+    "palette.exportHint": { one: "{count} article", other: "{count} articles" },
+    "palette.copyViewLink": "Copy link to this view",
+    "palette.copyShortLink": "Copy short link to this view",
+    "palette.perPage": "{count} per page",
+    "palette.current": "current",
+    "palette.active": "active",
+    "palette.included": "included · {count}",
+    "palette.excluded": "excluded · {count}",
+  },
+
+  hi: {
+    "app.title": "समाचार",
+    "app.subtitle": "खोज, फ़िल्टर, क्रम और पन्नों के साथ लेख देखें और छाँटें।",
+    "app.skip": "सामग्री पर जाएँ",
+
+    "header.articles": { one: "लेख", other: "लेख" },
+    "header.checkUpdates": "नए अपडेट देखें",
+    "header.autoCheck": "अपडेट अपने-आप देखें",
+    "header.autoOff": "अपने-आप जाँच: बंद",
+    "header.every1": "हर मिनट",
+    "header.every5": "हर 5 मिनट",
+    "header.every15": "हर 15 मिनट",
+    "header.uiLanguage": "इंटरफ़ेस की भाषा",
+
+    "controls.region": "खोज और क्रम के नियंत्रण",
+    "controls.search": "खोजें",
+    "controls.searchPlaceholder": "खोजें… जैसे \"dog bite\" -\"Tamil Nadu\" publisher:Express",
+    "controls.clearSearch": "खोज साफ़ करें",
+    "controls.searchHelp": "वाक्यांश के लिए उद्धरण चिह्न, <code>OR</code>, <code>NOT</code> / <code>-term</code>, और <code>title:</code> <code>description:</code> <code>author:</code> <code>publisher:</code> <code>tag:</code> <code>category:</code> <code>country:</code> <code>language:</code> का प्रयोग करें",
+    "controls.sort": "क्रम",
+    "controls.pageSize": "प्रति पन्ना",
+    "controls.pagingMode": "पन्ने का तरीका",
+    "controls.pagingTitle": "क्रमांकित पन्ने या लगातार स्क्रॉल",
+    "controls.display": "दिखावट",
+    "controls.hideRead": "पढ़े हुए छिपाएँ",
+    "controls.groupDuplicates": "एक जैसी ख़बरें समूहित करें",
+    "controls.groupTitle": "कई स्रोतों में छपी ख़बर को एक कार्ड में दिखाएँ",
+    "controls.clearFilters": "फ़िल्टर हटाएँ",
+
+    "sort.relevance": "प्रासंगिकता",
+    "sort.newest": "सबसे नए",
+    "sort.oldest": "सबसे पुराने",
+    "sort.publisher_az": "प्रकाशक (A–Z)",
+    "sort.publisher_za": "प्रकाशक (Z–A)",
+    "sort.title_az": "शीर्षक (A–Z)",
+    "sort.title_za": "शीर्षक (Z–A)",
+    "sort.author_az": "लेखक (A–Z)",
+    "sort.author_za": "लेखक (Z–A)",
+    "sort.category_az": "श्रेणी (A–Z)",
+    "sort.category_za": "श्रेणी (Z–A)",
+    "sort.shortest": "सबसे छोटे लेख",
+    "sort.longest": "सबसे लंबे लेख",
+    "paging.pages": "पन्ने",
+    "paging.continuous": "लगातार",
+
+    "results.region": "परिणामों की जानकारी",
+    "results.articles": "लेख",
+    "results.showing": "{total} में से {start}–{end}",
+    "results.showingStories": "{total} ख़बरों में से {start}–{end} ({articles} लेख)",
+    "results.none": "कोई परिणाम नहीं",
+    "results.loading": "लोड हो रहा है…",
+    "results.loadingMore": "और लोड हो रहे हैं…",
+    "results.loadingEarlier": "पिछले परिणाम लोड हो रहे हैं…",
+    "results.end": "परिणाम समाप्त",
+    "results.markPageRead": "इस पन्ने के सभी लेख पढ़े हुए चिह्नित करें",
+    "results.markedRead": "{count} लेख पढ़े हुए चिह्नित किए गए",
+    "results.searchSyntax": "खोज की बनावट: {error}. इसकी जगह साधारण शब्दों से मिलान दिखाया जा रहा है।",
+    "results.copied": "लिंक क्लिपबोर्ड पर कॉपी हो गया",
+    "view.group": "दृश्य",
+    "view.list": "लेख",
+    "view.analytics": "विश्लेषण",
+    "layout.group": "लेआउट",
+    "layout.grid": "कार्ड",
+    "layout.list": "सूची",
+    "layout.compact": "सिर्फ़ शीर्षक",
+    "layout.table": "तालिका",
+    "table.title": "शीर्षक",
+    "table.publisher": "प्रकाशक",
+    "table.author": "लेखक",
+    "table.date": "तारीख",
+    "table.category": "श्रेणी",
+    "table.readingTime": "पढ़ने का समय",
+    "table.minutes": "{count} मिनट",
+
+    "empty.title": "कोई परिणाम नहीं",
+    "empty.body": "फ़िल्टर हटाकर या कोई और खोज शब्द आज़माएँ।",
+    "error.title": "articles.json लोड नहीं हो सका",
+    "error.body": "पक्का करें कि आप लोकल सर्वर चला रहे हैं (फ़ाइल सीधे नहीं खोल रहे), और <code>./articles.json</code> मौजूद है और सही JSON है।",
+    "error.retry": "फिर कोशिश करें",
+    "footer.tip": "सुझाव: किसी भी लेख को रीडर में खोलें और उसका <code>#/article/&lt;id&gt;</code> लिंक साझा करें। कीबोर्ड शॉर्टकट के लिए <kbd>?</kbd> दबाएँ, कमांड पैलेट के लिए <kbd>Ctrl</kbd>+<kbd>K</kbd> (<kbd>⌘</kbd>+<kbd>K</kbd>)।",
+    "footer.params": "आपकी मौजूदा स्थिति URL के क्वेरी पैरामीटर से साझा की जा सकती है (v, q, sort, page, pageSize, paging, at, category, publishers, languages, tags, country, sourceType, author, date, from, to, list, hideRead, cluster=0, view=analytics, layout, lang; हर मान का अलग पैरामीटर, जैसे tags=a&tags=b; बाहर रखे गए मान जैसे tagsNot, सभी से मिलान tagsMode=all)।",
+
+    "sources.failed": "{count} डेटा स्रोत लोड नहीं हो सके",
+    "sources.skipped": "डेटा स्रोत के कुछ रिकॉर्ड छोड़ दिए गए",
+    "offline.cached": "आप ऑफ़लाइन हैं या सर्वर तक पहुँच नहीं है — {when} का सहेजा डेटा दिखाया जा रहा है",
+    "offline.earlierVisit": "पिछली विज़िट",
+    "offline.savedAt": "{source}: {when} को सहेजा गया",
+    "offline.tryAgain": "फिर कोशिश करें",
+    "offline.waiting": "आप ऑफ़लाइन हैं। कनेक्शन लौटते ही फिर कोशिश होगी…",
+    "offline.retryIn": "{seconds} सेकंड में फिर कोशिश…",
+    "offline.retryInAfter": "{seconds} सेकंड में फिर कोशिश… (कोशिश {attempt} विफल)",
+
+    "link.ignored": "इस लिंक के कुछ हिस्से छोड़ दिए गए",
+    "link.dropped": "{facet}: “{value}” लोड किए गए लेखों में नहीं है",
+    "link.unknown": "अज्ञात पैरामीटर “{name}”",
+    "link.badShare": "यह छोटा लिंक इस ब्राउज़र में पढ़ा नहीं जा सका",
+    "link.dismiss": "हटाएँ",
+
+    "diagnostics.summary": "डेटासेट जाँच: {records} में {errors}, {warnings}",
+    "diagnostics.errors": { one: "{count} त्रुटि", other: "{count} त्रुटियाँ" },
+    "diagnostics.warnings": { one: "{count} चेतावनी", other: "{count} चेतावनियाँ" },
+    "diagnostics.records": { one: "{count} रिकॉर्ड", other: "{count} रिकॉर्ड" },
+    "diagnostics.level": "स्तर",
+    "diagnostics.article": "लेख",
+    "diagnostics.field": "फ़ील्ड",
+    "diagnostics.problem": "समस्या",
+    "diagnostics.error": "त्रुटि",
+    "diagnostics.warning": "चेतावनी",
+    "diagnostics.notObject": "रिकॉर्ड {record} ऑब्जेक्ट नहीं है; छोड़ दिया गया",
+    "diagnostics.missingIdUrl": "रिकॉर्ड {record} में id नहीं है; उसका url इस्तेमाल हो रहा है",
+    "diagnostics.missingIdGenerated": "रिकॉर्ड {record} में id नहीं है; बनाई गई id इस्तेमाल हो रही है",
+    "diagnostics.renamed": "दोहराई गई id “{from}” (रिकॉर्ड {record} में भी है); नाम बदलकर “{to}” किया गया",
+    "diagnostics.notString": "{field} स्ट्रिंग होनी चाहिए (मिला {type})",
+    "diagnostics.missingTitle": "title नहीं है; कार्ड पर “बिना शीर्षक का लेख” दिखता है",
+    "diagnostics.missingUrl": "url नहीं है; मूल लेख का लिंक नहीं",
+    "diagnostics.missingDescription": "description नहीं है; कार्ड पर प्लेसहोल्डर दिखता है",
+    "diagnostics.missingCategory": "category नहीं है; किसी श्रेणी में नहीं दिखता",
+    "diagnostics.missingLanguage": "language नहीं है; किसी भाषा में नहीं दिखता",
+    "diagnostics.badLanguage": "“{value}” भाषा कोड नहीं है (जैसे en, hi, pt-BR)",
+    "diagnostics.urlNotString": "{field} स्ट्रिंग URL होना चाहिए (मिला {type})",
+    "diagnostics.urlScheme": "{field} असमर्थित स्कीम {scheme} इस्तेमाल करता है",
+    "diagnostics.urlInvalid": "{field} मान्य URL नहीं है",
+    "diagnostics.missingPublisher": "publisher नहीं है; “अज्ञात प्रकाशक” दिखाया जाता है",
+    "diagnostics.publisherNotObject": "publisher नाम वाला ऑब्जेक्ट होना चाहिए (मिला {type})",
+    "diagnostics.missingPublisherName": "प्रकाशक का नाम नहीं है; “अज्ञात प्रकाशक” दिखाया जाता है",
+    "diagnostics.missingDate": "{field} नहीं है; लेख सबसे पुराना माना जाता है और तारीख़ फ़िल्टर में नहीं आता",
+    "diagnostics.dateNotString": "{field} ISO तारीख़ स्ट्रिंग होनी चाहिए (मिला {type})",
+    "diagnostics.dateInvalid": "{field} “{value}” मान्य तारीख़ नहीं है",
+    "diagnostics.dateNotIso": "{field} “{value}” ISO 8601 नहीं है (ढील से पढ़ा गया)",
+    "diagnostics.updatedBeforePublished": "updatedAt, publishedAt से पहले का है",
+    "diagnostics.missingTags": "tags नहीं हैं (स्ट्रिंग की array अपेक्षित)",
+    "diagnostics.tagsNotArray": "tags स्ट्रिंग की array होनी चाहिए (मिला {type}); अनदेखा किया गया",
+    "diagnostics.badTag": "टैग खाली न होने वाली स्ट्रिंग होना चाहिए (मिला {type}); हटाया गया",
+    "diagnostics.badReadingTime": "readingTimeMinutes शून्य या उससे बड़ी संख्या होनी चाहिए (मिला {value})",
+
+    "refresh.checking": "अपडेट देखे जा रहे हैं…",
+    "refresh.unreachable": "सर्वर तक नहीं पहुँच सके; बाद में फिर कोशिश करें",
+    "refresh.none": "कोई नया लेख नहीं",
+    "refresh.failed": "अपडेट जाँच विफल: {error}",
+    "refresh.new": "{count} नए",
+    "refresh.updated": "{count} अपडेट",
+    "refresh.removed": "{count} हटाए गए",
+    "refresh.banner": "{changes} · दिखाएँ",
+    "refresh.bannerLabel": "{changes}. नवीनतम लेख लोड करें",
+    "refresh.loaded": "लोड किए गए: {changes}",
+
+    "facet.category": "श्रेणी",
+    "facet.category.all": "सभी श्रेणियाँ",
+    "facet.publishers": "प्रकाशक",
+    "facet.publishers.all": "सभी प्रकाशक",
+    "facet.languages": "भाषा",
+    "facet.languages.all": "सभी भाषाएँ",
+    "facet.tags": "टैग",
+    "facet.tags.all": "सभी टैग",
+    "facet.country": "देश",
+    "facet.country.all": "सभी देश",
+    "facet.sourceType": "स्रोत का प्रकार",
+    "facet.sourceType.all": "सभी स्रोत प्रकार",
+    "facet.author": "लेखक",
+    "facet.author.all": "सभी लेखक",
+    "facet.origin": "डेटा स्रोत",
+    "facet.origin.all": "सभी स्रोत",
+
+    "facets.region": "फ़िल्टर",
+    "facets.all": "सभी",
+    "facets.show": "दिखाएँ",
+    "facets.hide": "छिपाएँ",
+    "facets.selected": "{count} चुने गए",
+    "facets.excluded": "{count} बाहर",
+    "facets.group": "{facet} फ़िल्टर समूह",
+    "facets.filters": "{facet} फ़िल्टर",
+    "facets.more": "और…",
+    "facets.less": "कम…",
+    "facets.chipLabel": "{facet} {value} ({count})",
+    "facets.chipLabelExcluded": "{facet} {value} (बाहर) ({count})",
+    "facets.chipTitle": "क्लिक से शामिल करें, दोबारा क्लिक से बाहर रखें, फिर से क्लिक से हटाएँ (Alt/Shift+क्लिक सीधे बाहर रखता है)",
+    "facets.matchAll": "सभी से मिलान",
+    "facets.matchAny": "किसी से भी मिलान",
+    "facets.matchAllLabel": "{facet}: लेख हर चुने गए मान से मेल खाने चाहिए। किसी एक पर बदलें।",
+    "facets.matchAnyLabel": "{facet}: लेख किसी भी चुने गए मान से मेल खा सकते हैं। सभी पर बदलें।",
+    "facets.find": "{facet} खोजें…",
+    "facets.findLabel": "{facet} के विकल्प छाँटें",
+    "facets.noMatches": "कोई मेल नहीं",
+
+    "date.title": "प्रकाशित",
+    "date.group": "प्रकाशन तिथि फ़िल्टर समूह",
+    "date.anyTime": "कभी भी",
+    "date.anyLabel": "कोई भी प्रकाशन तिथि",
+    "date.presets": "प्रकाशन तिथि के विकल्प",
+    "date.presetLabel": "प्रकाशित {preset} ({count})",
+    "date.preset.24h": "पिछले 24 घंटे",
+    "date.preset.7d": "7 दिन",
+    "date.preset.30d": "30 दिन",
+    "date.preset.year": "इस साल",
+    "date.from": "से",
+    "date.to": "तक",
+    "date.perDay": "प्रतिदिन लेख",
+    "date.perWeek": "प्रति सप्ताह लेख",
+    "date.perMonth": "प्रति माह लेख",
+    "date.weekOf": "{date} वाला सप्ताह",
+    "date.barLabel": "{date}: {count} लेख",
+
+    "lists.title": "पठन सूचियाँ",
+    "lists.group": "पठन सूची फ़िल्टर समूह",
+    "lists.all": "सभी लेख",
+    "lists.allLabel": "सभी लेख दिखाएँ",
+    "lists.chipLabel": "पठन सूची {name} ({count})",
+    "lists.new": "नई सूची",
+    "lists.newLabel": "नई पठन सूची बनाएँ",
+    "lists.newPrompt": "नई पठन सूची का नाम:",
+    "lists.rename": "नाम बदलें",
+    "lists.renameLabel": "{name} का नाम बदलें",
+    "lists.renamePrompt": "पठन सूची का नया नाम:",
+    "lists.delete": "हटाएँ",
+    "lists.deleteLabel": "{name} हटाएँ",
+    "lists.deleteConfirm": "पठन सूची “{name}” हटाएँ? इसके बुकमार्क भी हट जाएँगे।",
+    "lists.export": "निर्यात",
+    "lists.exportLabel": "पठन सूचियाँ JSON में निर्यात करें",
+    "lists.import": "आयात",
+    "lists.importLabel": "JSON से पठन सूचियाँ आयात करें",
+    "lists.storageError": "पठन सूचियाँ सहेजी नहीं जा सकीं (ब्राउज़र स्टोरेज उपलब्ध नहीं)",
+    "lists.importInvalid": "आयात विफल: यह सही पठन सूची JSON फ़ाइल नहीं है",
+    "lists.importEmpty": "आयात विफल: फ़ाइल में कोई पठन सूची नहीं मिली",
+    "lists.imported": "{count} सूचियाँ आयात हुईं ({added} नए बुकमार्क)",
+
+    "views.title": "सहेजे गए दृश्य",
+    "views.none": "अभी कोई नहीं",
+    "views.applyLabel": "दृश्य {name} लागू करें ({count})",
+    "views.renameLabel": "दृश्य {name} का नाम बदलें",
+    "views.renamePrompt": "दृश्य का नया नाम:",
+    "views.deleteLabel": "दृश्य {name} हटाएँ",
+    "views.deleteConfirm": "सहेजा गया दृश्य “{name}” हटाएँ?",
+    "views.stale": "अब डेटासेट में नहीं: {values}",
+    "views.staleFilter": "फ़िल्टर “{key}”",
+    "views.staleList": "हटाई गई पठन सूची",
+    "views.save": "मौजूदा दृश्य सहेजें…",
+    "views.saveLabel": "मौजूदा खोज और फ़िल्टर को नाम देकर सहेजें",
+    "views.savePrompt": "इस दृश्य का नाम:",
+    "views.saved": "दृश्य “{name}” सहेजा गया",
+    "views.storageError": "दृश्य सहेजे नहीं जा सके (ब्राउज़र स्टोरेज उपलब्ध नहीं)",
+    "views.skipped": "{count} फ़िल्टर मान छोड़े गए जो अब डेटासेट में नहीं हैं",
+
+    "bookmark.save": "☆ सहेजें",
+    "bookmark.saved": "★ सहेजा गया",
+    "bookmark.saveLabel": "सहेजें: {title} (पठन सूचियाँ चुनें)",
+    "bookmark.savedLabel": "सहेजा गया: {title} (पठन सूचियाँ चुनें)",
+    "bookmark.newList": "+ नई सूची…",
+
+    "card.article": "लेख",
+    "card.untitled": "बिना शीर्षक का लेख",
+    "card.thumbFor": "{title} का थंबनेल",
+    "card.thumb": "लेख का थंबनेल",
+    "card.publisher": "प्रकाशक",
+    "card.publisherLogo": "{publisher} का लोगो",
+    "card.unknownPublisher": "अज्ञात प्रकाशक",
+    "card.updated": "अपडेट {date}",
+    "card.minRead": "{count} मिनट में पढ़ें",
+    "card.noDescription": "कोई विवरण उपलब्ध नहीं।",
+    "card.toggleTag": "टैग फ़िल्टर बदलें: {tag}",
+    "card.original": "मूल",
+    "card.openOriginal": "{site} पर मूल लेख खोलें",
+    "card.publisherSite": "प्रकाशक की साइट",
+    "card.share": "साझा करें",
+    "card.shareLabel": "लिंक कॉपी करें: {title}",
+    "card.moreSources": "{count} और स्रोत",
+    "badge.new": "नया",
+    "badge.updated": "अपडेट",
+
+    "reader.position": "{total} में से {index}",
+    "reader.notInResults": "मौजूदा परिणामों में नहीं",
+    "reader.prev": "← पिछला",
+    "reader.prevLabel": "पिछला लेख",
+    "reader.next": "अगला →",
+    "reader.nextLabel": "अगला लेख",
+    "reader.close": "बंद करें",
+    "reader.closeLabel": "रीडर बंद करें",
+    "reader.imageFor": "{title} की तस्वीर",
+    "reader.image": "लेख की तस्वीर",
+    "reader.notFound": "लेख नहीं मिला",
+    "reader.notFoundBody": "इस डेटासेट में “{id}” आईडी वाला कोई लेख नहीं है।",
+    "reader.filterTag": "टैग से छाँटें: {tag}",
+    "reader.readOn": "{site} पर पढ़ें ↗",
+
+    "pagination.region": "पन्ने",
+    "pagination.prev": "पिछला",
+    "pagination.prevLabel": "पिछला पन्ना",
+    "pagination.next": "अगला",
+    "pagination.nextLabel": "अगला पन्ना",
+    "pagination.goTo": "पन्ना {page} पर जाएँ",
+    "pagination.jump": "पन्ना:",
+    "pagination.jumpLabel": "पन्ना संख्या पर जाएँ",
+
+    "filters.search": "खोज: {q}",
+    "filters.facet": "{facet}: {values}",
+    "filters.not": "{values} नहीं",
+    "filters.published": "प्रकाशित: {range}",
+    "filters.range": "{from} से {to} तक",
+    "filters.list": "पठन सूची: {name}",
+    "filters.unread": "केवल बिना पढ़े",
+
+    "export.menu": "निर्यात…",
+    "export.menuLabel": "छाँटे गए परिणाम निर्यात करें",
+    "export.format": "फ़ॉर्मैट",
+    "export.columns": "CSV कॉलम",
+    "export.download": "{count} लेख डाउनलोड करें",
+    "export.nothing": "निर्यात के लिए कुछ नहीं",
+    "export.done": "{count} लेख {format} के रूप में निर्यात किए गए",
+    "export.title": "समाचार निर्यात",
+    "export.exportedAt": "{when} को निर्यात किया गया",
+    "export.exported": "निर्यात: {when}",
+    "export.articles": "लेख: {count}",
+    "export.filters": "फ़िल्टर: {filters}",
+    "export.noFilters": "कोई नहीं",
+    "export.sort": "क्रम: {sort}",
+    "export.view": "दृश्य: {url}",
+    "export.uncategorized": "बिना श्रेणी",
+    "export.unknownAuthor": "अज्ञात",
+
+    "share.menu": "यह दृश्य साझा करें…",
+    "share.menuLabel": "मौजूदा फ़िल्टर का लिंक साझा करें",
+    "share.full": "पूरा लिंक",
+    "share.short": "छोटा लिंक",
+    "share.shortHint": "वही दृश्य, एक ही पैरामीटर में",
+    "share.preparing": "तैयार हो रहा है…",
+    "share.copy": "कॉपी करें",
+    "share.copyLabel": "{link} कॉपी करें",
+    "share.copied": "इस दृश्य का लिंक कॉपी किया गया",
+
+    "analytics.region": "विश्लेषण",
+    "analytics.intro": "{count} लेख · {filters}। सूची छाँटने के लिए किसी बार या हिस्से पर क्लिक करें।",
+    "analytics.noFilters": "कोई फ़िल्टर नहीं",
+    "analytics.filteredBy": "फ़िल्टर: {filters}",
+    "analytics.overTime": "समय के साथ लेख",
+    "analytics.perUnit": "श्रेणी के अनुसार प्रति {unit} लेख",
+    "analytics.unit.day": "दिन",
+    "analytics.unit.week": "सप्ताह",
+    "analytics.unit.month": "माह",
+    "analytics.unit.year": "वर्ष",
+    "analytics.segment": "{bucket}: {count} लेख",
+    "analytics.segmentCategory": "{bucket}: {category}, {count} लेख",
+    "analytics.other": "अन्य",
+    "analytics.otherCategory": "अन्य / बिना श्रेणी",
+    "analytics.filterCategory": "श्रेणी से छाँटें: {value}",
+    "analytics.barNote": "हर {unit} का एक बार; उसकी श्रेणी और तारीख़ों से छाँटने के लिए किसी हिस्से पर क्लिक करें।",
+    "analytics.undated": "बिना प्रकाशन तिथि वाले {count} लेख नहीं दिखाए गए।",
+    "analytics.noDates": "इन लेखों में प्रकाशन तिथि नहीं है।",
+    "analytics.nothing": "इन लेखों के लिए दिखाने को कुछ नहीं।",
+    "analytics.topPublishers": "शीर्ष प्रकाशक",
+    "analytics.topTags": "शीर्ष टैग",
+    "analytics.languages": "भाषाएँ",
+    "analytics.readingTime": "श्रेणी के अनुसार औसत पढ़ने का समय",
+    "analytics.minutes": "{value} मिनट",
+    "analytics.avgAll": "सभी {total} लेखों पर औसत {avg} मिनट।",
+    "analytics.avgSome": "{total} में से {count} लेखों पर औसत {avg} मिनट (बाक़ी में पढ़ने का समय नहीं है)।",
+    "analytics.noReadingTimes": "इन लेखों में पढ़ने का समय नहीं है।",
+
+    "shortcuts.title": "कीबोर्ड शॉर्टकट",
+    "shortcuts.or": "या",
+    "shortcuts.note": "किसी फ़ील्ड में टाइप करते समय शॉर्टकट बंद रहते हैं। Ctrl/Cmd+K कमांड पैलेट खोलता है। रीडर में: ← / → परिणामों में आगे-पीछे, Esc बंद करता है।",
+    "shortcuts.focusSearch": "खोज पर जाएँ",
+    "shortcuts.next": "अगला लेख चुनें",
+    "shortcuts.prev": "पिछला लेख चुनें",
+    "shortcuts.open": "चुना गया लेख खोलें",
+    "shortcuts.copy": "चुने गए लेख का लिंक कॉपी करें",
+    "shortcuts.prevPage": "पिछला पन्ना",
+    "shortcuts.nextPage": "अगला पन्ना",
+    "shortcuts.tag": "चुने गए लेख के पहले टैग का फ़िल्टर बदलें",
+    "shortcuts.help": "कीबोर्ड शॉर्टकट दिखाएँ / छिपाएँ",
+    "shortcuts.firstOnPage": "इस पन्ने का पहला लेख (पिछले पन्ने के लिए [)",
+    "shortcuts.lastOnPage": "इस पन्ने का आख़िरी लेख (अगले पन्ने के लिए ])",
+    "shortcuts.selectFirst": "पहले कोई लेख चुनें (j / k)",
+    "shortcuts.pagesOnly": "[ और ] केवल पन्ने वाले तरीके में पन्ना बदलते हैं",
+    "shortcuts.noTags": "इस लेख में कोई टैग नहीं है",
+    "shortcuts.filteringTag": "टैग से छाँटा जा रहा है: {tag}",
+    "shortcuts.removedTag": "टैग फ़िल्टर हटाया गया: {tag}",
+
+    "palette.label": "कमांड पैलेट",
+    "palette.commands": "कमांड",
+    "palette.placeholder": "छाँटें, क्रम बदलें या कोई कमांड चलाएँ…",
+    "palette.foot": "↑/↓ चुनें · Enter चलाएँ · Shift+Enter फ़िल्टर मान बाहर रखता है · Esc बंद करें",
+    "palette.none": "कोई मिलती कमांड नहीं",
+    "palette.more": "{count} और — सीमित करने के लिए टाइप करते रहें",
+    "palette.recent": "{group} · हाल में",
+    "palette.action": "कार्य",
+    "palette.savedView": "सहेजा गया दृश्य",
+    "palette.showArticles": "लेख दिखाएँ",
+    "palette.showAnalytics": "विश्लेषण दिखाएँ",
+    "palette.clearSearch": "खोज साफ़ करें",
+    "palette.showRead": "पढ़े हुए लेख दिखाएँ",
+    "palette.hideRead": "पढ़े हुए लेख छिपाएँ",
+    "palette.listDuplicates": "हर एक जैसा लेख अलग दिखाएँ",
+    "palette.groupDuplicates": "एक जैसी ख़बरें समूहित करें",
+    "palette.markPageRead": "पन्ना पढ़ा हुआ चिह्नित करें",
+    "palette.export": "परिणाम निर्यात करें…",
+    "palette.exportHint": "{count} लेख",
+    "palette.copyViewLink": "इस दृश्य का लिंक कॉपी करें",
+    "palette.copyShortLink": "इस दृश्य का छोटा लिंक कॉपी करें",
+    "palette.perPage": "प्रति पन्ना {count}",
+    "palette.current": "मौजूदा",
+    "palette.active": "सक्रिय",
+    "palette.included": "शामिल · {count}",
+    "palette.excluded": "बाहर · {count}",
+  },
+
+  ur: {
+    "app.title": "خبریں",
+    "app.subtitle": "تلاش، فلٹر، ترتیب اور صفحات کے ساتھ مضامین دیکھیں اور چھانٹیں۔",
+    "app.skip": "مواد پر جائیں",
+
+    "header.articles": { one: "مضمون", other: "مضامین" },
+    "header.checkUpdates": "نئی خبریں دیکھیں",
+    "header.autoCheck": "نئی خبریں خودکار طور پر دیکھیں",
+    "header.autoOff": "خودکار جانچ: بند",
+    "header.every1": "ہر منٹ",
+    "header.every5": "ہر 5 منٹ",
+    "header.every15": "ہر 15 منٹ",
+    "header.uiLanguage": "انٹرفیس کی زبان",
+
+    "controls.region": "تلاش اور ترتیب کے کنٹرول",
+    "controls.search": "تلاش",
+    "controls.searchPlaceholder": "تلاش… مثلاً \"dog bite\" -\"Tamil Nadu\" publisher:Express",
+    "controls.clearSearch": "تلاش صاف کریں",
+    "controls.searchHelp": "جملوں کے لیے کوٹیشن، <code>OR</code>، <code>NOT</code> / <code>-term</code>، اور <code>title:</code> <code>description:</code> <code>author:</code> <code>publisher:</code> <code>tag:</code> <code>category:</code> <code>country:</code> <code>language:</code> استعمال کریں",
+    "controls.sort": "ترتیب",
+    "controls.pageSize": "فی صفحہ",
+    "controls.pagingMode": "صفحات کا طریقہ",
+    "controls.pagingTitle": "نمبر والے صفحات یا مسلسل اسکرول",
+    "controls.display": "نمائش",
+    "controls.hideRead": "پڑھے ہوئے چھپائیں",
+    "controls.groupDuplicates": "ملتی جلتی خبریں یکجا کریں",
+    "controls.groupTitle": "کئی ذرائع میں شائع خبر کو ایک کارڈ میں دکھائیں",
+    "controls.clearFilters": "فلٹر ہٹائیں",
+
+    "sort.relevance": "مطابقت",
+    "sort.newest": "تازہ ترین",
+    "sort.oldest": "پرانے ترین",
+    "sort.publisher_az": "ناشر (A–Z)",
+    "sort.publisher_za": "ناشر (Z–A)",
+    "sort.title_az": "عنوان (A–Z)",
+    "sort.title_za": "عنوان (Z–A)",
+    "sort.author_az": "مصنف (A–Z)",
+    "sort.author_za": "مصنف (Z–A)",
+    "sort.category_az": "زمرہ (A–Z)",
+    "sort.category_za": "زمرہ (Z–A)",
+    "sort.shortest": "مختصر ترین",
+    "sort.longest": "طویل ترین",
+    "paging.pages": "صفحات",
+    "paging.continuous": "مسلسل",
+
+    "results.region": "نتائج کی معلومات",
+    "results.articles": "مضامین",
+    "results.showing": "{total} میں سے {start}–{end}",
+    "results.showingStories": "{total} خبروں میں سے {start}–{end} ({articles} مضامین)",
+    "results.none": "کوئی نتیجہ نہیں",
+    "results.loading": "لوڈ ہو رہا ہے…",
+    "results.loadingMore": "مزید لوڈ ہو رہے ہیں…",
+    "results.loadingEarlier": "پچھلے نتائج لوڈ ہو رہے ہیں…",
+    "results.end": "نتائج ختم",
+    "results.markPageRead": "اس صفحے کے سب مضامین پڑھے ہوئے نشان زد کریں",
+    "results.markedRead": { one: "{count} مضمون پڑھا ہوا نشان زد کیا گیا", other: "{count} مضامین پڑھے ہوئے نشان زد کیے گئے" },
+    "results.searchSyntax": "تلاش کی ساخت: {error}۔ اس کے بجائے سادہ الفاظ کے نتائج دکھائے جا رہے ہیں۔",
+    "results.copied": "لنک کلپ بورڈ پر کاپی ہو گیا",
+    "view.group": "منظر",
+    "view.list": "مضامین",
+    "view.analytics": "تجزیہ",
+    "layout.group": "ترتیبِ نمائش",
+    "layout.grid": "کارڈ",
+    "layout.list": "فہرست",
+    "layout.compact": "صرف سرخیاں",
+    "layout.table": "جدول",
+    "table.title": "عنوان",
+    "table.publisher": "ناشر",
+    "table.author": "مصنف",
+    "table.date": "تاریخ",
+    "table.category": "زمرہ",
+    "table.readingTime": "مطالعے کا وقت",
+    "table.minutes": "{count} منٹ",
+
+    "empty.title": "کوئی نتیجہ نہیں",
+    "empty.body": "فلٹر ہٹا کر یا کوئی اور تلاش آزمائیں۔",
+    "error.title": "articles.json لوڈ نہیں ہو سکی",
+    "error.body": "یقینی بنائیں کہ آپ لوکل سرور چلا رہے ہیں (فائل براہِ راست نہیں کھول رہے)، اور <code>./articles.json</code> موجود اور درست JSON ہے۔",
+    "error.retry": "دوبارہ کوشش کریں",
+    "footer.tip": "مشورہ: کوئی بھی مضمون ریڈر میں کھولیں اور اس کا <code>#/article/&lt;id&gt;</code> لنک شیئر کریں۔ کی بورڈ شارٹ کٹس کے لیے <kbd>?</kbd> دبائیں، کمانڈ پیلیٹ کے لیے <kbd>Ctrl</kbd>+<kbd>K</kbd> (<kbd>⌘</kbd>+<kbd>K</kbd>)۔",
+    "footer.params": "آپ کی موجودہ حالت URL کے کوئری پیرامیٹرز سے شیئر کی جا سکتی ہے (v, q, sort, page, pageSize, paging, at, category, publishers, languages, tags, country, sourceType, author, date, from, to, list, hideRead, cluster=0, view=analytics, layout, lang؛ ہر قدر کا الگ پیرامیٹر، جیسے tags=a&tags=b؛ خارج کردہ اقدار جیسے tagsNot، سب سے مطابقت tagsMode=all)۔",
+
+    "sources.failed": { one: "{count} ڈیٹا ذریعہ لوڈ نہیں ہو سکا", other: "{count} ڈیٹا ذرائع لوڈ نہیں ہو سکے" },
+    "sources.skipped": "ڈیٹا ذریعے کے کچھ ریکارڈ چھوڑ دیے گئے",
+    "offline.cached": "آپ آف لائن ہیں یا سرور تک رسائی نہیں — {when} کا محفوظ ڈیٹا دکھایا جا رہا ہے",
+    "offline.earlierVisit": "پچھلی آمد",
+    "offline.savedAt": "{source}: {when} کو محفوظ کیا گیا",
+    "offline.tryAgain": "دوبارہ کوشش کریں",
+    "offline.waiting": "آپ آف لائن ہیں۔ کنکشن بحال ہوتے ہی دوبارہ کوشش ہو گی…",
+    "offline.retryIn": "{seconds} سیکنڈ میں دوبارہ کوشش…",
+    "offline.retryInAfter": "{seconds} سیکنڈ میں دوبارہ کوشش… (کوشش {attempt} ناکام)",
+
+    "link.ignored": "اس لنک کے کچھ حصے نظر انداز کر دیے گئے",
+    "link.dropped": "{facet}: “{value}” لوڈ شدہ مضامین میں نہیں ہے",
+    "link.unknown": "نامعلوم پیرامیٹر “{name}”",
+    "link.badShare": "یہ مختصر لنک اس براؤزر میں پڑھا نہیں جا سکا",
+    "link.dismiss": "بند کریں",
+
+    "diagnostics.summary": "ڈیٹاسیٹ جانچ: {records} میں {errors}، {warnings}",
+    "diagnostics.errors": { one: "{count} خرابی", other: "{count} خرابیاں" },
+    "diagnostics.warnings": { one: "{count} انتباہ", other: "{count} انتباہات" },
+    "diagnostics.records": { one: "{count} ریکارڈ", other: "{count} ریکارڈز" },
+    "diagnostics.level": "سطح",
+    "diagnostics.article": "مضمون",
+    "diagnostics.field": "فیلڈ",
+    "diagnostics.problem": "مسئلہ",
+    "diagnostics.error": "خرابی",
+    "diagnostics.warning": "انتباہ",
+    "diagnostics.notObject": "ریکارڈ {record} آبجیکٹ نہیں ہے؛ چھوڑ دیا گیا",
+    "diagnostics.missingIdUrl": "ریکارڈ {record} میں id نہیں؛ اس کا url استعمال ہو رہا ہے",
+    "diagnostics.missingIdGenerated": "ریکارڈ {record} میں id نہیں؛ بنائی گئی id استعمال ہو رہی ہے",
+    "diagnostics.renamed": "دہرائی گئی id “{from}” (ریکارڈ {record} میں بھی)؛ نام بدل کر “{to}” کر دیا گیا",
+    "diagnostics.notString": "{field} سٹرنگ ہونی چاہیے ({type} ملا)",
+    "diagnostics.missingTitle": "title نہیں؛ کارڈ پر “بلا عنوان مضمون” دکھایا جاتا ہے",
+    "diagnostics.missingUrl": "url نہیں؛ اصل مضمون کا لنک نہیں",
+    "diagnostics.missingDescription": "description نہیں؛ کارڈ پر متبادل متن دکھایا جاتا ہے",
+    "diagnostics.missingCategory": "category نہیں؛ کسی زمرے میں نہیں دکھایا جاتا",
+    "diagnostics.missingLanguage": "language نہیں؛ کسی زبان میں نہیں دکھایا جاتا",
+    "diagnostics.badLanguage": "“{value}” زبان کا کوڈ نہیں ہے (مثلاً en، hi، pt-BR)",
+    "diagnostics.urlNotString": "{field} سٹرنگ URL ہونا چاہیے ({type} ملا)",
+    "diagnostics.urlScheme": "{field} غیر معاون اسکیم {scheme} استعمال کرتا ہے",
+    "diagnostics.urlInvalid": "{field} درست URL نہیں ہے",
+    "diagnostics.missingPublisher": "publisher نہیں؛ “نامعلوم ناشر” دکھایا جاتا ہے",
+    "diagnostics.publisherNotObject": "publisher نام والا آبجیکٹ ہونا چاہیے ({type} ملا)",
+    "diagnostics.missingPublisherName": "ناشر کا نام نہیں؛ “نامعلوم ناشر” دکھایا جاتا ہے",
+    "diagnostics.missingDate": "{field} نہیں؛ مضمون سب سے پرانا شمار ہوتا ہے اور تاریخ کے فلٹر میں نہیں آتا",
+    "diagnostics.dateNotString": "{field} ISO تاریخ کی سٹرنگ ہونی چاہیے ({type} ملا)",
+    "diagnostics.dateInvalid": "{field} “{value}” درست تاریخ نہیں ہے",
+    "diagnostics.dateNotIso": "{field} “{value}” ISO 8601 نہیں ہے (نرمی سے پڑھا گیا)",
+    "diagnostics.updatedBeforePublished": "updatedAt، publishedAt سے پہلے کا ہے",
+    "diagnostics.missingTags": "tags نہیں (سٹرنگز کی array متوقع)",
+    "diagnostics.tagsNotArray": "tags سٹرنگز کی array ہونی چاہیے ({type} ملا)؛ نظر انداز کیا گیا",
+    "diagnostics.badTag": "ٹیگ غیر خالی سٹرنگ ہونا چاہیے ({type} ملا)؛ ہٹا دیا گیا",
+    "diagnostics.badReadingTime": "readingTimeMinutes صفر یا اس سے بڑا عدد ہونا چاہیے ({value} ملا)",
+
+    "refresh.checking": "نئی خبریں دیکھی جا رہی ہیں…",
+    "refresh.unreachable": "سرور تک رسائی نہیں ہو سکی؛ بعد میں دوبارہ کوشش کریں",
+    "refresh.none": "کوئی نیا مضمون نہیں",
+    "refresh.failed": "جانچ ناکام: {error}",
+    "refresh.new": "{count} نئے",
+    "refresh.updated": "{count} تازہ کردہ",
+    "refresh.removed": "{count} ہٹائے گئے",
+    "refresh.banner": "{changes} · دکھائیں",
+    "refresh.bannerLabel": "{changes}۔ تازہ ترین مضامین لوڈ کریں",
+    "refresh.loaded": "لوڈ کیے گئے: {changes}",
+
+    "facet.category": "زمرہ",
+    "facet.category.all": "تمام زمرے",
+    "facet.publishers": "ناشر",
+    "facet.publishers.all": "تمام ناشرین",
+    "facet.languages": "زبان",
+    "facet.languages.all": "تمام زبانیں",
+    "facet.tags": "ٹیگ",
+    "facet.tags.all": "تمام ٹیگ",
+    "facet.country": "ملک",
+    "facet.country.all": "تمام ممالک",
+    "facet.sourceType": "ذریعے کی قسم",
+    "facet.sourceType.all": "ذرائع کی تمام اقسام",
+    "facet.author": "مصنف",
+    "facet.author.all": "تمام مصنفین",
+    "facet.origin": "ڈیٹا ذریعہ",
+    "facet.origin.all": "تمام ذرائع",
+
+    "facets.region": "فلٹر",
+    "facets.all": "سب",
+    "facets.show": "دکھائیں",
+    "facets.hide": "چھپائیں",
+    "facets.selected": "{count} منتخب",
+    "facets.excluded": "{count} خارج",
+    "facets.group": "{facet} فلٹر گروپ",
+    "facets.filters": "{facet} فلٹر",
+    "facets.more": "مزید…",
+    "facets.less": "کم…",
+    "facets.chipLabel": "{facet} {value} ({count})",
+    "facets.chipLabelExcluded": "{facet} {value} (خارج) ({count})",
+    "facets.chipTitle": "کلک سے شامل کریں، دوبارہ کلک سے خارج کریں، پھر کلک سے ہٹائیں (Alt/Shift+کلک براہِ راست خارج کرتا ہے)",
+    "facets.matchAll": "سب سے مطابقت",
+    "facets.matchAny": "کسی سے بھی مطابقت",
+    "facets.matchAllLabel": "{facet}: مضامین کو ہر منتخب قدر سے مطابقت رکھنی ہو گی۔ کسی ایک پر بدلیں۔",
+    "facets.matchAnyLabel": "{facet}: مضامین کسی بھی منتخب قدر سے مطابقت رکھ سکتے ہیں۔ سب پر بدلیں۔",
+    "facets.find": "{facet} تلاش کریں…",
+    "facets.findLabel": "{facet} کے اختیارات چھانٹیں",
+    "facets.noMatches": "کوئی مطابقت نہیں",
+
+    "date.title": "اشاعت",
+    "date.group": "تاریخِ اشاعت فلٹر گروپ",
+    "date.anyTime": "کسی بھی وقت",
+    "date.anyLabel": "کوئی بھی تاریخِ اشاعت",
+    "date.presets": "تاریخِ اشاعت کے اختیارات",
+    "date.presetLabel": "اشاعت {preset} ({count})",
+    "date.preset.24h": "پچھلے 24 گھنٹے",
+    "date.preset.7d": "7 دن",
+    "date.preset.30d": "30 دن",
+    "date.preset.year": "اس سال",
+    "date.from": "سے",
+    "date.to": "تک",
+    "date.perDay": "روزانہ مضامین",
+    "date.perWeek": "فی ہفتہ مضامین",
+    "date.perMonth": "فی مہینہ مضامین",
+    "date.weekOf": "{date} والا ہفتہ",
+    "date.barLabel": { one: "{date}: {count} مضمون", other: "{date}: {count} مضامین" },
+
+    "lists.title": "مطالعہ فہرستیں",
+    "lists.group": "مطالعہ فہرست فلٹر گروپ",
+    "lists.all": "تمام مضامین",
+    "lists.allLabel": "تمام مضامین دکھائیں",
+    "lists.chipLabel": "مطالعہ فہرست {name} ({count})",
+    "lists.new": "نئی فہرست",
+    "lists.newLabel": "نئی مطالعہ فہرست بنائیں",
+    "lists.newPrompt": "نئی مطالعہ فہرست کا نام:",
+    "lists.rename": "نام بدلیں",
+    "lists.renameLabel": "{name} کا نام بدلیں",
+    "lists.renamePrompt": "مطالعہ فہرست کا نیا نام:",
+    "lists.delete": "حذف کریں",
+    "lists.deleteLabel": "{name} حذف کریں",
+    "lists.deleteConfirm": "مطالعہ فہرست “{name}” حذف کریں؟ اس کے بُک مارک بھی ہٹ جائیں گے۔",
+    "lists.export": "برآمد",
+    "lists.exportLabel": "مطالعہ فہرستیں JSON میں برآمد کریں",
+    "lists.import": "درآمد",
+    "lists.importLabel": "JSON سے مطالعہ فہرستیں درآمد کریں",
+    "lists.storageError": "مطالعہ فہرستیں محفوظ نہیں ہو سکیں (براؤزر اسٹوریج دستیاب نہیں)",
+    "lists.importInvalid": "درآمد ناکام: یہ درست مطالعہ فہرست JSON فائل نہیں",
+    "lists.importEmpty": "درآمد ناکام: فائل میں کوئی مطالعہ فہرست نہیں ملی",
+    "lists.imported": { one: "{count} فہرست درآمد ہوئی ({added} نئے بُک مارک)", other: "{count} فہرستیں درآمد ہوئیں ({added} نئے بُک مارک)" },
+
+    "views.title": "محفوظ مناظر",
+    "views.none": "ابھی کوئی نہیں",
+    "views.applyLabel": "منظر {name} لاگو کریں ({count})",
+    "views.renameLabel": "منظر {name} کا نام بدلیں",
+    "views.renamePrompt": "منظر کا نیا نام:",
+    "views.deleteLabel": "منظر {name} حذف کریں",
+    "views.deleteConfirm": "محفوظ منظر “{name}” حذف کریں؟",
+    "views.stale": "اب ڈیٹا سیٹ میں نہیں: {values}",
+    "views.staleFilter": "فلٹر “{key}”",
+    "views.staleList": "حذف شدہ مطالعہ فہرست",
+    "views.save": "موجودہ منظر محفوظ کریں…",
+    "views.saveLabel": "موجودہ تلاش اور فلٹر کو نام دے کر محفوظ کریں",
+    "views.savePrompt": "اس منظر کا نام:",
+    "views.saved": "منظر “{name}” محفوظ ہو گیا",
+    "views.storageError": "مناظر محفوظ نہیں ہو سکے (براؤزر اسٹوریج دستیاب نہیں)",
+    "views.skipped": "{count} فلٹر اقدار چھوڑ دی گئیں جو اب ڈیٹا سیٹ میں نہیں",
+
+    "bookmark.save": "☆ محفوظ کریں",
+    "bookmark.saved": "★ محفوظ",
+    "bookmark.saveLabel": "محفوظ کریں: {title} (مطالعہ فہرستیں منتخب کریں)",
+    "bookmark.savedLabel": "محفوظ: {title} (مطالعہ فہرستیں منتخب کریں)",
+    "bookmark.newList": "+ نئی فہرست…",
+
+    "card.article": "مضمون",
+    "card.untitled": "بلا عنوان مضمون",
+    "card.thumbFor": "{title} کی تصویر",
+    "card.thumb": "مضمون کی تصویر",
+    "card.publisher": "ناشر",
+    "card.publisherLogo": "{publisher} کا لوگو",
+    "card.unknownPublisher": "نامعلوم ناشر",
+    "card.updated": "تازہ کاری {date}",
+    "card.minRead": "{count} منٹ کا مطالعہ",
+    "card.noDescription": "کوئی تفصیل دستیاب نہیں۔",
+    "card.toggleTag": "ٹیگ فلٹر بدلیں: {tag}",
+    "card.original": "اصل",
+    "card.openOriginal": "{site} پر اصل مضمون کھولیں",
+    "card.publisherSite": "ناشر کی سائٹ",
+    "card.share": "شیئر کریں",
+    "card.shareLabel": "لنک کاپی کریں: {title}",
+    "card.moreSources": { one: "{count} مزید ذریعہ", other: "{count} مزید ذرائع" },
+    "badge.new": "نیا",
+    "badge.updated": "تازہ کردہ",
+
+    "reader.position": "{total} میں سے {index}",
+    "reader.notInResults": "موجودہ نتائج میں نہیں",
+    "reader.prev": "→ پچھلا",
+    "reader.prevLabel": "پچھلا مضمون",
+    "reader.next": "اگلا ←",
+    "reader.nextLabel": "اگلا مضمون",
+    "reader.close": "بند کریں",
+    "reader.closeLabel": "ریڈر بند کریں",
+    "reader.imageFor": "{title} کی تصویر",
+    "reader.image": "مضمون کی تصویر",
+    "reader.notFound": "مضمون نہیں ملا",
+    "reader.notFoundBody": "اس ڈیٹا سیٹ میں “{id}” آئی ڈی والا کوئی مضمون نہیں۔",
+    "reader.filterTag": "ٹیگ سے چھانٹیں: {tag}",
+    "reader.readOn": "{site} پر پڑھیں ↗",
+
+    "pagination.region": "صفحات",
+    "pagination.prev": "پچھلا",
+    "pagination.prevLabel": "پچھلا صفحہ",
+    "pagination.next": "اگلا",
+    "pagination.nextLabel": "اگلا صفحہ",
+    "pagination.goTo": "صفحہ {page} پر جائیں",
+    "pagination.jump": "صفحہ:",
+    "pagination.jumpLabel": "صفحہ نمبر پر جائیں",
+
+    "filters.search": "تلاش: {q}",
+    "filters.facet": "{facet}: {values}",
+    "filters.not": "سوائے {values}",
+    "filters.published": "اشاعت: {range}",
+    "filters.range": "{from} سے {to} تک",
+    "filters.list": "مطالعہ فہرست: {name}",
+    "filters.unread": "صرف بغیر پڑھے",
+
+    "export.menu": "برآمد…",
+    "export.menuLabel": "چھانٹے گئے نتائج برآمد کریں",
+    "export.format": "فارمیٹ",
+    "export.columns": "CSV کالم",
+    "export.download": { one: "{count} مضمون ڈاؤن لوڈ کریں", other: "{count} مضامین ڈاؤن لوڈ کریں" },
+    "export.nothing": "برآمد کے لیے کچھ نہیں",
+    "export.done": { one: "{count} مضمون {format} کے طور پر برآمد ہوا", other: "{count} مضامین {format} کے طور پر برآمد ہوئے" },
+    "export.title": "خبروں کی برآمد",
+    "export.exportedAt": "{when} کو برآمد کیا گیا",
+    "export.exported": "برآمد: {when}",
+    "export.articles": "مضامین: {count}",
+    "export.filters": "فلٹر: {filters}",
+    "export.noFilters": "کوئی نہیں",
+    "export.sort": "ترتیب: {sort}",
+    "export.view": "منظر: {url}",
+    "export.uncategorized": "بلا زمرہ",
+    "export.unknownAuthor": "نامعلوم",
+
+    "share.menu": "یہ منظر شیئر کریں…",
+    "share.menuLabel": "موجودہ فلٹرز کا لنک شیئر کریں",
+    "share.full": "مکمل لنک",
+    "share.short": "مختصر لنک",
+    "share.shortHint": "وہی منظر، ایک ہی پیرامیٹر میں",
+    "share.preparing": "تیار ہو رہا ہے…",
+    "share.copy": "کاپی کریں",
+    "share.copyLabel": "{link} کاپی کریں",
+    "share.copied": "اس منظر کا لنک کاپی ہو گیا",
+
+    "analytics.region": "تجزیہ",
+    "analytics.intro": { one: "{count} مضمون · {filters}۔ فہرست چھانٹنے کے لیے کسی بار یا حصے پر کلک کریں۔", other: "{count} مضامین · {filters}۔ فہرست چھانٹنے کے لیے کسی بار یا حصے پر کلک کریں۔" },
+    "analytics.noFilters": "کوئی فلٹر نہیں",
+    "analytics.filteredBy": "فلٹر: {filters}",
+    "analytics.overTime": "وقت کے ساتھ مضامین",
+    "analytics.perUnit": "زمرے کے لحاظ سے فی {unit} مضامین",
+    "analytics.unit.day": "دن",
+    "analytics.unit.week": "ہفتہ",
+    "analytics.unit.month": "مہینہ",
+    "analytics.unit.year": "سال",
+    "analytics.segment": { one: "{bucket}: {count} مضمون", other: "{bucket}: {count} مضامین" },
+    "analytics.segmentCategory": { one: "{bucket}: {category}، {count} مضمون", other: "{bucket}: {category}، {count} مضامین" },
+    "analytics.other": "دیگر",
+    "analytics.otherCategory": "دیگر / بلا زمرہ",
+    "analytics.filterCategory": "زمرے سے چھانٹیں: {value}",
+    "analytics.barNote": "ہر {unit} کا ایک بار؛ اس کے زمرے اور تاریخوں سے چھانٹنے کے لیے کسی حصے پر کلک کریں۔",
+    "analytics.undated": { one: "بغیر تاریخِ اشاعت کا {count} مضمون نہیں دکھایا گیا۔", other: "بغیر تاریخِ اشاعت کے {count} مضامین نہیں دکھائے گئے۔" },
+    "analytics.noDates": "ان مضامین میں تاریخِ اشاعت نہیں۔",
+    "analytics.nothing": "ان مضامین کے لیے دکھانے کو کچھ نہیں۔",
+    "analytics.topPublishers": "نمایاں ناشرین",
+    "analytics.topTags": "نمایاں ٹیگ",
+    "analytics.languages": "زبانیں",
+    "analytics.readingTime": "زمرے کے لحاظ سے اوسط مطالعے کا وقت",
+    "analytics.minutes": "{value} منٹ",
+    "analytics.avgAll": "تمام {total} مضامین پر اوسط {avg} منٹ۔",
+    "analytics.avgSome": "{total} میں سے {count} مضامین پر اوسط {avg} منٹ (باقی میں مطالعے کا وقت نہیں)۔",
+    "analytics.noReadingTimes": "ان مضامین میں مطالعے کا وقت نہیں۔",
+
+    "shortcuts.title": "کی بورڈ شارٹ کٹس",
+    "shortcuts.or": "یا",
+    "shortcuts.note": "کسی خانے میں ٹائپ کرتے وقت شارٹ کٹس بند رہتے ہیں۔ Ctrl/Cmd+K کمانڈ پیلیٹ کھولتا ہے۔ ریڈر میں: ← / → نتائج میں آگے پیچھے، Esc بند کرتا ہے۔",
+    "shortcuts.focusSearch": "تلاش پر جائیں",
+    "shortcuts.next": "اگلا مضمون منتخب کریں",
+    "shortcuts.prev": "پچھلا مضمون منتخب کریں",
+    "shortcuts.open": "منتخب مضمون کھولیں",
+    "shortcuts.copy": "منتخب مضمون کا لنک کاپی کریں",
+    "shortcuts.prevPage": "پچھلا صفحہ",
+    "shortcuts.nextPage": "اگلا صفحہ",
+    "shortcuts.tag": "منتخب مضمون کے پہلے ٹیگ کا فلٹر بدلیں",
+    "shortcuts.help": "کی بورڈ شارٹ کٹس دکھائیں / چھپائیں",
+    "shortcuts.firstOnPage": "اس صفحے کا پہلا مضمون (پچھلے صفحے کے لیے [)",
+    "shortcuts.lastOnPage": "اس صفحے کا آخری مضمون (اگلے صفحے کے لیے ])",
+    "shortcuts.selectFirst": "پہلے کوئی مضمون منتخب کریں (j / k)",
+    "shortcuts.pagesOnly": "[ اور ] صرف صفحات والے طریقے میں صفحہ بدلتے ہیں",
+    "shortcuts.noTags": "اس مضمون میں کوئی ٹیگ نہیں",
+    "shortcuts.filteringTag": "ٹیگ سے چھانٹا جا رہا ہے: {tag}",
+    "shortcuts.removedTag": "ٹیگ فلٹر ہٹا دیا گیا: {tag}",
+
+    "palette.label": "کمانڈ پیلیٹ",
+    "palette.commands": "کمانڈز",
+    "palette.placeholder": "چھانٹیں، ترتیب دیں یا کوئی کمانڈ چلائیں…",
+    "palette.foot": "↑/↓ منتخب کریں · Enter چلائیں · Shift+Enter فلٹر قدر خارج کرتا ہے · Esc بند کریں",
+    "palette.none": "کوئی مطابقت رکھنے والی کمانڈ نہیں",
+    "palette.more": "{count} مزید — محدود کرنے کے لیے ٹائپ کرتے رہیں",
+    "palette.recent": "{group} · حالیہ",
+    "palette.action": "عمل",
+    "palette.savedView": "محفوظ منظر",
+    "palette.showArticles": "مضامین دکھائیں",
+    "palette.showAnalytics": "تجزیہ دکھائیں",
+    "palette.clearSearch": "تلاش صاف کریں",
+    "palette.showRead": "پڑھے ہوئے مضامین دکھائیں",
+    "palette.hideRead": "پڑھے ہوئے مضامین چھپائیں",
+    "palette.listDuplicates": "ہر ملتا جلتا مضمون الگ دکھائیں",
+    "palette.groupDuplicates": "ملتی جلتی خبریں یکجا کریں",
+    "palette.markPageRead": "صفحہ پڑھا ہوا نشان زد کریں",
+    "palette.export": "نتائج برآمد کریں…",
+    "palette.exportHint": { one: "{count} مضمون", other: "{count} مضامین" },
+    "palette.copyViewLink": "اس منظر کا لنک کاپی کریں",
+    "palette.copyShortLink": "اس منظر کا مختصر لنک کاپی کریں",
+    "palette.perPage": "فی صفحہ {count}",
+    "palette.current": "موجودہ",
+    "palette.active": "فعال",
+    "palette.included": "شامل · {count}",
+    "palette.excluded": "خارج · {count}",
+  },
+};
+
+// Intl objects are costly to build; one per locale + options
+const intlCache = new Map();
+
+function cachedIntl(Ctor, options = {}) {
+  const key = `${Ctor.name}|${uiLocale}|${JSON.stringify(options)}`;
+  if (!intlCache.has(key)) intlCache.set(key, new Ctor(uiLocale, options));
+  return intlCache.get(key);
+}
+
+/**
+ * Picks a supported locale, or DEFAULT_UI_LOCALE.
+ * @param {string | null | undefined} locale
+ */
+function resolveUiLocale(locale) {
+  return Object.hasOwn(UI_LOCALES, locale || "") ? locale : DEFAULT_UI_LOCALE;
+}
+
+function setUiLocale(locale) {
+  uiLocale = resolveUiLocale(locale);
+  return uiLocale;
+}
+
+function hasUiText(key) {
+  return Object.hasOwn(MESSAGES[DEFAULT_UI_LOCALE], key);
+}
+
+/**
+ * The message for `key` in the UI locale with {params} filled in.
+ * Unknown keys come back as the key itself.
+ * @param {string} key
+ * @param {Record<string, any>} [params] `count` also selects the plural form
+ */
+function uiText(key, params = {}) {
+  const own = MESSAGES[uiLocale]?.[key];
+  let message = own ?? MESSAGES[DEFAULT_UI_LOCALE][key] ?? key;
+  if (typeof message === "object") {
+    const rules = own !== undefined ? cachedIntl(Intl.PluralRules) : new Intl.PluralRules(DEFAULT_UI_LOCALE);
+    message = message[rules.select(Number(params.count) || 0)] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (m, name) => {
+    if (!(name in params)) return m;
+    const value = params[name];
+    return typeof value === "number" ? formatCount(value) : String(value);
+  });
+}
+
+/**
+ * @param {number} n
+ * @param {Intl.NumberFormatOptions} [options]
+ */
+function formatCount(n, options) {
+  return cachedIntl(Intl.NumberFormat, options).format(n);
+}
+
+/**
+ * @param {number} ts
+ * @param {Intl.DateTimeFormatOptions} options
+ */
+function formatDate(ts, options) {
+  return cachedIntl(Intl.DateTimeFormat, options).format(new Date(ts));
+}
+
+/**
+ * "a, b and c" (conjunction) or "a, b, c" (unit) in the UI locale.
+ * @param {string[]} parts
+ * @param {"conjunction" | "unit"} [type]
+ */
+function formatList(parts, type = "unit") {
+  if (typeof Intl.ListFormat !== "function") return parts.join(", ");
+  return cachedIntl(Intl.ListFormat, { type, style: type === "unit" ? "short" : "long" }).format(parts);
+}
+
+// Codes Intl.DisplayNames accepts (anything else is shown as-is)
+const DISPLAY_NAME_CODES = {
+  language: /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i,
+  region: /^([a-z]{2}|\d{3})$/i,
+};
+
+/**
+ * Localized name for a language ("en" -> "English") or region code
+ * ("IN" -> "India"); other values come back unchanged.
+ * @param {"language" | "region"} type
+ * @param {string} code
+ */
+function displayName(type, code) {
+  if (!code || typeof Intl.DisplayNames !== "function" || !DISPLAY_NAME_CODES[type]?.test(code)) return code;
+  try {
+    return cachedIntl(Intl.DisplayNames, { type, fallback: "none" }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
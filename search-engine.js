@@ -0,0 +1,1367 @@
+// search-engine.js
+// Filtering, faceting and ranking shared by the page and the search worker
+// ------------------------------------------------------------
+// No DOM access here: index.html loads this before app.js, and
+// search-worker.js loads it with importScripts(). Everything the worker
+// needs to answer a query lives in this file.
+//
+// Pipeline:
+// 1) normalizeArticles() precomputes lowercase fields
+// 2) buildSearchIndex() adds an inverted index (token -> posting list),
+//    one posting list per facet value, presorted orders and story clusters
+// 3) runSearch(index, query) narrows with bitsets, verifies candidates
+//    against the parsed query, sorts, groups clusters and counts facets
+//
+// Search terms match as substrings (see matchesTerm()), so the index is a
+// candidate filter: a term's word pieces are looked up against every
+// indexed token containing them, and candidates are then checked exactly.
+
+/**
+ * Facet registry: every value facet (chips in the filter panel) is declared
+ * here once and drives computeFacets(), the search index and runSearch()
+ * (filtering + dynamic counts), renderFacets() and the URL functions.
+ *
+ * - key:        state property (a Set of selected values) + counts key;
+ *               excluded values live in state.excluded[key]
+ * - urlKey:     query param name (excludes: <urlKey>Not, mode: <urlKey>Mode)
+ * - label:      group title; allLabel for the "All" chip (app.js shows the
+ *               "facet.<key>" / "facet.<key>.all" messages when i18n.js has them)
+ * - get(a):     value(s) of a normalized article
+ * - multiValue: get() returns an array (an article can match several values)
+ * - sort:       "alpha" (A–Z) or "count" (global frequency, then A–Z)
+ * - topN:       collapse to the first N options behind "More…" (null = all)
+ * - minOptions: hide the group unless the dataset has at least this many values
+ * - searchable: show a box that filters the group's chips as you type
+ * - displayNames: values are Intl.DisplayNames codes ("language" | "region");
+ *               the UI shows localized names, URLs and search keep the codes
+ *
+ * Selections within a facet are OR'ed (multiValue facets can switch to AND,
+ * "all" mode); excluded values remove their articles; facets are AND'ed
+ * together.
+ */
+const FACETS = [
+  {
+    key: "category",
+    urlKey: "category",
+    label: "Category",
+    allLabel: "All categories",
+    get: (a) => a.category,
+    sort: "alpha",
+    topN: null,
+  },
+  {
+    key: "publishers",
+    urlKey: "publishers",
+    label: "Publisher",
+    allLabel: "All publishers",
+    get: (a) => a._publisherName,
+    sort: "alpha",
+    topN: null,
+  },
+  {
+    key: "languages",
+    urlKey: "languages",
+    label: "Language",
+    allLabel: "All languages",
+    get: (a) => a.language,
+    displayNames: "language",
+    sort: "alpha",
+    topN: null,
+  },
+  {
+    key: "tags",
+    urlKey: "tags",
+    label: "Tags",
+    allLabel: "All tags",
+    get: (a) => a._tags,
+    multiValue: true,
+    sort: "count",
+    topN: 18,
+    searchable: true,
+  },
+  {
+    key: "country",
+    urlKey: "country",
+    label: "Country",
+    allLabel: "All countries",
+    get: (a) => a.country,
+    displayNames: "region",
+    sort: "alpha",
+    topN: null,
+  },
+  {
+    key: "sourceType",
+    urlKey: "sourceType",
+    label: "Source type",
+    allLabel: "All source types",
+    get: (a) => a.sourceType,
+    sort: "count",
+    topN: null,
+  },
+  {
+    key: "author",
+    urlKey: "author",
+    label: "Author",
+    allLabel: "All authors",
+    get: (a) => a.author,
+    sort: "count",
+    topN: 12,
+  },
+  {
+    key: "origin",
+    urlKey: "origin",
+    label: "Data source",
+    allLabel: "All sources",
+    get: (a) => a._source?.label,
+    sort: "alpha",
+    topN: null,
+    minOptions: 2, // only worth showing when several sources are configured
+  },
+];
+
+// The table layout's column headers pick these too (app.js TABLE_COLUMNS)
+const SORTS = {
+  relevance: "relevance",
+  newest: "newest",
+  oldest: "oldest",
+  publisher_az: "publisher_az",
+  publisher_za: "publisher_za",
+  title_az: "title_az",
+  title_za: "title_za",
+  author_az: "author_az",
+  author_za: "author_za",
+  category_az: "category_az",
+  category_za: "category_za",
+  shortest: "shortest",
+  longest: "longest",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Relative presets for the date facet (bounds computed at filter time)
+const DATE_PRESETS = {
+  "24h": { label: "Last 24h", from: (now) => now - DAY_MS },
+  "7d": { label: "7 days", from: (now) => now - 7 * DAY_MS },
+  "30d": { label: "30 days", from: (now) => now - 30 * DAY_MS },
+  year: { label: "This year", from: (now) => new Date(new Date(now).getFullYear(), 0, 1).getTime() },
+};
+
+function safeLower(s) {
+  return (s || "").toString().toLowerCase();
+}
+
+function parseISODate(s) {
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? t : NaN;
+}
+
+// ------------------------------------------------------------
+// Tag normalization
+// ------------------------------------------------------------
+// "dog bite", "Dog Bites" and "dog-bite" share a key (case, spacing,
+// hyphens and a trailing plural folded) and show as one label: the most
+// common spelling in the dataset, or the target of a synonym. Synonyms map
+// any spelling to a label, e.g. { "canine": "dogs", "SC": "Supreme Court" }.
+
+// Words whose trailing "s" is not a plural
+const TAG_PLURAL_EXCEPTIONS = new Set(["news", "series", "species", "politics", "economics", "physics", "sports", "rabies", "diabetes", "measles"]);
+const TAG_IRREGULAR_PLURALS = new Map([
+  ["children", "child"],
+  ["people", "person"],
+  ["women", "woman"],
+  ["men", "man"],
+  ["mice", "mouse"],
+  ["teeth", "tooth"],
+  ["feet", "foot"],
+  ["buses", "bus"],
+  ["quizzes", "quiz"],
+]);
+
+function cleanTag(tag) {
+  return String(tag).normalize("NFKC").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Grouping key for a tag: lowercase, hyphens/underscores as spaces, the
+ * last word singular ("Dog Bites" -> "dog bite", "Children" -> "child").
+ * @param {string} tag
+ */
+function tagKey(tag) {
+  const words = safeLower(cleanTag(tag)).replace(/[-_\s]+/g, " ").trim().split(" ");
+  const last = words[words.length - 1];
+  if (TAG_IRREGULAR_PLURALS.has(last)) {
+    words[words.length - 1] = TAG_IRREGULAR_PLURALS.get(last);
+  } else if (!TAG_PLURAL_EXCEPTIONS.has(last) && last.length > 3) {
+    if (last.endsWith("ies") && last.length > 4) words[words.length - 1] = `${last.slice(0, -3)}y`;
+    // "classes", "boxes", "churches", "wishes" (not "cases" or "sizes")
+    else if (/(ss|x|ch|sh)es$/.test(last)) words[words.length - 1] = last.slice(0, -2);
+    else if (last.endsWith("s") && !/(ss|us|is)$/.test(last)) words[words.length - 1] = last.slice(0, -1);
+  }
+  return words.join(" ");
+}
+
+/**
+ * Builds raw tag -> display label for a dataset (raw records). Deterministic,
+ * so the page and search-worker.js agree on labels.
+ * @param {any[]} records
+ * @param {Record<string, string>} [synonyms] any spelling -> label
+ * @returns {(tag: any) => string} "" for non-strings / blanks
+ */
+function makeTagNormalizer(records, synonyms = {}) {
+  const labels = new Map(); // key -> label
+
+  for (const [alias, label] of Object.entries(synonyms || {})) {
+    if (typeof label !== "string" || !cleanTag(label)) continue;
+    labels.set(tagKey(alias), cleanTag(label));
+    if (!labels.has(tagKey(label))) labels.set(tagKey(label), cleanTag(label));
+  }
+
+  // Most common spelling per key (first seen wins ties)
+  const spellings = new Map(); // key -> Map(spelling -> count)
+  for (const r of records) {
+    for (const t of Array.isArray(r?.tags) ? r.tags : []) {
+      if (typeof t !== "string" || !cleanTag(t)) continue;
+      const key = tagKey(t);
+      if (labels.has(key)) continue;
+      if (!spellings.has(key)) spellings.set(key, new Map());
+      const counts = spellings.get(key);
+      counts.set(cleanTag(t), (counts.get(cleanTag(t)) || 0) + 1);
+    }
+  }
+  for (const [key, counts] of spellings) {
+    let best = "";
+    let bestCount = 0;
+    for (const [spelling, count] of counts) {
+      if (count > bestCount) {
+        best = spelling;
+        bestCount = count;
+      }
+    }
+    labels.set(key, best);
+  }
+
+  return (tag) => {
+    if (typeof tag !== "string" || !cleanTag(tag)) return "";
+    return labels.get(tagKey(tag)) || cleanTag(tag);
+  };
+}
+
+/**
+ * Normalize articles for faster filtering (precompute searchable text).
+ * `_tags` holds display labels (see makeTagNormalizer()); searches also
+ * see the original spellings.
+ * @param {any[]} articles
+ * @param {{normalizeTag?: (tag: any) => string}} [options]
+ */
+function normalizeArticles(articles, { normalizeTag = makeTagNormalizer(articles) } = {}) {
+  return articles.map((a) => {
+    const publisherName = a?.publisher?.name || "";
+    const rawTags = Array.isArray(a?.tags) ? a.tags.filter((t) => typeof t === "string" && t.trim()) : [];
+    const tags = Array.from(new Set(rawTags.map(normalizeTag)));
+    const tagText = Array.from(new Set([...tags, ...rawTags.map(cleanTag)]));
+    const searchable = [
+      a?.title,
+      a?.description,
+      publisherName,
+      tagText.join(" "),
+    ]
+      .filter(Boolean)
+      .join(" • ");
+
+    return {
+      ...a,
+      _publisherName: publisherName,
+      _tags: tags,
+      _publishedTs: parseISODate(a?.publishedAt),
+      _updatedTs: parseISODate(a?.updatedAt),
+      _search: safeLower(searchable),
+      // Per-field lowercase text for scoped queries (title:, tag:, ...)
+      _fields: {
+        title: safeLower(a?.title),
+        description: safeLower(a?.description),
+        author: safeLower(a?.author),
+        publisher: safeLower(publisherName),
+        tags: tagText.map(safeLower),
+        content: safeLower(a?.content),
+        category: safeLower(a?.category),
+        country: safeLower(a?.country),
+        language: safeLower(a?.language),
+      },
+    };
+  });
+}
+
+// ------------------------------------------------------------
+// Search query syntax
+// ------------------------------------------------------------
+//   dog bite               both words (implicit AND)
+//   "dog bite"             exact phrase
+//   rabies OR vaccine      either side
+//   NOT celebrity          also: -celebrity, -"Tamil Nadu"
+//   (rabies OR vaccine) children
+//   title:rabies publisher:Express tag:"dog bite" country:IN
+//
+// Operators are uppercase only, so "and"/"or" in lowercase stay plain words.
+// Matching is case-insensitive substring; code fields (country, language)
+// match exactly.
+
+const QUERY_FIELDS = {
+  title: { key: "title" },
+  description: { key: "description" },
+  author: { key: "author" },
+  publisher: { key: "publisher" },
+  tag: { key: "tags" },
+  category: { key: "category" },
+  country: { key: "country", exact: true },
+  language: { key: "language", exact: true },
+};
+
+const QUERY_OPERATORS = ["AND", "OR", "NOT"];
+
+/**
+ * Split a raw query into tokens: "(", ")", AND, OR, NOT and terms.
+ * Throws an Error with a user-facing message on malformed input.
+ * @param {string} input
+ */
+function tokenizeQuery(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) { i++; continue; }
+
+    if (ch === "(" || ch === ")") {
+      tokens.push({ type: ch, pos: i });
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let negated = false;
+    if (ch === "-" && i + 1 < input.length && !/[\s()]/.test(input[i + 1])) {
+      negated = true;
+      i++;
+    }
+
+    let field = null;
+    const fieldMatch = /^([A-Za-z]+):/.exec(input.slice(i));
+    if (fieldMatch) {
+      field = fieldMatch[1].toLowerCase();
+      if (!QUERY_FIELDS[field]) {
+        throw new Error(`Unknown field "${fieldMatch[1]}:" (try ${Object.keys(QUERY_FIELDS).map((f) => `${f}:`).join(", ")})`);
+      }
+      i += fieldMatch[0].length;
+    }
+
+    let value;
+    let phrase = false;
+    if (input[i] === "\"") {
+      const end = input.indexOf("\"", i + 1);
+      if (end === -1) throw new Error("Missing closing quote");
+      value = input.slice(i + 1, end).trim();
+      phrase = true;
+      i = end + 1;
+    } else {
+      let j = i;
+      while (j < input.length && !/[\s()"]/.test(input[j])) j++;
+      value = input.slice(i, j);
+      i = j;
+    }
+
+    if (!value) {
+      if (field) throw new Error(`Missing value after "${field}:"`);
+      if (phrase) continue; // "" on its own is harmless
+      throw new Error("Missing term after \"-\"");
+    }
+
+    if (!negated && !field && !phrase && QUERY_OPERATORS.includes(value)) {
+      tokens.push({ type: value, pos: start });
+      continue;
+    }
+
+    tokens.push({ type: "term", field, value, phrase, negated, pos: start });
+  }
+
+  return tokens;
+}
+
+/**
+ * parseQuery(): turns the search box text into an expression tree.
+ * Precedence: NOT > AND (explicit or implicit) > OR.
+ * @param {string} raw
+ * @returns {{ast: any, error: string|null}}
+ */
+function parseQuery(raw) {
+  const input = (raw || "").trim();
+  if (!input) return { ast: null, error: null };
+
+  let tokens;
+  try {
+    tokens = tokenizeQuery(input);
+  } catch (err) {
+    return { ast: null, error: err.message };
+  }
+  if (!tokens.length) return { ast: null, error: null };
+
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const startsOperand = (t) => t && (t.type === "term" || t.type === "NOT" || t.type === "(");
+
+  const group = (type, children) => (children.length === 1 ? children[0] : { type, children });
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.type === "OR") {
+      pos++;
+      if (!startsOperand(peek())) throw new Error("OR needs a term on both sides");
+      children.push(parseAnd());
+    }
+    return group("or", children);
+  }
+
+  function parseAnd() {
+    const children = [parseUnary()];
+    for (;;) {
+      const t = peek();
+      if (t?.type === "AND") {
+        pos++;
+        if (!startsOperand(peek())) throw new Error("AND needs a term on both sides");
+        children.push(parseUnary());
+      } else if (startsOperand(t)) {
+        children.push(parseUnary());
+      } else {
+        break;
+      }
+    }
+    // Flatten nested ANDs from parenthesised groups
+    return group("and", children.flatMap((c) => (c.type === "and" ? c.children : [c])));
+  }
+
+  function parseUnary() {
+    const t = peek();
+    if (!t) throw new Error("Query ends unexpectedly");
+
+    if (t.type === "NOT") {
+      pos++;
+      if (!startsOperand(peek())) throw new Error("NOT needs a term after it");
+      return { type: "not", child: parseUnary() };
+    }
+
+    if (t.type === "(") {
+      pos++;
+      if (peek()?.type === ")") throw new Error("Empty parentheses");
+      const inner = parseOr();
+      if (peek()?.type !== ")") throw new Error("Missing closing parenthesis");
+      pos++;
+      return inner;
+    }
+
+    if (t.type === "term") {
+      pos++;
+      const term = {
+        type: "term",
+        field: t.field,
+        value: t.value,
+        phrase: t.phrase,
+        needle: safeLower(t.value),
+      };
+      return t.negated ? { type: "not", child: term } : term;
+    }
+
+    if (t.type === ")") throw new Error("Unmatched closing parenthesis");
+    throw new Error(`${t.type} needs a term on both sides`);
+  }
+
+  try {
+    const ast = parseOr();
+    if (pos < tokens.length) {
+      const t = peek();
+      throw new Error(t.type === ")" ? "Unmatched closing parenthesis" : `Unexpected "${t.type}"`);
+    }
+    return { ast, error: null };
+  } catch (err) {
+    return { ast: null, error: err.message };
+  }
+}
+
+/**
+ * stringifyQuery(): canonical text for a parsed query.
+ * parseQuery(stringifyQuery(ast)) yields an equivalent tree, which is what
+ * we write to the `q` URL param.
+ */
+function stringifyQuery(node, parentType = null) {
+  if (!node) return "";
+
+  switch (node.type) {
+    case "term": {
+      const needsQuotes = node.phrase
+        || /[\s()]/.test(node.value)
+        || /^-/.test(node.value)
+        || /^[A-Za-z]+:/.test(node.value)
+        || QUERY_OPERATORS.includes(node.value);
+      const value = needsQuotes ? `"${node.value}"` : node.value;
+      return node.field ? `${node.field}:${value}` : value;
+    }
+    case "not":
+      return node.child.type === "term"
+        ? `-${stringifyQuery(node.child, "not")}`
+        : `NOT ${stringifyQuery(node.child, "not")}`;
+    case "and": {
+      const s = node.children.map((c) => stringifyQuery(c, "and")).join(" ");
+      return parentType === "not" ? `(${s})` : s;
+    }
+    case "or": {
+      const s = node.children.map((c) => stringifyQuery(c, "or")).join(" OR ");
+      return parentType === "and" || parentType === "not" ? `(${s})` : s;
+    }
+    default:
+      return "";
+  }
+}
+
+function matchesQuery(node, a) {
+  switch (node.type) {
+    case "and": return node.children.every((c) => matchesQuery(c, a));
+    case "or": return node.children.some((c) => matchesQuery(c, a));
+    case "not": return !matchesQuery(node.child, a);
+    default: return matchesTerm(node, a);
+  }
+}
+
+function matchesTerm(term, a) {
+  if (!term.field) return a._search.includes(term.needle);
+
+  const spec = QUERY_FIELDS[term.field];
+  const value = a._fields?.[spec.key];
+  const test = (v) => (spec.exact ? v === term.needle : v.includes(term.needle));
+  return Array.isArray(value) ? value.some(test) : test(value || "");
+}
+
+/**
+ * Positive (not negated) terms of a query, used for ranking + highlighting.
+ */
+function collectQueryTerms(node, out = []) {
+  if (!node || node.type === "not") return out;
+  if (node.type === "term") out.push(node);
+  else node.children.forEach((c) => collectQueryTerms(c, out));
+  return out;
+}
+
+/**
+ * Parses `raw` into what the pipeline needs: the tree to match (`match`),
+ * the terms to rank/highlight by and the syntax error, if any. Invalid
+ * syntax falls back to matching the plain words (implicit AND) so the user
+ * still gets results while the page shows the syntax hint.
+ * @param {string} raw
+ * @returns {{ast: any, error: string|null, match: any, terms: any[]}}
+ */
+function compileQuery(raw) {
+  const { ast, error } = parseQuery(raw);
+
+  if (error) {
+    const terms = safeLower(raw).replace(/["()]/g, " ").split(/\s+/).filter(Boolean)
+      .map((w) => ({ type: "term", field: null, value: w, phrase: false, needle: w }));
+    const match = terms.length > 1 ? { type: "and", children: terms } : terms[0] || null;
+    return { ast: null, error, match, terms };
+  }
+
+  return { ast, error: null, match: ast, terms: collectQueryTerms(ast) };
+}
+
+// ------------------------------------------------------------
+// Relevance ranking
+// ------------------------------------------------------------
+// score = Σ terms Σ fields  weight(field) × (1 + ln tf) × idf(term)
+// Title hits outrank description/tag hits, which outrank body text.
+
+const RELEVANCE_WEIGHTS = {
+  title: 4,
+  description: 2,
+  tags: 2,
+  publisher: 1,
+  content: 1,
+};
+
+function countOccurrences(haystack, needle) {
+  if (!haystack || !needle) return 0;
+  let n = 0;
+  let i = haystack.indexOf(needle);
+  while (i !== -1) {
+    n++;
+    i = haystack.indexOf(needle, i + needle.length);
+  }
+  return n;
+}
+
+/**
+ * Scores each article in `list` against the search terms.
+ * @param {any[]} list
+ * @param {any[]} searchTerms compileQuery(q).terms
+ * @returns {Map<any, number>} article -> score
+ */
+function computeRelevanceScores(list, searchTerms) {
+  const scores = new Map();
+  const terms = searchTerms.filter((t) => !t.field || RELEVANCE_WEIGHTS[QUERY_FIELDS[t.field].key]);
+  if (!terms.length) return scores;
+
+  const fieldsFor = (t) => (t.field ? [QUERY_FIELDS[t.field].key] : Object.keys(RELEVANCE_WEIGHTS));
+  const tfIn = (a, key, needle) => {
+    const v = a._fields?.[key];
+    return Array.isArray(v)
+      ? v.reduce((n, tag) => n + countOccurrences(tag, needle), 0)
+      : countOccurrences(v, needle);
+  };
+
+  // Inverse document frequency within the result set: rare terms count more
+  const idf = terms.map((t) => {
+    let df = 0;
+    for (const a of list) {
+      if (fieldsFor(t).some((k) => tfIn(a, k, t.needle) > 0)) df++;
+    }
+    return Math.log(1 + list.length / (df || 1));
+  });
+
+  for (const a of list) {
+    let score = 0;
+    terms.forEach((t, i) => {
+      for (const key of fieldsFor(t)) {
+        const tf = tfIn(a, key, t.needle);
+        if (tf) score += RELEVANCE_WEIGHTS[key] * (1 + Math.log(tf)) * idf[i];
+      }
+    });
+    scores.set(a, score);
+  }
+
+  return scores;
+}
+
+// ------------------------------------------------------------
+// Story clustering
+// ------------------------------------------------------------
+// The same event reported by several outlets becomes one card. Two articles
+// are linked when their headline/body token overlap, discounted by how far
+// apart they were published, clears CLUSTER_THRESHOLD; clusters are the
+// connected components of those links. Filters still run per article and the
+// list then keeps the best-ranked match of each cluster (searchSteps()).
+
+const CLUSTER_WINDOW_MS = 72 * 60 * 60 * 1000;
+const CLUSTER_THRESHOLD = 0.3;
+// From CLUSTER_EXACT_MAX dated articles up, only likely duplicates are scored
+// (see findClusterCandidates()); below it every pair in the window is
+const CLUSTER_EXACT_MAX = 5000;
+const CLUSTER_MAX_BUCKET = 50;
+const CLUSTER_MAX_CANDIDATES = 8;
+const CLUSTER_STOPWORDS = new Set(
+  "the and for from with are was were been has have had its this that into over after than amid says said new more about".split(" ")
+);
+
+/**
+ * Lowercase word set for similarity: drops short words + stopwords and
+ * folds a trailing plural "s" ("dogs" ~ "dog").
+ */
+function clusterTokens(text) {
+  const out = new Set();
+  for (const w of safeLower(text).split(/[^\p{L}\p{N}]+/u)) {
+    if (w.length < 3 || CLUSTER_STOPWORDS.has(w)) continue;
+    out.add(w.length > 3 && w.endsWith("s") && !w.endsWith("ss") ? w.slice(0, -1) : w);
+  }
+  return out;
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Similarity of two token profiles in [0, 1]: headline overlap weighs more
+ * than body overlap, and the score fades to half across CLUSTER_WINDOW_MS.
+ */
+function storySimilarity(x, y) {
+  const gap = Math.abs(x.ts - y.ts);
+  if (gap > CLUSTER_WINDOW_MS) return 0;
+  const text = 0.6 * jaccard(x.title, y.title) + 0.4 * jaccard(x.body, y.body);
+  return text * (1 - 0.5 * (gap / CLUSTER_WINDOW_MS));
+}
+
+/**
+ * Groups near-duplicate articles. Only articles published within
+ * CLUSTER_WINDOW_MS of each other are compared (sliding window over the
+ * date-sorted list), so the cost stays close to linear for spread-out data.
+ * Large datasets compare each article with its headline-word candidates
+ * only, since a busy 72h window makes the pairwise scan quadratic.
+ * @param {any[]} articles normalized articles
+ * @returns {Int32Array} article index -> index of its cluster's earliest article
+ */
+function computeClusters(articles) {
+  const profiles = [];
+  articles.forEach((a, i) => {
+    if (!Number.isFinite(a._publishedTs)) return;
+    profiles.push({
+      i,
+      ts: a._publishedTs,
+      title: clusterTokens(a.title),
+      body: clusterTokens(`${a.description || ""} ${String(a.content || "").split(/\s+/).slice(0, 80).join(" ")}`),
+    });
+  });
+  profiles.sort((x, y) => x.ts - y.ts || x.i - y.i);
+
+  // Union-find over article indexes
+  const parent = new Int32Array(articles.length).map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  const tsOrder = (x, y) => (articles[x]._publishedTs < articles[y]._publishedTs || (articles[x]._publishedTs === articles[y]._publishedTs && x < y) ? [x, y] : [y, x]);
+
+  const link = (x, y) => {
+    if (storySimilarity(profiles[x], profiles[y]) < CLUSTER_THRESHOLD) return;
+    const ri = find(profiles[x].i);
+    const rj = find(profiles[y].i);
+    // Keep the earlier article as root so keys are stable across runs
+    if (ri === rj) return;
+    const [keep, merge] = tsOrder(ri, rj);
+    parent[merge] = keep;
+  };
+
+  if (profiles.length >= CLUSTER_EXACT_MAX) {
+    findClusterCandidates(profiles, link);
+  } else {
+    for (let i = 0; i < profiles.length; i++) {
+      for (let j = i + 1; j < profiles.length && profiles[j].ts - profiles[i].ts <= CLUSTER_WINDOW_MS; j++) link(i, j);
+    }
+  }
+
+  return parent.map((_, i) => find(i));
+}
+
+/**
+ * Calls `link(earlier, later)` for likely duplicates only: earlier profiles
+ * from the last CLUSTER_WINDOW_MS that share a headline word. Words shared
+ * by more than CLUSTER_MAX_BUCKET articles in the window are too common to
+ * suggest a duplicate and find no candidates; of the rest, only the
+ * CLUSTER_MAX_CANDIDATES sharing the most headline words are linked. Pairs
+ * with no headline word in common rarely clear CLUSTER_THRESHOLD (the
+ * headline is 60% of the score), so this can miss a few links the pairwise
+ * scan would make; on bench.js data (1k-50k articles) the clusters match it
+ * exactly at a sixth of the time for 50k.
+ * @param {{ts: number, title: Set<string>}[]} profiles sorted by ts
+ * @param {(earlier: number, later: number) => void} link
+ */
+function findClusterCandidates(profiles, link) {
+  const recent = new Map(); // title token -> { items: profile positions, head }
+  profiles.forEach((p, pos) => {
+    const shared = new Map(); // profile position -> headline words in common
+    for (const token of p.title) {
+      let bucket = recent.get(token);
+      if (!bucket) recent.set(token, (bucket = { items: [], head: 0 }));
+      while (bucket.head < bucket.items.length && p.ts - profiles[bucket.items[bucket.head]].ts > CLUSTER_WINDOW_MS) bucket.head++;
+      if (bucket.items.length - bucket.head <= CLUSTER_MAX_BUCKET) {
+        for (let k = bucket.head; k < bucket.items.length; k++) shared.set(bucket.items[k], (shared.get(bucket.items[k]) || 0) + 1);
+      }
+      bucket.items.push(pos);
+    }
+
+    let candidates = shared.keys();
+    if (shared.size > CLUSTER_MAX_CANDIDATES) {
+      candidates = Array.from(shared.keys())
+        .sort((x, y) => shared.get(y) - shared.get(x) || y - x)
+        .slice(0, CLUSTER_MAX_CANDIDATES);
+    }
+    for (const other of candidates) link(other, pos);
+  });
+}
+
+/**
+ * Non-empty values of a facet for one article (always an array).
+ * @param {any} facet FACETS entry
+ * @param {any} a
+ */
+function facetValues(facet, a) {
+  const v = facet.get(a);
+  if (facet.multiValue) return Array.isArray(v) ? v.filter(Boolean) : [];
+  return v ? [v] : [];
+}
+
+/**
+ * computeFacets(): computes global facet counts for dataset (used to render options)
+ * @param {any[]} articles
+ */
+function computeFacets(articles) {
+  const out = {};
+
+  for (const f of FACETS) {
+    const map = new Map();
+    for (const a of articles) {
+      for (const v of facetValues(f, a)) map.set(v, (map.get(v) || 0) + 1);
+    }
+    out[f.key] = map;
+  }
+
+  return out;
+}
+
+// ------------------------------------------------------------
+// Date facet
+// ------------------------------------------------------------
+
+/**
+ * Preset counts + histogram for articles matching every other filter.
+ * Bins are days for short spans, then weeks, then months.
+ * @param {any[]} base
+ */
+function computeDateFacet(base) {
+  const now = Date.now();
+  const presets = new Map();
+  for (const [key, p] of Object.entries(DATE_PRESETS)) {
+    const from = p.from(now);
+    presets.set(key, base.filter((a) => a._publishedTs >= from).length);
+  }
+
+  const stamps = base.map((a) => a._publishedTs).filter(Number.isFinite);
+  if (!stamps.length) return { presets, unit: "day", bins: [] };
+
+  // Loop rather than Math.min(...stamps): spreading 100k args overflows the stack
+  let min = Infinity;
+  let max = -Infinity;
+  for (const ts of stamps) {
+    if (ts < min) min = ts;
+    if (ts > max) max = ts;
+  }
+  const spanDays = (max - min) / DAY_MS;
+  const unit = spanDays <= 62 ? "day" : spanDays <= 7 * 104 ? "week" : "month";
+
+  // Bin start for a timestamp (local time)
+  const binStart = (ts) => {
+    const d = new Date(ts);
+    d.setHours(0, 0, 0, 0);
+    if (unit === "week") d.setDate(d.getDate() - ((d.getDay() + 6) % 7)); // Monday
+    if (unit === "month") d.setDate(1);
+    return d.getTime();
+  };
+  const nextBin = (start) => {
+    const d = new Date(start);
+    if (unit === "day") d.setDate(d.getDate() + 1);
+    if (unit === "week") d.setDate(d.getDate() + 7);
+    if (unit === "month") d.setMonth(d.getMonth() + 1);
+    return d.getTime();
+  };
+
+  const counts = new Map();
+  for (const ts of stamps) {
+    const k = binStart(ts);
+    counts.set(k, (counts.get(k) || 0) + 1);
+  }
+
+  // Contiguous bins (including empty ones) so gaps are visible
+  const bins = [];
+  for (let start = binStart(min); start <= max; start = nextBin(start)) {
+    bins.push({ start, end: nextBin(start) - 1, count: counts.get(start) || 0 });
+  }
+
+  return { presets, unit, bins };
+}
+
+// ------------------------------------------------------------
+// Search index
+// ------------------------------------------------------------
+// Posting lists are ascending Uint32Arrays of article indexes; filter
+// groups are combined as bitsets (one bit per article) so intersecting a
+// search with several facets costs a few thousand word operations instead
+// of a pass over every article per group.
+
+// Fields whose words go into the inverted index (everything a term can match)
+const INDEX_FIELDS = ["title", "description", "author", "publisher", "tags", "category", "country", "language"];
+const PIECE_CACHE_SIZE = 256;
+
+/**
+ * Lowercase runs of letters/digits: the unit of the inverted index.
+ * @param {string} text
+ */
+function indexTokens(text) {
+  return safeLower(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Precomputes everything runSearch() needs for `articles` (normalized).
+ * @param {any[]} articles
+ */
+function buildSearchIndex(articles) {
+  const size = articles.length;
+
+  // token -> article indexes
+  const postings = new Map();
+  articles.forEach((a, i) => {
+    const seen = new Set();
+    for (const key of INDEX_FIELDS) {
+      const v = a._fields?.[key];
+      for (const text of Array.isArray(v) ? v : [v]) {
+        for (const token of indexTokens(text)) seen.add(token);
+      }
+    }
+    for (const token of seen) {
+      let list = postings.get(token);
+      if (!list) postings.set(token, (list = []));
+      list.push(i);
+    }
+  });
+  for (const [token, list] of postings) postings.set(token, Uint32Array.from(list));
+
+  // facet key -> value -> article indexes
+  const facets = {};
+  for (const f of FACETS) {
+    const byValue = new Map();
+    articles.forEach((a, i) => {
+      for (const v of facetValues(f, a)) {
+        let list = byValue.get(v);
+        if (!list) byValue.set(v, (list = []));
+        list.push(i);
+      }
+    });
+    for (const [v, list] of byValue) byValue.set(v, Uint32Array.from(list));
+    facets[f.key] = byValue;
+  }
+
+  // Dated articles in publish order, for range lookups by binary search
+  const byDate = Uint32Array.from(articles.keys())
+    .filter((i) => Number.isFinite(articles[i]._publishedTs))
+    .sort((x, y) => articles[x]._publishedTs - articles[y]._publishedTs || x - y);
+  const byDateTs = Float64Array.from(byDate, (i) => articles[i]._publishedTs);
+
+  const clusterOf = computeClusters(articles);
+  const clusterSize = new Uint32Array(size);
+  for (const root of clusterOf) clusterSize[root]++;
+
+  return {
+    articles,
+    size,
+    postings,
+    vocabulary: Array.from(postings.keys()),
+    pieceCache: new Map(),
+    facets,
+    byDate,
+    byDateTs,
+    orders: {},
+    idIndex: new Map(articles.map((a, i) => [a.id, i])),
+    clusterOf,
+    clusterSize,
+  };
+}
+
+// Bitsets ------------------------------------------------------
+
+function makeBitset(size, full = false) {
+  const bits = new Uint32Array((size + 31) >>> 5);
+  if (full && size) {
+    bits.fill(0xffffffff);
+    if (size & 31) bits[bits.length - 1] = (1 << (size & 31)) - 1;
+  }
+  return bits;
+}
+
+function bitsetHas(bits, i) {
+  return (bits[i >>> 5] & (1 << (i & 31))) !== 0;
+}
+
+function bitsetAddAll(bits, indexes) {
+  for (const i of indexes) bits[i >>> 5] |= 1 << (i & 31);
+  return bits;
+}
+
+/**
+ * AND of `sets`, skipping nulls (null = no constraint); null when all are.
+ */
+function bitsetIntersect(sets) {
+  let out = null;
+  for (const bits of sets) {
+    if (!bits) continue;
+    if (!out) out = bits.slice();
+    else for (let w = 0; w < out.length; w++) out[w] &= bits[w];
+  }
+  return out;
+}
+
+/**
+ * Set bits in ascending order.
+ * @returns {Uint32Array}
+ */
+function bitsetIndexes(bits) {
+  let count = 0;
+  for (let w = 0; w < bits.length; w++) {
+    let v = bits[w] - ((bits[w] >>> 1) & 0x55555555);
+    v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+    count += (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+  }
+
+  const out = new Uint32Array(count);
+  let n = 0;
+  for (let w = 0; w < bits.length; w++) {
+    let word = bits[w];
+    while (word) {
+      const low = word & -word;
+      out[n++] = (w << 5) + 31 - Math.clz32(low);
+      word ^= low;
+    }
+  }
+  return out;
+}
+
+// Query candidates ---------------------------------------------
+
+/**
+ * Indexed tokens containing `piece` (vocabulary scan, memoized: typing
+ * "dog" then "dog b" reuses the "dog" scan).
+ */
+function tokensContaining(index, piece) {
+  let tokens = index.pieceCache.get(piece);
+  if (!tokens) {
+    tokens = index.vocabulary.filter((t) => t.includes(piece));
+    if (index.pieceCache.size >= PIECE_CACHE_SIZE) index.pieceCache.delete(index.pieceCache.keys().next().value);
+    index.pieceCache.set(piece, tokens);
+  }
+  return tokens;
+}
+
+/**
+ * Superset of the articles a term can match: each word piece of the needle
+ * lies inside one word of any matching text.
+ * @returns {Uint32Array|null} bitset, or null when the term can't narrow
+ */
+function termCandidates(index, term) {
+  const pieces = indexTokens(term.needle);
+  if (!pieces.length) return null;
+
+  return bitsetIntersect(pieces.map((piece) => {
+    const bits = makeBitset(index.size);
+    for (const token of tokensContaining(index, piece)) bitsetAddAll(bits, index.postings.get(token));
+    return bits;
+  }));
+}
+
+/**
+ * Candidate bitset for a query tree (null = every article). NOT can't
+ * narrow; OR narrows only when every branch does.
+ */
+function queryCandidates(index, node) {
+  switch (node.type) {
+    case "and":
+      return bitsetIntersect(node.children.map((c) => queryCandidates(index, c)));
+    case "or": {
+      const parts = node.children.map((c) => queryCandidates(index, c));
+      if (parts.includes(null)) return null;
+      const out = parts[0].slice();
+      for (const bits of parts.slice(1)) for (let w = 0; w < out.length; w++) out[w] |= bits[w];
+      return out;
+    }
+    case "not":
+      return null;
+    default:
+      return termCandidates(index, node);
+  }
+}
+
+// Sorting ------------------------------------------------------
+
+/**
+ * Every article index in `sort` order (relevance starts from newest).
+ * Built on first use and cached; ties keep dataset order like a stable sort.
+ * Articles without an author, category or reading time sort last in both
+ * directions.
+ */
+function getSortOrder(index, sort) {
+  const key = sort === SORTS.relevance ? SORTS.newest : sort;
+  if (index.orders[key]) return index.orders[key];
+
+  const a = index.articles;
+  const ts = (i) => a[i]._publishedTs || 0;
+  const collator = new Intl.Collator();
+  const text = (i, field) => safeLower(field === "publisher" ? a[i]._publisherName : a[i][field]);
+  const byText = (field, dir) => (x, y) => {
+    const tx = text(x, field);
+    const ty = text(y, field);
+    if (!tx || !ty) return Number(!tx) - Number(!ty);
+    return dir * collator.compare(tx, ty) || ts(y) - ts(x);
+  };
+  const minutes = (i) => (Number.isFinite(a[i].readingTimeMinutes) ? a[i].readingTimeMinutes : null);
+  const byMinutes = (dir) => (x, y) => {
+    const mx = minutes(x);
+    const my = minutes(y);
+    if (mx === null || my === null) return Number(mx === null) - Number(my === null);
+    return dir * (mx - my) || ts(y) - ts(x);
+  };
+  const compare = {
+    [SORTS.oldest]: (x, y) => ts(x) - ts(y),
+    [SORTS.publisher_az]: (x, y) => collator.compare(text(x, "publisher"), text(y, "publisher"))
+      || collator.compare(text(x, "title"), text(y, "title")),
+    [SORTS.publisher_za]: (x, y) => collator.compare(text(y, "publisher"), text(x, "publisher"))
+      || collator.compare(text(x, "title"), text(y, "title")),
+    [SORTS.title_az]: (x, y) => collator.compare(text(x, "title"), text(y, "title")) || ts(y) - ts(x),
+    [SORTS.title_za]: (x, y) => collator.compare(text(y, "title"), text(x, "title")) || ts(y) - ts(x),
+    [SORTS.author_az]: byText("author", 1),
+    [SORTS.author_za]: byText("author", -1),
+    [SORTS.category_az]: byText("category", 1),
+    [SORTS.category_za]: byText("category", -1),
+    [SORTS.shortest]: byMinutes(1),
+    [SORTS.longest]: byMinutes(-1),
+  }[key] || ((x, y) => ts(y) - ts(x));
+
+  const order = Uint32Array.from(a.keys()).sort((x, y) => compare(x, y) || x - y);
+  index.orders[key] = order;
+  return order;
+}
+
+// Running a query ----------------------------------------------
+
+/**
+ * Articles published inside `range` as a bitset.
+ */
+function dateBitset(index, range) {
+  const lowerBound = (value) => {
+    let lo = 0;
+    let hi = index.byDateTs.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (index.byDateTs[mid] < value) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+  const upper = range.to === Infinity ? index.byDate.length : lowerBound(range.to + 1);
+  return bitsetAddAll(makeBitset(index.size), index.byDate.subarray(lowerBound(range.from), upper));
+}
+
+function idsBitset(index, ids) {
+  const bits = makeBitset(index.size);
+  for (const id of ids) {
+    const i = index.idIndex.get(id);
+    if (i != null) bits[i >>> 5] |= 1 << (i & 31);
+  }
+  return bits;
+}
+
+/**
+ * One facet's filter group: articles with any (or, in "all" mode, every)
+ * included value and none of the excluded ones. null when nothing is set.
+ * @param {any} index
+ * @param {any} facet FACETS entry
+ * @param {Set<string> | undefined} included
+ * @param {Set<string> | undefined} excluded
+ * @param {"any" | "all" | undefined} mode
+ */
+function facetBitset(index, facet, included, excluded, mode) {
+  if (!included?.size && !excluded?.size) return null;
+  const byValue = index.facets[facet.key];
+  let bits;
+
+  if (!included?.size) {
+    bits = makeBitset(index.size, true);
+  } else if (mode === "all" && facet.multiValue) {
+    bits = bitsetIntersect(Array.from(included, (v) => {
+      const one = makeBitset(index.size);
+      const list = byValue.get(v);
+      if (list) bitsetAddAll(one, list);
+      return one;
+    }));
+  } else {
+    bits = makeBitset(index.size);
+    for (const v of included) {
+      const list = byValue.get(v);
+      if (list) bitsetAddAll(bits, list);
+    }
+  }
+
+  for (const v of excluded || []) {
+    for (const i of byValue.get(v) || []) bits[i >>> 5] &= ~(1 << (i & 31));
+  }
+  return bits;
+}
+
+/**
+ * runSearch() as a generator that yields between steps (and every few
+ * thousand articles inside long loops), so the worker can drop a query as
+ * soon as a newer one arrives.
+ *
+ * query: {
+ *   q, sort, cluster,
+ *   selected: { [facetKey]: Set },  excluded: { [facetKey]: Set },
+ *   modes: { [facetKey]: "any" | "all" },  dateRange: {from, to} | null,
+ *   savedIds: Set | null,           readIds: Set | Map | null (hidden),
+ *   counts: boolean,                lists: [{ id, items: Set }],
+ *   views: [{ id, query }],         countOnly: boolean
+ * }
+ *
+ * Result (article indexes into index.articles): { matched, primaries,
+ * related: Map(primary -> indexes), counts, stories, error }. `counts`
+ * mirrors the facet panel: per FACETS key, `date`, `saved` and `views`,
+ * each computed with its own group left out, in stories when clustering.
+ */
+function* searchSteps(index, query) {
+  const { articles, size } = index;
+  const compiled = compileQuery(query.q);
+  const keyOf = query.cluster ? (i) => index.clusterOf[i] : (i) => i;
+  const isShared = (root) => query.cluster && index.clusterSize[root] > 1;
+
+  // One bitset per active filter group
+  const groups = new Map();
+
+  if (compiled.match) {
+    const candidates = queryCandidates(index, compiled.match);
+    const exact = makeBitset(size);
+    const check = candidates ? bitsetIndexes(candidates) : articles.keys();
+    let n = 0;
+    for (const i of check) {
+      if (matchesQuery(compiled.match, articles[i])) exact[i >>> 5] |= 1 << (i & 31);
+      if (++n % 4096 === 0) yield;
+    }
+    groups.set("search", exact);
+  }
+
+  for (const f of FACETS) {
+    const bits = facetBitset(index, f, query.selected?.[f.key], query.excluded?.[f.key], query.modes?.[f.key]);
+    if (bits) groups.set(f.key, bits);
+  }
+
+  if (query.dateRange) groups.set("date", dateBitset(index, query.dateRange));
+  if (query.savedIds) groups.set("saved", idsBitset(index, query.savedIds));
+  if (query.readIds?.size) {
+    const unread = makeBitset(size, true);
+    for (const id of query.readIds.keys()) {
+      const i = index.idIndex.get(id);
+      if (i != null) unread[i >>> 5] &= ~(1 << (i & 31));
+    }
+    groups.set("read", unread);
+  }
+  yield;
+
+  // Everything except one group (dynamic facet counts)
+  const combine = (exclude = null) => bitsetIntersect(Array.from(groups, ([k, bits]) => (k === exclude ? null : bits)))
+    || makeBitset(size, true);
+
+  const matchedBits = combine();
+
+  if (query.countOnly) {
+    const stories = new Set();
+    for (const i of bitsetIndexes(matchedBits)) stories.add(keyOf(i));
+    return { stories: stories.size, error: compiled.error };
+  }
+
+  let matched = Array.from(getSortOrder(index, query.sort)).filter((i) => bitsetHas(matchedBits, i));
+  if (query.sort === SORTS.relevance) {
+    const scores = computeRelevanceScores(matched.map((i) => articles[i]), compiled.terms);
+    if (scores.size) matched.sort((x, y) => (scores.get(articles[y]) || 0) - (scores.get(articles[x]) || 0));
+  }
+  yield;
+
+  // One primary (best-ranked match) per cluster
+  const primaries = [];
+  const related = new Map();
+  const primaryOf = new Map();
+  for (const i of matched) {
+    const key = keyOf(i);
+    const primary = primaryOf.get(key);
+    if (primary == null) {
+      primaryOf.set(key, i);
+      primaries.push(i);
+    } else {
+      if (!related.has(primary)) related.set(primary, []);
+      related.get(primary).push(i);
+    }
+  }
+
+  const result = {
+    matched: Uint32Array.from(matched),
+    primaries: Uint32Array.from(primaries),
+    related,
+    stories: primaries.length,
+    counts: null,
+    error: compiled.error,
+  };
+  if (!query.counts) return result;
+  yield;
+
+  // Dynamic facet counts from the posting lists: a story counts once per value
+  const counts = {};
+  for (const f of FACETS) {
+    const map = new Map();
+    // "Any of" counts leave the facet's own group out (picking a value widens
+    // the results); "all of" counts include it (picking a value narrows them)
+    const leaveOut = query.modes?.[f.key] === "all" ? null : f.key;
+    const bits = combine(leaveOut);
+    const unfiltered = !query.cluster && Array.from(groups.keys()).every((k) => k === leaveOut);
+    let n = 0;
+    for (const [v, list] of index.facets[f.key]) {
+      let count = 0;
+      if (unfiltered) {
+        count = list.length;
+      } else {
+        const roots = query.cluster ? new Set() : null;
+        for (const i of list) {
+          if (!bitsetHas(bits, i)) continue;
+          const root = keyOf(i);
+          if (isShared(root)) {
+            if (roots.has(root)) continue;
+            roots.add(root);
+          }
+          count++;
+        }
+      }
+      if (count) map.set(v, count);
+      if ((n += list.length) >= 8192) {
+        n = 0;
+        yield;
+      }
+    }
+    counts[f.key] = map;
+  }
+
+  // Date bins place each story at its earliest matching article
+  const dateBits = combine("date");
+  const dated = new Set();
+  const dateBase = [];
+  for (const i of index.byDate) {
+    if (!bitsetHas(dateBits, i)) continue;
+    const key = keyOf(i);
+    if (dated.has(key)) continue;
+    dated.add(key);
+    dateBase.push(articles[i]);
+  }
+  counts.date = computeDateFacet(dateBase);
+  yield;
+
+  const savedBits = combine("saved");
+  counts.saved = new Map((query.lists || []).map((l) => {
+    const stories = new Set();
+    for (const id of l.items) {
+      const i = index.idIndex.get(id);
+      if (i != null && bitsetHas(savedBits, i)) stories.add(keyOf(i));
+    }
+    return [l.id, stories.size];
+  }));
+
+  counts.views = new Map();
+  for (const view of query.views || []) {
+    const sub = yield* searchSteps(index, { ...view.query, countOnly: true });
+    counts.views.set(view.id, sub.stories);
+  }
+
+  result.counts = counts;
+  return result;
+}
+
+/**
+ * Runs a query to completion (see searchSteps() for its shape).
+ */
+function runSearch(index, query) {
+  const steps = searchSteps(index, query);
+  for (;;) {
+    const { done, value } = steps.next();
+    if (done) return value;
+  }
+}
@@ -0,0 +1,51 @@
+// search-worker.js
+// Runs searches off the main thread for large datasets (see app.js,
+// WORKER_MIN_ARTICLES). Messages:
+//   in:  { type: "load", articles, tagSynonyms }  raw records, same order as allArticles
+//   in:  { type: "search", seq, query }    query from makeSearchQuery()
+//   out: { type: "result", seq, result }   only for the newest search
+//
+// searchSteps() yields between steps; after each one we check whether a
+// newer search has arrived and, if so, drop the stale one.
+
+importScripts("./search-engine.js");
+
+let index = null;
+let latestSeq = 0;
+
+// Yield to the event loop (lets queued "search" messages arrive). A
+// MessageChannel round trip avoids setTimeout's 4ms clamp.
+const yieldChannel = new MessageChannel();
+const yieldQueue = [];
+yieldChannel.port1.onmessage = () => yieldQueue.shift()?.();
+const yieldToEvents = () => new Promise((resolve) => {
+  yieldQueue.push(resolve);
+  yieldChannel.port2.postMessage(null);
+});
+
+self.addEventListener("message", (e) => {
+  const msg = e.data;
+  if (msg?.type === "load") {
+    const normalizeTag = makeTagNormalizer(msg.articles, msg.tagSynonyms);
+    index = buildSearchIndex(normalizeArticles(msg.articles, { normalizeTag }));
+  } else if (msg?.type === "search") {
+    latestSeq = msg.seq;
+    runLatest(msg);
+  }
+});
+
+async function runLatest({ seq, query }) {
+  await yieldToEvents(); // a burst of keystrokes only runs the last one
+  if (seq !== latestSeq || !index) return;
+
+  const steps = searchSteps(index, query);
+  for (;;) {
+    const { done, value } = steps.next();
+    if (done) {
+      self.postMessage({ type: "result", seq, result: value }, [value.matched.buffer, value.primaries.buffer]);
+      return;
+    }
+    await yieldToEvents();
+    if (seq !== latestSeq) return; // superseded
+  }
+}
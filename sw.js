@@ -0,0 +1,215 @@
+// sw.js
+// Service worker: offline support (registered by app.js)
+// ------------------------------------------------------------
+// - App shell (SHELL_FILES): precached on install; served network-first so
+//   edits show up on the next reload, from the cache when offline.
+// - Data (the data sources app.js lists as `source` params when it registers
+//   this worker): network first; every good response replaces the stored
+//   copy, and copies of sources no longer listed are dropped, so the cache
+//   holds at most one entry per source. When the network fails the stored
+//   copy is returned with an X-Cached-At header (when it was saved), which
+//   app.js turns into a "showing cached data" notice. Other fetch() calls
+//   are left to the browser.
+// - Images (card thumbnails from `imageUrl`, publisher logos): cache first,
+//   capped at MAX_IMAGE_BYTES, oldest evicted first. Cross-origin images are
+//   re-requested with CORS so their size can be read; hosts that refuse are
+//   served without caching. Opaque (no-cors) responses are never stored:
+//   browsers count each one at a padded size (megabytes in Chromium) against
+//   the storage quota, so no entry cap would bound them.
+//
+// Bump CACHE_VERSION when SHELL_FILES changes; old caches are deleted on
+// activate.
+
+const CACHE_VERSION = "v4";
+const SHELL_CACHE = `news-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `news-data-${CACHE_VERSION}`;
+const IMAGE_CACHE = `news-images-${CACHE_VERSION}`;
+const CACHED_AT_HEADER = "X-Cached-At";
+const IMAGE_BYTES_HEADER = "X-Cached-Bytes";
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+
+// Absolute URLs of the configured data sources (see registerServiceWorker())
+const DATA_URLS = new Set(new URL(self.location.href).searchParams.getAll("source").map(withoutHash));
+
+// Image origins whose CORS request failed while this worker has been running
+const noCorsOrigins = new Set();
+
+const SHELL_FILES = [
+  "./",
+  "./index.html",
+  "./styles.css",
+  "./search-engine.js",
+  "./search-worker.js",
+  "./i18n.js",
+  "./app.js",
+];
+
+const SHELL_URLS = new Set(SHELL_FILES.map((f) => new URL(f, self.location.href).href));
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const keep = new Set([SHELL_CACHE, DATA_CACHE, IMAGE_CACHE]);
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(names.filter((n) => n.startsWith("news-") && !keep.has(n)).map((n) => caches.delete(n))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+
+  const url = new URL(req.url);
+  if (url.protocol !== "http:" && url.protocol !== "https:") return;
+
+  if (req.mode === "navigate") {
+    event.respondWith(fromNetworkOrShell(req, "./index.html"));
+  } else if (req.destination === "image") {
+    event.respondWith(fromImageCache(req));
+  } else if (req.destination === "") {
+    if (DATA_URLS.has(withoutHash(req.url))) event.respondWith(fromNetworkOrData(req));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(fromNetworkOrShell(req));
+  }
+});
+
+/**
+ * Network first; falls back to the precached copy (or `fallback`). Only
+ * SHELL_FILES are stored, without their query string; navigations are
+ * stored as `fallback`, so filter states and share links add no entries.
+ * @param {Request} req
+ * @param {string} [fallback]
+ */
+async function fromNetworkOrShell(req, fallback) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(req);
+    const key = shellKey(req.url);
+    if (res.ok && key) cache.put(fallback || key, res.clone());
+    return res;
+  } catch (err) {
+    const hit = (fallback && await cache.match(fallback)) || await cache.match(req, { ignoreSearch: true });
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+/**
+ * Network first; keeps the last good response and serves it, stamped with
+ * CACHED_AT_HEADER, when the network fails or answers with a server error.
+ * @param {Request} req
+ */
+async function fromNetworkOrData(req) {
+  const cache = await caches.open(DATA_CACHE);
+  let res = null;
+  try {
+    res = await fetch(req);
+  } catch {
+    // offline / DNS / CORS failure: try the stored copy below
+  }
+
+  if (res?.ok) {
+    const body = await res.clone().blob();
+    const headers = new Headers(res.headers);
+    headers.set(CACHED_AT_HEADER, new Date().toISOString());
+    await cache.put(req, new Response(body, { status: res.status, statusText: res.statusText, headers }));
+    pruneDataCache(cache);
+    return res;
+  }
+
+  const hit = await cache.match(req);
+  if (hit && (!res || res.status >= 500)) return hit;
+  return res || Response.error();
+}
+
+/**
+ * Cache first for images, then trims the cache to MAX_IMAGE_BYTES. Only
+ * responses whose body can be read (same-origin or CORS) are stored.
+ * @param {Request} req
+ */
+async function fromImageCache(req) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const hit = await cache.match(req);
+  if (hit) return hit;
+
+  // Opaque responses report status 0, so `ok` also rules them out
+  const res = await fetchReadableImage(req);
+  if (!res.ok) return res;
+
+  const body = await res.clone().blob();
+  if (body.size <= MAX_IMAGE_BYTES) {
+    const headers = new Headers(res.headers);
+    headers.set(IMAGE_BYTES_HEADER, String(body.size));
+    await cache.put(req, new Response(body, { status: res.status, statusText: res.statusText, headers }));
+    trimImageCache(cache);
+  }
+  return res;
+}
+
+/**
+ * Same-origin images as requested; cross-origin ones with CORS first, then
+ * as the page asked (opaque) when the host doesn't allow it.
+ * @param {Request} req
+ */
+async function fetchReadableImage(req) {
+  const { origin } = new URL(req.url);
+  if (origin === self.location.origin || req.mode === "cors" || noCorsOrigins.has(origin)) return fetch(req);
+  try {
+    return await fetch(req.url, { mode: "cors", credentials: "omit", referrerPolicy: req.referrerPolicy });
+  } catch {
+    noCorsOrigins.add(origin);
+    return fetch(req);
+  }
+}
+
+/**
+ * Drops stored copies of data sources that are no longer configured.
+ * @param {Cache} cache
+ */
+async function pruneDataCache(cache) {
+  for (const key of await cache.keys()) {
+    if (!DATA_URLS.has(withoutHash(key.url))) await cache.delete(key);
+  }
+}
+
+/**
+ * Deletes the oldest entries (keys() lists them in insertion order) once the
+ * sizes stamped in IMAGE_BYTES_HEADER add up to more than MAX_IMAGE_BYTES.
+ * @param {Cache} cache
+ */
+async function trimImageCache(cache) {
+  let total = 0;
+  for (const key of (await cache.keys()).reverse()) {
+    const res = await cache.match(key);
+    total += Number(res?.headers.get(IMAGE_BYTES_HEADER)) || 0;
+    if (total > MAX_IMAGE_BYTES) await cache.delete(key);
+  }
+}
+
+/**
+ * The SHELL_FILES URL `href` points at (query and hash ignored), or null.
+ * @param {string} href
+ */
+function shellKey(href) {
+  const url = new URL(href);
+  url.search = "";
+  url.hash = "";
+  return SHELL_URLS.has(url.href) ? url.href : null;
+}
+
+/**
+ * @param {string} href
+ */
+function withoutHash(href) {
+  const url = new URL(href);
+  url.hash = "";
+  return url.href;
+}